@@ -9,18 +9,48 @@
  *
  * Available commands:
  * `help [command]`: print a general help text or command help text if command is given
- * `config init`: initialize a project configuration sequence in current directory
+ * `help directives`: list the directives, including the custom directives registered by plugins
+ * `config init [--yes] [--answers <file>] [--force]`: initialize a project configuration sequence in
+ *   current directory
  * `config default`: configure a project with default settings in current directory
  * `config get <key>`: print the currently configured value(s) for key
  * `config set <key> <value>`: set config value at key
+ * `config add <key> <value>`: add a value to the array at key
+ * `config remove <key> <value>`: remove a value from the array at key
  * `document files`: generate file content documentation (code units)
  * `document objects`: generate object content documentation (classes)
+ * `document all`: generate file and object content documentation as a single project
+ * `document json`: export the documentation model as JSON, for use by other tools
+ * `--format <rst|md>`: option for `document`, output format (replaces `output.format` from settings)
+ * `--config <path>`: option for `config` and `document`, config file to use
+ * `--watch`: option for `document`, keep watching the project files and update the documentation
+ *   when they change
+ * `--no-cache`: option for `document`, parse all files instead of reading unchanged files from the
+ *   parse cache
+ * `--dry-run`: option for `document`, list the files that would be created, updated or deleted
+ *   without writing anything
+ * `--strict`: option for `document` and `check`, exit with an error status if there are warnings,
+ *   not only errors; problems are reported as `file:row: severity: message`
+ * `--maintainers`: option for `document`, generate the maintainers build, which also documents the
+ *   objects marked as internal and the files marked as private, in `paths.maintainersOutputPath`
+ * `cache clear`: remove the parse cache files
+ * `check [--min <percent>] [--json] [--strict]`: report the documentation coverage of exported objects, exits
+ *   with an error status if the coverage is below the minimum (`check.minCoverage`)
+ *
+ * The config file is looked up in the current directory and its parents, up to the project root:
+ * `dgen-one-settings.js`, `dgen-one.config.json`, `.dgenrc.json` or a `"dgen-one"` key in package.json.
  *
  */
 
 const fs = require("fs");
 const path = require("path");
+const readline = require("readline");
 
+const ConfigWizard = require("./src/config_wizard.js");
+const coverage = require("./src/coverage.js");
+const Diagnostics = require("./src/diagnostics.js");
+const settingsFile = require("./src/settings_file.js");
+const settingsSchema = require("./src/settings_schema.js");
 const util = require("./src/util.js");
 
 const Environment = require("./index.js");
@@ -29,8 +59,339 @@ const Environment = require("./index.js");
 
 const cwd = process.cwd();
 
+// config file given with the `--config` option, if any
+let configPath = null;
+
 const help = util.parseSectionFile(fs.readFileSync(path.join(__dirname, "./cli-help")).toString());
 
+/*
+ * Environment methods writing the documentation, by `document` target
+ */
+const DOCUMENT_TARGETS = {
+	files: "outputFilesDocumentation",
+	objects: "outputObjectsDocumentation",
+	all: "outputAllDocumentation",
+	json: "outputModel"
+};
+
+/*
+ * Watch the project files and update the documentation when they change, until interrupted (Ctrl+C)
+ * `env`: Environment object, with the project files loaded
+ * `target`: string, `document` target, see `DOCUMENT_TARGETS`
+ * `outputPath`: string, documentation output path
+ * `settings`: settings object
+ * `baseDir`: string, project base path
+ *
+ * The diagnostics of the changed files are printed after the documentation is updated.
+ *
+ * Returns: Promise, resolves to the command result object when watching is stopped
+ */
+const watchDocumentation = function (env, target, outputPath, settings, baseDir) {
+	return new Promise((resolve) => {
+		let watcher = null;
+		let changed = (paths, failed) => {
+			if (paths.length > 0) {
+				try {
+					let actions = env[DOCUMENT_TARGETS[target]](outputPath, settings);
+					let written = actions.filter((action) => action.action !== "skip");
+					console.log("Changed " + paths.join(", ") + ": " + written.length + " documentation file(s) updated");
+				}
+				catch (e) {
+					console.log("Changed " + paths.join(", ") + ": error writing the documentation: " + e.message);
+				}
+			}
+			// diagnostics of the changed files, and of the output (eg. skipped files)
+			let diagnostics = env.getDiagnostics().getAll().filter((item) =>
+				item.file === null || paths.indexOf(item.file) !== -1 || failed.indexOf(item.file) !== -1);
+			formatDiagnostics(diagnostics, baseDir).map((row) => console.log(row));
+		};
+		try {
+			watcher = env.watchProjectFiles(changed);
+		}
+		catch (e) {
+			resolve({
+				output: [ "Can't watch the project files: " + e.message ],
+				status: -1
+			});
+			return;
+		}
+		console.log("Watching for changes, press Ctrl+C to stop");
+		process.once("SIGINT", () => {
+			watcher.close();
+			resolve({
+				output: [ "Stopped watching" ],
+				status: 0
+			});
+		});
+	});
+};
+
+/*
+ * Format the diagnostics of a run, with paths relative to the current directory
+ * `diagnostics`: array of diagnostic objects, see `Diagnostics`
+ * `baseDir`: string, project base path, code unit paths are relative to it
+ * Returns: array of strings, the formatted diagnostics
+ */
+const formatDiagnostics = function (diagnostics, baseDir) {
+	return diagnostics.map((item) =>
+		Diagnostics.format(item, item.file !== null ? path.relative(cwd, path.join(baseDir, item.file)) : undefined));
+};
+
+/*
+ * Add the diagnostics of a run to a command result
+ * `result`: command result object, the diagnostics are printed before its output
+ * `env`: Environment object
+ * `baseDir`: string, project base path
+ * `strict`: boolean, if true warnings give an error status too
+ * Returns: command result object, with error status if there are errors (or warnings in strict mode)
+ */
+const addDiagnostics = function (result, env, baseDir, strict) {
+	let diagnostics = env.getDiagnostics();
+	let errors = diagnostics.getErrors().length;
+	let warnings = diagnostics.getWarnings().length;
+	if (errors + warnings === 0)
+		return result;
+	let output = formatDiagnostics(diagnostics.getAll(), baseDir);
+	output.push(errors + " error(s), " + warnings + " warning(s)" + (strict && warnings > 0 ? " (strict mode)" : ""), "");
+	return {
+		output: output.concat(result.output),
+		status: errors > 0 || (strict && warnings > 0) ? -1 : result.status
+	}
+};
+
+/*
+ * Describe the custom directives registered by the plugins of the project, if there is a config file
+ * Returns: array of strings, the description rows (empty if there are no custom directives)
+ */
+const describeCustomDirectives = function () {
+	let directives = [];
+	try {
+		let file = settingsFile.findSettingsFile(cwd, configPath);
+		if (file === null)
+			return [];
+		let env = new Environment(settingsFile.readSettings(file), { source: file });
+		env.setBasePath(file.dir);
+		env.loadPlugins();
+		directives = env.getDirectives();
+	}
+	catch (e) {
+		return [ "", "Error loading the custom directives: " + e.message ];
+	}
+	if (directives.length === 0)
+		return [];
+
+	let ret = [ "", "Custom directives:", "" ];
+	for (let i=0; i<directives.length; i++) {
+		let usage = "   " + directives[i].usage + ":";
+		let text = directives[i].help + (directives[i].scope === "unit" ? " (applies to the file)" : "");
+		if (usage.length > 22) {
+			ret.push(usage);
+			usage = "";
+		}
+		ret.push(usage + util.strFill(23 - usage.length) + text);
+	}
+	return ret;
+};
+
+/*
+ * Describe the output actions of a dry run
+ * `actions`: array of action objects, see `Environment.planOutput`
+ * `outputPath`: string, documentation output path
+ * Returns: command result object
+ */
+const describeDryRun = function (actions, outputPath) {
+	let output = actions.map((action) => action.action + " " + action.path +
+		(action.reason !== undefined ? " (" + action.reason + ")" : ""));
+	output.unshift("Dry run, no files were written to " + outputPath + (actions.length === 0 ? ", no changes" : ":"));
+	return {
+		output: output,
+		status: 0
+	}
+};
+
+/*
+ * Find the config file, in the current directory or its parents, or the file given with `--config`
+ * Returns: settings file object, see `settings_file.findSettingsFile`
+ * Throws: Error if no config file is found
+ */
+const getConfigFile = function () {
+	let file = settingsFile.findSettingsFile(cwd, configPath);
+	if (file === null)
+		throw new Error("No config file found in " + cwd + " or its parent directories");
+	return file;
+};
+
+/*
+ * Describe a settings key
+ * `key`: string, config key with `.` dot notation
+ * `schema`: object, the key schema (see `settings_schema.SETTINGS_SCHEMA`)
+ * Returns: array of strings, the description rows
+ */
+const describeKey = function (key, schema) {
+	let type = schema.type + (schema.items !== undefined ? " of " + schema.items + " values" : "") +
+		(schema.none ? " (or null / false for none)" : "");
+	let ret = [ schema.description, "type: " + type ];
+	if (schema.values !== undefined)
+		ret.push("values: " + schema.values.join(", "));
+	ret.push("default: " + settingsFile.formatValue(util.deepRead(Environment.DEFAULT_SETTINGS, key), ""));
+	return ret;
+};
+
+/*
+ * Ask a question on the command line
+ * `lines`: async iterator of input lines (lines are buffered, so answers can also be piped)
+ * `question`: string, the question text
+ * Returns: Promise, resolves to the answer text
+ */
+const prompt = async function (lines, question) {
+	process.stdout.write(question);
+	let line = await lines.next();
+	if (line.done)
+		throw new Error("Input closed before all questions were answered");
+	return line.value;
+};
+
+/*
+ * Create the config file in the current directory with the configuration wizard
+ * `options`: array of strings, command line options:
+ *   `--yes`: don't ask any questions, use the proposed values
+ *   `--answers <file>`: read answers from a JSON file (settings values by `.` dot notation key),
+ *   the proposed values are used for the other questions
+ *   `--force`: overwrite the config file if it exists
+ * Returns: Promise, resolves to the command result object
+ */
+const initConfig = async function (options) {
+	let file = path.join(cwd, "./dgen-one-settings.js");
+	if (fs.existsSync(file) && options.indexOf("--force") === -1)
+		return {
+			output: [ "Config file `./dgen-one-settings.js` already exists, use --force to overwrite it" ],
+			status: -1
+		};
+
+	let answers = {};
+	let answersFile = options.indexOf("--answers");
+	if (answersFile !== -1) {
+		if (options[answersFile + 1] === undefined)
+			return {
+				output: [ "Option --answers takes an answers file argument" ],
+				status: -1
+			};
+		try {
+			answers = JSON.parse(fs.readFileSync(path.resolve(cwd, options[answersFile + 1])).toString());
+		}
+		catch (e) {
+			return {
+				output: [ "Error reading answers file: " + e.message ],
+				status: -1
+			};
+		}
+	}
+
+	let wizard = new ConfigWizard(cwd);
+	let rl = null;
+	let ask = undefined;
+	if (options.indexOf("--yes") === -1 && answersFile === -1) {
+		rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+		let lines = rl[Symbol.asyncIterator]();
+		ask = (question) => prompt(lines, question);
+		let name = wizard.getProjectName();
+		console.log("\nConfiguring documentation" + (name !== null ? " for " + name : "") +
+			", press enter to accept the proposed [values]\n");
+	}
+
+	try {
+		answers = await wizard.run(answers, ask);
+		fs.writeFileSync(file, wizard.generateContent(answers));
+	}
+	catch (e) {
+		return {
+			output: [ "Error creating config file: " + e.message ],
+			status: -1
+		};
+	}
+	finally {
+		if (rl !== null)
+			rl.close();
+	}
+
+	return {
+		output: [
+			"Settings written to `./dgen-one-settings.js`",
+			"You can edit this file by hand or run `config set` to set a key from command line"
+		],
+		status: 0
+	};
+};
+
+/*
+ * Write a value to the config file, keeping its comments (for JavaScript config files)
+ * `cmd`: string, config command: `set` to set the value, `add` or `remove` to add or remove an
+ *        element of an array value
+ * `key`: string, config key with `.` dot notation
+ * `value`: string, the value as given on command line (see `settings_file.parseValue`)
+ * Returns: command result object
+ */
+const writeConfig = function (cmd, key, value) {
+	if (key === undefined || value === undefined)
+		return {
+			output: [ "Config " + cmd + " takes a key and a value argument. Use --help for a list of available options" ],
+			status: -1
+		};
+	let file = null;
+	try {
+		file = getConfigFile();
+	}
+	catch (e) {
+		return {
+			output: [
+				"Error reading config file: " + e.message,
+				"Make sure to run `config init` or `config default` before changing the settings"
+			],
+			status: -1
+		}
+	}
+	// unknown values are written, with a warning
+	let diagnostics = new Diagnostics(false);
+	try {
+		if (cmd === "set")
+			value = settingsFile.checkValue(key, settingsFile.parseValue(value, key), diagnostics);
+		else {
+			let element = settingsFile.parseValue(value, key);
+			let current = util.deepRead(settingsFile.readSettings(file), key);
+			if (current === undefined)
+				current = util.deepRead(Environment.DEFAULT_SETTINGS, key);
+			if (!(current instanceof Array))
+				throw new Error("Config " + cmd + " only applies to array keys, " + key + " is not an array");
+			let index = current.indexOf(element);
+			if (cmd === "add" && index !== -1)
+				throw new Error(JSON.stringify(element) + " is already in " + key);
+			if (cmd === "remove" && index === -1)
+				throw new Error(JSON.stringify(element) + " is not in " + key);
+			value = current.slice(0);
+			if (cmd === "add")
+				value.push(element);
+			else
+				value.splice(index, 1);
+			value = settingsFile.checkValue(key, value, diagnostics);
+		}
+		settingsFile.writeSettingsValue(file, key, value);
+	}
+	catch (e) {
+		return {
+			output: [ "Error writing config file: " + e.message ],
+			status: -1
+		}
+	}
+	let row = settingsFile.findKeyRow(file, key);
+	let output = diagnostics.getAll().map((item) => Diagnostics.format(Object.assign({}, item, { row: row }),
+		settingsFile.describeSource(file, cwd)));
+	return {
+		output: output.concat([ key + ": " + settingsFile.formatValue(value, "") + " written to `" +
+			settingsFile.describeSource(file, cwd) + "`" ]),
+		status: 0
+	}
+};
+
 const commands = {
 
 	_: function () {
@@ -44,12 +405,7 @@ const commands = {
 	config: function (cmd, key, value) {
 		switch (cmd) {
 			case "init":
-				return {
-					output: [
-						"Not implemented"
-					],
-					status: -1
-				}
+				return initConfig(Array.prototype.slice.call(arguments, 1));
 			case "default":
 				let content = fs.readFileSync(path.join(__dirname, "./src/default_settings.js")).toString();
 				fs.writeFileSync("./dgen-one-settings.js", content);
@@ -61,44 +417,68 @@ const commands = {
 					status: 0
 				}
 			case "get":
-				let config = require(path.join(cwd, "./dgen-one-settings.js"));
-				let value = config;
+				let file = null;
+				let config = null;
+				try {
+					file = getConfigFile();
+					config = settingsFile.readSettings(file);
+				}
+				catch (e) {
+					return {
+						output: [
+							"Error reading config file: " + e.message,
+							"Make sure to run `config init` or `config default` first"
+						],
+						status: -1
+					}
+				}
+				let entry = config;
+				let source = settingsFile.describeSource(file, cwd);
 				if (key)
-					value = util.deepRead(config, key);
-				if (value === undefined)
+					entry = util.deepRead(config, key);
+				// keys missing from the config file take the default value
+				if (entry === undefined && settingsSchema.getKeySchema(key) !== null) {
+					entry = util.deepRead(Environment.DEFAULT_SETTINGS, key);
+					source = "default settings";
+				}
+				if (entry === undefined)
 					return {
-						output: [ "No such key in config file " + key ],
+						output: [
+							"No such key in config file " + key,
+							settingsSchema.unknownKeyMessage(key)
+						],
 						status: -1
 					}
-				if (typeof(value) === "object") {
-					if (value instanceof Array) {
-						if (value.length <= 5)
-							value = [ key + ": [ " + util.arrayElements(value, false) + " ]" ];
+				if (typeof(entry) === "object") {
+					if (entry instanceof Array) {
+						if (entry.length <= 5)
+							entry = [ key + ": [ " + util.arrayElements(entry, false) + " ]" ];
 						else {
-							value = util.indentBlock(util.arrayElements(value, true));
-							value.unshift("[");
-							value.unshift(key + ":");
-							value.push("]");
+							entry = util.indentBlock(util.arrayElements(entry, true));
+							entry.unshift("[");
+							entry.unshift(key + ":");
+							entry.push("]");
 						}
 					}
 					else {
-						value = util.indentBlock(util.objectFields(value), "  ");
-						value.unshift((key === undefined ? "config" : key) + ":");
+						entry = util.indentBlock(util.objectFields(entry), "  ");
+						entry.unshift((key === undefined ? "config" : key) + ":");
 					}
 				}
 				else
-					value = [ key + ": " + JSON.stringify(value) ];
+					entry = [ key + ": " + JSON.stringify(entry) ];
+				let schema = settingsSchema.getKeySchema(key || "");
+				if (schema !== null && schema.description !== undefined)
+					entry = entry.concat(util.indentBlock(describeKey(key, schema), "  "));
+				entry.push("(from " + source + ")");
 				return {
-					output: value,
+					output: entry,
 					status: 0
 				}
 			case "set":
-				return {
-					output: [
-						"Not implemented"
-					],
-					status: -1
-				}
+			case "add":
+			case "remove":
+				return writeConfig(cmd, key, value);
 		}
 		if (cmd === undefined)
 			return {
@@ -111,11 +491,13 @@ const commands = {
 		};
 	},
 
-	document: function (target) {
+	document: function (target, ...options) {
 		let settings = null;
+		let file = null;
 
 		try {
-			settings = require(path.join(cwd, "./dgen-one-settings.js"));
+			file = getConfigFile();
+			settings = settingsFile.readSettings(file);
 		}
 		catch (e) {
 			return {
@@ -127,56 +509,208 @@ const commands = {
 			}
 		}
 
-		let env = new Environment(settings);
+		let format = options.indexOf("--format");
+		if (format !== -1) {
+			if (options[format + 1] === undefined)
+				return {
+					output: [ "Option --format takes an output format argument, `rst` or `md`" ],
+					status: -1
+				}
+			if (settings.output === undefined)
+				settings.output = {};
+			settings.output.format = options[format + 1];
+		}
+		if (options.indexOf("--no-cache") !== -1) {
+			if (settings.code === undefined)
+				settings.code = {};
+			settings.code.parseCache = false;
+		}
+		if (options.indexOf("--maintainers") !== -1) {
+			if (settings.structure === undefined)
+				settings.structure = {};
+			settings.structure.maintainersBuild = true;
+		}
 
+		let env = null;
 		try {
-			env.autoloadProjectFiles(cwd);
+			// diagnostics are printed with the result
+			env = new Environment(settings, { source: file, echo: false });
 		}
 		catch (e) {
 			return {
 				output: [
 					e.message,
-					"There were errors while reading the code and comments. Stopping."
+					"Fix the settings in `" + settingsFile.describeSource(file, cwd) + "` (see `config get <key>` for a " +
+						"description of each key)"
 				],
 				status: -1
 			}
 		}
 
-		let outputPath = path.join(cwd, settings.paths.outputPath);
+		// set before reading the code, so that the parse cache isn't written either
+		let dryRun = options.indexOf("--dry-run") !== -1;
+		env.setDryRun(dryRun);
 		try {
-			if (target === "files") {
-				env.outputFilesDocumentation(outputPath);
+			env.autoloadProjectFiles(file.dir);
+		}
+		catch (e) {
+			return {
+				output: [
+					e.message,
+					"There were errors while reading the code and comments. Stopping."
+				],
+				status: -1
 			}
-			else if (target === "objects") {
-				env.outputObjectsDocumentation(outputPath);
+		}
+
+		// checked once the plugins are loaded, as they can add renderers for other formats
+		let formats = env.getOutputFormats();
+		if (formats.indexOf(settings.output.format) === -1)
+			return {
+				output: [ "Unknown output format " + settings.output.format + ", use " +
+					formats.map((format) => "`" + format + "`").join(", ") ],
+				status: -1
 			}
-			else return {
-				output: [ "Unknown documentation output target " + target + ", use `files` or `objects`" ],
+
+		// the maintainers build is written separately, so that it doesn't replace the public documentation
+		let outputPath = path.join(file.dir, settings.structure.maintainersBuild ?
+			settings.paths.maintainersOutputPath : settings.paths.outputPath);
+		if (DOCUMENT_TARGETS[target] === undefined)
+			return {
+				output: [ "Unknown documentation output target " + target + ", use `files`, `objects`, `all` or `json`" ],
 				status: -1
 			}
+		let strict = options.indexOf("--strict") !== -1;
+		let actions = null;
+		try {
+			actions = env[DOCUMENT_TARGETS[target]](outputPath, settings);
 		}
 		catch (e) {
 			return {
 				output: [
 					e.message,
 					"There were errors while writing the documentation."
-				]
+				],
+				status: -1
+			}
+		}
+
+		if (dryRun)
+			return addDiagnostics(describeDryRun(actions, outputPath), env, file.dir, strict);
+
+		let result = null;
+		if (target === "json")
+			result = {
+				output: [ "JSON documentation model written to " + util.joinPaths(outputPath, settings.paths.modelFile) ],
+				status: 0
+			}
+		else if (settings.output.format === "md")
+			result = {
+				output: [ "Markdown documentation written to " + outputPath ],
+				status: 0
+			}
+		else
+			result = {
+				output: [
+					"RST documentation written to " + outputPath,
+					"Use the Makefile to run sphinx for further conversion options."
+				],
+				status: 0
 			}
+
+		result = addDiagnostics(result, env, file.dir, strict);
+		if (options.indexOf("--watch") !== -1) {
+			console.log("\n" + result.output.join("\n"));
+			return watchDocumentation(env, target, outputPath, settings, file.dir);
 		}
+		return result;
+	},
 
+	cache: function (cmd) {
+		if (cmd !== "clear")
+			return {
+				output: [ (cmd === undefined ? "Cache takes a second command argument" : "Unknown command `cache " + cmd +
+					"`") + ". Use --help for a list of available options" ],
+				status: -1
+			};
+		let env = null;
+		try {
+			let file = getConfigFile();
+			env = new Environment(settingsFile.readSettings(file), { source: file });
+			env.setBasePath(file.dir);
+		}
+		catch (e) {
+			return {
+				output: [
+					"Error reading config file: " + e.message,
+					"Make sure to run `config init` or `config default` first"
+				],
+				status: -1
+			}
+		}
+		let count = env.clearParseCache();
 		return {
-			output: [
-				"RST documentation written to " + outputPath,
-				"Use the Makefile to run sphinx for further conversion options."
-			],
+			output: [ "Removed " + count + " cached file(s) from " + env.getCachePath() ],
 			status: 0
 		}
 	},
 
+	check: function (...options) {
+		let minimum = undefined;
+		let min = options.indexOf("--min");
+		if (min !== -1) {
+			minimum = Number(options[min + 1]);
+			if (options[min + 1] === undefined || isNaN(minimum) || minimum < 0)
+				return {
+					output: [ "Option --min takes a minimum coverage percentage argument, eg. 80" ],
+					status: -1
+				}
+		}
+
+		// in JSON mode the report is the only output, so that it can be read by other tools
+		let json = options.indexOf("--json") !== -1;
+		let strict = options.indexOf("--strict") !== -1;
+
+		let report = null;
+		let env = null;
+		let file = null;
+		try {
+			file = getConfigFile();
+			let settings = settingsFile.readSettings(file);
+			env = new Environment(settings, { source: file, echo: false });
+			env.autoloadProjectFiles(file.dir);
+			report = env.getCoverage(settings, minimum);
+		}
+		catch (e) {
+			return {
+				output: [
+					"Error checking the documentation: " + e.message,
+					"Make sure to run `config init` or `config default` first"
+				],
+				status: -1
+			}
+		}
+
+		if (json) {
+			report.diagnostics = env.getDiagnostics().getAll();
+			let failed = !report.passed || env.getDiagnostics().hasErrors() || (strict && env.getDiagnostics().hasWarnings());
+			return {
+				output: JSON.stringify(report, null, "\t").split("\n"),
+				status: failed ? -1 : 0
+			}
+		}
+		return addDiagnostics({
+			output: coverage.formatReport(report),
+			status: report.passed ? 0 : -1
+		}, env, file.dir, strict);
+	},
+
 	help: function (cmd) {
 		let output = help.__application__;
 		if (cmd)
 			output = help[cmd] === undefined ? help.__unknown__ : help[cmd];
+		if (cmd === "directives")
+			output = output.concat(describeCustomDirectives());
 		return {
 			output: util.indentBlock(output, "  "),
 			status: 0
@@ -194,10 +728,23 @@ let args = process.argv.slice(2);
 
 let command = args.shift();
 
+let configOption = args.indexOf("--config");
+if (configOption !== -1) {
+	if (args[configOption + 1] === undefined)
+		printAndExit({ output: [ "Option --config takes a config file argument" ], status: -1 });
+	configPath = args[configOption + 1];
+	args.splice(configOption, 2);
+}
+
 if (commands[command]) {
 	if ((args.indexOf("-h") !== -1) || (args.indexOf("--help") !== -1))
 		printAndExit(commands.help(command));
-	printAndExit(commands[command].apply(null, args));
+	// commands which ask for input return a promise
+	let result = commands[command].apply(null, args);
+	if (result instanceof Promise)
+		result.then(printAndExit);
+	else
+		printAndExit(result);
 }
-
-printAndExit(commands._());
+else
+	printAndExit(commands._());
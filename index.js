@@ -8,6 +8,7 @@ const Environment = require("./src/environment.js");
 
 const CodeTree = require("./src/codetree.js");
 const CodeUnit = require("./src/codeunit.js");
+const Diagnostics = require("./src/diagnostics.js");
 const DirectiveEngine = require("./src/directive_engine.js");
 const Generator = require("./src/generator.js");
 
@@ -21,6 +22,7 @@ module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
 
 module.exports.CodeTree = CodeTree;
 module.exports.CodeUnit = CodeUnit;
+module.exports.Diagnostics = Diagnostics;
 module.exports.DirectiveEngine = DirectiveEngine;
 module.exports.Generator = Generator;
 
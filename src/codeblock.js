@@ -5,22 +5,53 @@
  * class declaration
  */
 
+const tokenizer = require("./tokenizer.js");
 const util = require("./util.js");
 
 /*
  * Regex patterns used to read the code
+ *
+ * The `*_HEADER` and `*_START` patterns only match the beginning of a block, the rest of the block
+ * is read using the tokenizer; the full `*_DECLARATION` and `ASSIGNMENT` patterns are only used
+ * as fallback when the code can't be tokenized (eg. unterminated strings)
  */
 const PATTERNS = {
 	COMMENT_LINE: /^[ \t\n]*\/{2}.*\n/,
 	COMMENT_BLOCK: /^[ \t\n]*\/\*.*\n/,
 	REQUIRE_MODULE: /^[ \t\n]*(var|const)[ \t\n]+[a-zA-Z1-9_]+[ \t\n]*=[ \t\n]*require\(['"].+['"]\);?/,
-	FUN_DECLARATION: /^[ \t\n]*(((let|var|const)[ \t\n]+[a-zA-Z0-9_]+[ \t\n]*=[ \t\n]*function)|(function[ \t\n]+[a-zA-Z0-9]+))[ \t\n]*\([^()]*\)[ \t\n]*{/,
+	IMPORT_MODULE: /^[ \t\n]*import[ \t\n]+([^;'"()]*[ \t\n]from[ \t\n]*)?['"][^'"\n]+['"][ \t]*;?/,
+	EXPORT_DECLARATION: /^[ \t\n]*export[ \t\n]+(default[ \t\n]+)?(?=(async[ \t\n]+)?(function|class|const|let|var)[ \t\n*])/,
+	EXPORT_LIST: /^[ \t\n]*export[ \t\n]+(\*([ \t\n]+as[ \t\n]+[a-zA-Z0-9_$]+)?|\{[^}]*\})([ \t\n]*from[ \t\n]*['"][^'"\n]+['"])?[ \t]*;?/,
+	EXPORT_STATEMENT: /^[ \t\n]*export[ \t\n]+/,
+	FUN_HEADER: /^[ \t\n]*(((let|var|const)[ \t\n]+[a-zA-Z0-9_$]+[ \t\n]*=[ \t\n]*(async[ \t\n]+)?function([ \t\n]*\*)?)|((async[ \t\n]+)?function([ \t\n]*\*[ \t\n]*|[ \t\n]+)[a-zA-Z0-9_$]+))[ \t\n]*\(/,
+	FUN_DECLARATION: /^[ \t\n]*(((let|var|const)[ \t\n]+[a-zA-Z0-9_$]+[ \t\n]*=[ \t\n]*(async[ \t\n]+)?function([ \t\n]*\*)?)|((async[ \t\n]+)?function([ \t\n]*\*[ \t\n]*|[ \t\n]+)[a-zA-Z0-9_$]+))[ \t\n]*\([^()]*\)[ \t\n]*{/,
+	ARROW_HEADER: /^[ \t\n]*(let|var|const)[ \t\n]+[a-zA-Z0-9_$]+[ \t\n]*=[ \t\n]*(async[ \t\n]*(?=\()|async[ \t\n]+)?(?=\(|[a-zA-Z0-9_$]+[ \t\n]*=>)/,
+	ARROW_EXPRESSION: /^[ \t\n]*(async[ \t\n]*(?=\()|async[ \t\n]+)?(?=\(|[a-zA-Z0-9_$]+[ \t\n]*=>)/,
+	FUN_EXPRESSION: /^[ \t\n]*(async[ \t\n]+)?function([ \t\n]*\*)?[ \t\n]*([a-zA-Z0-9_$]+[ \t\n]*)?\(/,
 	VAR_DECLARATION: /^[ \t\n]*(const|var|let)[ \t\n]+[a-zA-Z0-9_]+[ \t\n]*=[ \t\n]*.*/,
 	CLASS_DECLARATION: /^[ \t\n]*class[ \t\n]+[a-zA-Z0-9_]+[ \t\n]*( extends[ \t\n]+[a-zA-Z0-9_]+[ \t\n]*)?{/,
+	ASSIGNMENT_START: /^[ \t\n]*[a-zA-Z0-9_.]+[ \t\n]*=(?!=)/,
 	ASSIGNMENT: /^[ \t\n]*[a-zA-Z0-9_.]+[ \t\n]*=[ \t\n]*.*;/,
-	METHOD_DECLARATION: /^[ \t\n]*[a-zA-Z0-9_]+[ \t\n]*\([^()]*\)[ \t\n]*{/
+	METHOD_MODIFIERS: /^[ \t\n]*(((static|async|get|set)[ \t\n]+|\*[ \t\n]*)(?=[a-zA-Z0-9_$#[*]))*/,
+	METHOD_HEADER: /^[ \t\n]*(((static|async|get|set)[ \t\n]+|\*[ \t\n]*)(?=[a-zA-Z0-9_$#[*]))*(#?[a-zA-Z0-9_$]+|\[[^\]\n]+\])[ \t\n]*\(/,
+	METHOD_DECLARATION: /^[ \t\n]*(((static|async|get|set)[ \t\n]+|\*[ \t\n]*)(?=[a-zA-Z0-9_$#[*]))*(#?[a-zA-Z0-9_$]+|\[[^\]\n]+\])[ \t\n]*\([^()]*\)[ \t\n]*{/,
+	FIELD_DECLARATION: /^[ \t\n]*(static[ \t\n]+)?(#?[a-zA-Z0-9_$]+|\[[^\]\n]+\])[ \t]*(=(?!=)|;|\n|$)/,
+	FIELD: /^[ \t\n]*(static[ \t\n]+)?(#?[a-zA-Z0-9_$]+|\[[^\]\n]+\])[ \t]*(=[^;\n]*)?;?/
 };
 
+/*
+ * JSDoc tags recognized in comments, any other `@word` row in a comment is a directive
+ *
+ * Tags which are also used as directives (eg `alias` or `export`) are not included
+ */
+const JSDOC_TAGS = [ "param", "arg", "argument", "returns", "return", "throws", "exception", "example",
+	"deprecated", "since", "see", "author", "version", "license", "copyright", "todo", "type", "typedef",
+	"callback", "property", "prop", "template", "yields", "yield", "fires", "emits", "listens", "default",
+	"async", "generator", "override", "readonly", "abstract", "function", "func", "method", "class",
+	"constructor", "module", "namespace", "memberof", "augments", "extends", "implements", "interface",
+	"enum", "description", "summary", "file", "fileoverview", "overview", "requires", "this", "access",
+	"public", "protected", "static", "instance", "inner", "global", "event", "tutorial" ];
+
 /*
  * CodeBlock class
  *
@@ -88,11 +119,13 @@ class CodeBlock {
 	 * - CodeBlock object, use this as a copy constructor
 	 * `row`: number, optional, starting row for the content (not used in copy-constructor mode)
 	 *     default value is 0
+	 * `context`: string, optional, the kind of code the content is part of, see `getBlockMeta`
+	 *     (not used in copy-constructor mode)
 	 *
 	 * If more than one block is present in the content, only the first block
 	 * will be processed into this CodeBlock object
 	 */
-	constructor (content, row) {
+	constructor (content, row, context) {
 		if (content instanceof CodeBlock) {
 			this.type = content.getType();
 			this.content = content.getContent();
@@ -101,21 +134,29 @@ class CodeBlock {
 			this.rowsBefore = content.getRowsBefore();
 			this.rowsAfter = content.getRowsAfter();
 			this.exportedName = content.getExportedName();
+			this.moduleExport = content.getModuleExport();
 			this.aliases = [];
 			this.assignedFields = {};
+			this.visibility = "public";
+			this.category = null;
 			this._parent = content.getParent();
 		}
 		else {
+			this.moduleExport = null;
 			if (content) {
-				let meta = CodeBlock.getBlockMeta(content);
+				let meta = CodeBlock.getBlockMeta(content, context);
 				this.type = meta.type;
 				this.content = content.slice(0, meta.length);
 				this.rowCount = this.content.split("\n").length;
+				if (meta.moduleExport !== undefined)
+					this.moduleExport = meta.moduleExport;
 			}
 			this.startingRow = row !== undefined ? row : 0;
 			this.rowsBefore = 0;
 			this.rowsAfter = 0;
 			this.exportedName = null;
+			this.visibility = "public";
+			this.category = null;
 			this._parent = null;
 		}
 		// store previous and next blocks in this array, index is level
@@ -138,8 +179,9 @@ class CodeBlock {
 	/*
 	 * Get the string type for this CodeBlock instance.
 	 *
-	 * Returns string, one of `commentLine`, `commentBlock`, `requireModule`, `funDeclaration`,
-	 * `varDeclaration`, `classDeclaration`, `methodDeclaration`, `assignment` or `unknown`
+	 * Returns string, one of `commentLine`, `commentBlock`, `requireModule`, `importModule`,
+	 * `exportStatement`, `funDeclaration`, `varDeclaration`, `classDeclaration`, `methodDeclaration`,
+	 * `assignment` or `unknown`
 	 */
 	getType () {
 		return this.type;
@@ -234,6 +276,28 @@ class CodeBlock {
 		this.exportedName = name;
 	}
 
+	/*
+	 * Get the ES module export keyword preceding this CodeBlock, if any
+	 *
+	 * Returns string, `named` for `export <declaration>`, `default` for `export default <declaration>`
+	 * or `null` if the declaration is not exported with the `export` keyword
+	 */
+	getModuleExport () {
+		return this.moduleExport;
+	}
+
+	/*
+	 * Get the content of this CodeBlock without the ES module `export` keyword
+	 *
+	 * Returns string, the content of the declaration as it would be written without `export` or
+	 * `export default`; indentation is preserved
+	 */
+	getDeclarationContent () {
+		if (this.moduleExport === null)
+			return this.content;
+		return this.content.replace(/^([ \t\n]*)export[ \t\n]+(default[ \t\n]+)?/, "$1");
+	}
+
 	/*
 	 * Get a copy of the aliases list for this CodeBlock
 	 *
@@ -279,6 +343,43 @@ class CodeBlock {
 		return this.aliases.length;
 	}
 
+	/*
+	 * Get the documentation visibility of this CodeBlock, set by the `ignore` and `internal`
+	 * directives
+	 *
+	 * Returns: string, `public` (documented), `internal` (only documented in the maintainers
+	 * build) or `ignore` (never documented)
+	 */
+	getVisibility () {
+		return this.visibility;
+	}
+
+	/*
+	 * Set the documentation visibility of this CodeBlock, see `getVisibility`
+	 * `visibility`: string, `public`, `internal` or `ignore`
+	 */
+	setVisibility (visibility) {
+		this.visibility = visibility;
+	}
+
+	/*
+	 * Get the category of this CodeBlock in the objects documentation, set by the `category`
+	 * directive
+	 *
+	 * Returns: object `{ name, weight }` or null if no category was set
+	 */
+	getCategory () {
+		return this.category;
+	}
+
+	/*
+	 * Set the category of this CodeBlock in the objects documentation, see `getCategory`
+	 * `category`: object `{ name, weight }`, the category name and the ordering weight
+	 */
+	setCategory (category) {
+		this.category = category;
+	}
+
 	/*
 	 * Assign a value to an object field for this CodeBlock
 	 * `field`: string, name of the field
@@ -411,6 +512,10 @@ class CodeBlock {
 				return new CommentBlock(this);
 			case "requireModule":
 				return new RequireBlock(this);
+			case "importModule":
+				return new ImportBlock(this);
+			case "exportStatement":
+				return new ExportBlock(this);
 			case "funDeclaration":
 				return new FunctionBlock(this);
 			case "varDeclaration":
@@ -419,6 +524,8 @@ class CodeBlock {
 				return new ClassBlock(this);
 			case "methodDeclaration":
 				return new MethodBlock(this);
+			case "fieldDeclaration":
+				return new FieldBlock(this);
 			case "assignment":
 				return new AssignmentBlock(this);
 		}
@@ -447,8 +554,24 @@ class CodeBlock {
 
 }
 
-CodeBlock.getBlockLength = function(content) {
-	let l = content.indexOf("{");
+/*
+ * Get the length of a block delimited by curly brackets, eg a function or class declaration
+ * `content`: string, the code starting with the block
+ * `start`: number, optional, position of the opening bracket of the block body; if not given,
+ *     the first opening bracket in the code is used
+ * Returns: number, the length of the block, including any trailing semicolons
+ */
+CodeBlock.getBlockLength = function(content, start) {
+	let l = start !== undefined ? start : tokenizer.findFirst(content, "{");
+	let r = l !== -1 ? tokenizer.findClosing(content, l) : -1;
+	if (r !== -1) {
+		l = r + 1;
+		while (content[l] === ";")
+			l++;
+		return l;
+	}
+	// fallback in case the code can't be tokenized, count brackets regardless of context
+	l = content.indexOf("{");
 	let c = 0;
 	while (l < content.length) {
 		if (content[l] === "{")
@@ -462,7 +585,193 @@ CodeBlock.getBlockLength = function(content) {
 	while (content[l] === ";")
 		l++;
 	return l;
-}
+};
+
+/*
+ * Get the length of a statement, eg a variable declaration or an assignment
+ * `content`: string, the code starting with the statement
+ * `fallback`: regex, pattern matching the statement, used if the code can't be tokenized
+ * Returns: number, the length of the statement, up to the end of its last row
+ */
+CodeBlock.getStatementLength = function(content, fallback) {
+	let l = tokenizer.findStatementEnd(content, 0);
+	if (l <= 0) {
+		let match = fallback !== undefined ? content.match(fallback) : null;
+		if (match !== null)
+			return match[0].length;
+		l = 0;
+	}
+	// blocks always end at the end of a row
+	l = content.indexOf("\n", l);
+	if (l === -1)
+		l = content.length;
+	return l;
+};
+
+/*
+ * Find the opening bracket of a declaration body, eg the body of a function or a method
+ * `content`: string, the code starting with the declaration
+ * `header`: regex, pattern matching the declaration up to and including the opening paranthesis
+ *     of the argument list
+ * Returns: number, position of the opening bracket of the body or -1 if the code does not start
+ * with such a declaration
+ */
+CodeBlock.getBodyStart = function(content, header) {
+	let match = content.match(header);
+	if (match === null)
+		return -1;
+	let close = tokenizer.findClosing(content, match[0].length - 1);
+	if (close === -1)
+		return -1;
+	let body = content.slice(close + 1).match(/^[ \t\n]*{/);
+	if (body === null)
+		return -1;
+	return close + body[0].length;
+};
+
+/*
+ * Check if the code starts with a declaration
+ * `content`: string, the code to check
+ * `header`: regex, pattern matching the declaration up to the argument list
+ * `fallback`: regex, pattern matching the entire declaration header, used if the code can't be tokenized
+ * Returns: boolean, true if the code starts with the declaration
+ */
+CodeBlock.isDeclaration = function(content, header, fallback) {
+	if (content.match(header) === null)
+		return false;
+	if (CodeBlock.getBodyStart(content, header) !== -1)
+		return true;
+	return content.match(fallback) !== null;
+};
+
+/*
+ * Read the signature of an arrow function declaration, eg `const myFun = async (a, b) => {`
+ * `content`: string, the declaration code
+ * `header`: regex, optional, pattern matching the declaration up to the argument list, defaults to
+ *     a variable declaration; use `ARROW_EXPRESSION` to read arrow functions without a declaration
+ * Returns: object, the signature or null if the code does not start with an arrow function declaration:
+ * - `header`: string, the declaration before the argument list, eg `const myFun = async`
+ * - `args`: array of strings, the arguments, eg `[ "a", "b" ]`
+ * - `bodyStart`: number, position of the opening bracket of the body, -1 for single expression bodies
+ * - `expressionStart`: number, position where the body (block or expression) starts
+ */
+CodeBlock.readArrowSignature = function(content, header) {
+	let match = content.match(header !== undefined ? header : PATTERNS.ARROW_HEADER);
+	if (match === null)
+		return null;
+
+	let pos = match[0].length;
+	let args;
+	if (content[pos] === "(") {
+		let close = tokenizer.findClosing(content, pos);
+		if (close === -1)
+			return null;
+		args = tokenizer.splitTopLevel(content.slice(pos + 1, close), ",");
+		if (args === null)
+			return null;
+		pos = close + 1;
+	}
+	else {
+		// single argument without paranthesis, eg `x => x * 2`
+		args = [ content.slice(pos).match(/^[a-zA-Z0-9_$]+/)[0] ];
+		pos += args[0].length;
+	}
+
+	let arrow = content.slice(pos).match(/^[ \t\n]*=>[ \t\n]*/);
+	if (arrow === null)
+		return null;
+	pos += arrow[0].length;
+
+	return {
+		header: util.clean(match[0].replace(/\n/g, " ")),
+		args: args.map((arg) => util.clean(arg.replace(/\n/g, " "))).filter((arg) => arg.length > 0),
+		bodyStart: content[pos] === "{" ? pos : -1,
+		expressionStart: pos
+	};
+};
+
+/*
+ * Read the signature of a function or method declaration
+ * `content`: string, the declaration code
+ * Returns: object, the signature:
+ * - `header`: string, the declaration before the argument list, eg `const myFun = function`
+ * - `args`: array of strings, the arguments, eg `[ "a", "b = f(1, 2)" ]`
+ * - `bodyStart`: number, position of the opening bracket of the body
+ */
+CodeBlock.readSignature = function(content) {
+	let open = tokenizer.findFirst(content, "(");
+	let close = open !== -1 ? tokenizer.findClosing(content, open) : -1;
+	let bodyStart = close !== -1 ? tokenizer.findFirst(content, "{", close) : -1;
+	let args = bodyStart !== -1 ? tokenizer.splitTopLevel(content.slice(open + 1, close), ",") : null;
+
+	if (args !== null) {
+		return {
+			header: util.clean(content.slice(0, open).replace(/\n/g, " ")),
+			args: args.map((arg) => util.clean(arg.replace(/\n/g, " "))).filter((arg) => arg.length > 0),
+			bodyStart: bodyStart
+		};
+	}
+
+	// fallback in case the code can't be tokenized
+	let k = content.indexOf("{");
+	let header = util.clean(content.slice(0, k));
+
+	let arglist = header.match(/\(.*\)/g)[0];
+	header = header.replace(arglist, " ");
+	arglist = util.trim(arglist.slice(1, -1));
+
+	return {
+		header: util.clean(header),
+		args: arglist.length ? arglist.split(",").map((arg) => util.trim(arg)) : [],
+		bodyStart: k
+	};
+};
+
+/*
+ * Read a function expression, eg the value in `MyClass.prototype.run = function (a, b) {...}`
+ * `content`: string, the expression code
+ * Returns: object, the function or null if the code is not a function expression:
+ * - `args`: array of strings, the arguments
+ * - `body`: string, the function body (or the expression for single expression arrow functions)
+ * - `flags`: object, the `async`, `generator` and `arrow` flags, as for FunctionBlock objects
+ */
+CodeBlock.readFunctionExpression = function(content) {
+	let signature = CodeBlock.readArrowSignature(content, PATTERNS.ARROW_EXPRESSION);
+	let arrow = signature !== null;
+	if (!arrow) {
+		if (content.match(PATTERNS.FUN_EXPRESSION) === null)
+			return null;
+		signature = CodeBlock.readSignature(content);
+	}
+
+	let ret = {
+		args: signature.args,
+		flags: {
+			async: signature.header.match(/(^| )async( |$)/) !== null,
+			generator: !arrow && signature.header.indexOf("*") !== -1,
+			arrow: arrow
+		}
+	};
+	if (signature.bodyStart !== -1)
+		ret.body = util.deindentBlock(content.slice(signature.bodyStart+1).replace(/};?$/, ""));
+	else
+		ret.body = util.trim(content.slice(signature.expressionStart).replace(/;[ \t]*$/, ""));
+	return ret;
+};
+
+/*
+ * Read the name of a class member, eg `#count` or `[Symbol.iterator]`
+ * `content`: string, the code starting with the member name (after any modifiers)
+ * Returns: string, the member name
+ */
+CodeBlock.readMemberName = function(content) {
+	if (content[0] !== "[")
+		return content.match(/^#?[a-zA-Z0-9_$]*/)[0];
+	let close = tokenizer.findClosing(content, 0);
+	if (close === -1)
+		close = content.indexOf("]");
+	return content.slice(0, close + 1);
+};
 
 CodeBlock.getCommentLineMeta = function(content) {
 	let ret = {
@@ -494,11 +803,61 @@ CodeBlock.getRequireModuleMeta = function(content) {
 	return ret;
 };
 
+CodeBlock.getImportModuleMeta = function(content) {
+	let ret = {
+		type: "importModule"
+	};
+	let match = content.match(PATTERNS.IMPORT_MODULE);
+	ret.length = match[0].length;
+	return ret;
+};
+
+CodeBlock.getExportDeclarationMeta = function(content) {
+	let prefix = content.match(PATTERNS.EXPORT_DECLARATION)[0];
+	let ret = CodeBlock.getBlockMeta(content.slice(prefix.length));
+	// only declarations are handled here, anything else is a generic export statement
+	if ([ "funDeclaration", "classDeclaration", "varDeclaration" ].indexOf(ret.type) === -1)
+		return CodeBlock.getExportStatementMeta(content);
+	ret.length += prefix.length;
+	ret.moduleExport = prefix.match(/default/) !== null ? "default" : "named";
+	return ret;
+};
+
+CodeBlock.getExportStatementMeta = function(content) {
+	let ret = {
+		type: "exportStatement"
+	};
+	let match = content.match(PATTERNS.EXPORT_LIST);
+	if (match !== null) {
+		ret.length = match[0].length;
+		return ret;
+	}
+	// export default <expression>, the expression can span multiple rows if it has a body
+	let row = content.indexOf("\n");
+	if (row === -1)
+		row = content.length;
+	if (content.slice(0, row).indexOf("{") !== -1)
+		ret.length = CodeBlock.getBlockLength(content);
+	else
+		ret.length = row;
+	return ret;
+};
+
 CodeBlock.getFunDeclarationMeta = function(content) {
 	let ret = {
 		type: "funDeclaration"
 	};
-	ret.length = CodeBlock.getBlockLength(content);
+	let arrow = CodeBlock.readArrowSignature(content);
+	if (arrow !== null) {
+		// arrow functions have either a block body or a single expression
+		if (arrow.bodyStart !== -1)
+			ret.length = CodeBlock.getBlockLength(content, arrow.bodyStart);
+		else
+			ret.length = CodeBlock.getStatementLength(content);
+		return ret;
+	}
+	let start = CodeBlock.getBodyStart(content, PATTERNS.FUN_HEADER);
+	ret.length = CodeBlock.getBlockLength(content, start !== -1 ? start : undefined);
 	return ret;
 };
 
@@ -506,8 +865,7 @@ CodeBlock.getVarDeclarationMeta = function(content) {
 	let ret = {
 		type: "varDeclaration"
 	};
-	let match = content.match(PATTERNS.VAR_DECLARATION);
-	ret.length = match[0].length;
+	ret.length = CodeBlock.getStatementLength(content, PATTERNS.VAR_DECLARATION);
 	return ret;
 };
 
@@ -523,8 +881,7 @@ CodeBlock.getAssignmentMeta = function(content) {
 	let ret = {
 		type: "assignment"
 	};
-	let match = content.match(PATTERNS.ASSIGNMENT);
-	ret.length = match[0].length;
+	ret.length = CodeBlock.getStatementLength(content, PATTERNS.ASSIGNMENT);
 	return ret;
 };
 
@@ -532,21 +889,48 @@ CodeBlock.getMethodDeclarationMeta = function(content) {
 	let ret = {
 		type: "methodDeclaration"
 	};
-	ret.length = CodeBlock.getBlockLength(content);
+	let start = CodeBlock.getBodyStart(content, PATTERNS.METHOD_HEADER);
+	ret.length = CodeBlock.getBlockLength(content, start !== -1 ? start : undefined);
+	return ret;
+};
+
+CodeBlock.getFieldDeclarationMeta = function(content) {
+	let ret = {
+		type: "fieldDeclaration"
+	};
+	ret.length = CodeBlock.getStatementLength(content, PATTERNS.FIELD);
 	return ret;
 };
 
-CodeBlock.getUnknownBlockMeta = function(content) {
+CodeBlock.getUnknownBlockMeta = function(content, statement) {
 	let ret = {
 		type: "unknown"
 	};
-	ret.length = content.indexOf("\n");
+	// unknown statements spanning multiple rows (eg function calls with callbacks) are read as a
+	// single block so that their content is not mistaken for declarations
+	if (statement)
+		ret.length = CodeBlock.getStatementLength(content);
+	else
+		ret.length = content.indexOf("\n");
+	if (ret.length <= 0)
+		ret.length = content.indexOf("\n");
 	if (ret.length === -1)
 		ret.length = content.length;
 	return ret;
 };
 
-CodeBlock.getBlockMeta = function(content) {
+/*
+ * Get the type and length of the first block in the code
+ * `content`: string, the code
+ * `context`: string, optional, the kind of code the content is part of:
+ * - `class`: class body, which can only contain methods and fields
+ * - any other value: module or function body
+ * Returns: object, the block meta:
+ * - `type`: string, the block type, eg `funDeclaration` or `unknown`
+ * - `length`: number, the length of the block content
+ * - `moduleExport`: string, only set for exported declarations, `named` or `default`
+ */
+CodeBlock.getBlockMeta = function(content, context) {
 	// quick-fix for minified files
 	if (content.indexOf("\n") === -1 || content.indexOf("\n") > 1000)
 		return CodeBlock.getUnknownBlockMeta(content);
@@ -554,19 +938,33 @@ CodeBlock.getBlockMeta = function(content) {
 		return CodeBlock.getCommentLineMeta(content);
 	if (content.match(PATTERNS.COMMENT_BLOCK) !== null)
 		return CodeBlock.getCommentBlockMeta(content);
+	if (context === "class") {
+		if (CodeBlock.isDeclaration(content, PATTERNS.METHOD_HEADER, PATTERNS.METHOD_DECLARATION))
+			return CodeBlock.getMethodDeclarationMeta(content);
+		if (content.match(PATTERNS.FIELD_DECLARATION) !== null)
+			return CodeBlock.getFieldDeclarationMeta(content);
+		return CodeBlock.getUnknownBlockMeta(content, true);
+	}
 	if (content.match(PATTERNS.REQUIRE_MODULE) !== null)
 		return CodeBlock.getRequireModuleMeta(content);
-	if (content.match(PATTERNS.FUN_DECLARATION) !== null)
+	if (content.match(PATTERNS.IMPORT_MODULE) !== null)
+		return CodeBlock.getImportModuleMeta(content);
+	if (content.match(PATTERNS.EXPORT_DECLARATION) !== null)
+		return CodeBlock.getExportDeclarationMeta(content);
+	if (content.match(PATTERNS.EXPORT_STATEMENT) !== null)
+		return CodeBlock.getExportStatementMeta(content);
+	if (CodeBlock.isDeclaration(content, PATTERNS.FUN_HEADER, PATTERNS.FUN_DECLARATION) ||
+		CodeBlock.readArrowSignature(content) !== null)
 		return CodeBlock.getFunDeclarationMeta(content);
 	if (content.match(PATTERNS.VAR_DECLARATION) !== null)
 		return CodeBlock.getVarDeclarationMeta(content);
 	if (content.match(PATTERNS.CLASS_DECLARATION) !== null)
 		return CodeBlock.getClassDeclarationMeta(content);
-	if (content.match(PATTERNS.ASSIGNMENT) !== null)
+	if (content.match(PATTERNS.ASSIGNMENT_START) !== null)
 		return CodeBlock.getAssignmentMeta(content);
-	if (content.match(PATTERNS.METHOD_DECLARATION) !== null)
+	if (CodeBlock.isDeclaration(content, PATTERNS.METHOD_HEADER, PATTERNS.METHOD_DECLARATION))
 		return CodeBlock.getMethodDeclarationMeta(content);
-	return CodeBlock.getUnknownBlockMeta(content);
+	return CodeBlock.getUnknownBlockMeta(content, true);
 };
 
 /*
@@ -583,12 +981,38 @@ class CommentBlock extends CodeBlock {
 				(row) => row.replace(/^[ \t]*\/\//, ""));
 		if (this.type === "commentBlock")
 			this.text = this.text.map(
-				(row) => row.replace(/(^[ \t]*)?\*\/[ \t]*$/, "").replace(/^[ \t]*((\/\*)|(\*))?/, ""));
+				(row) => row.replace(/(^[ \t]*)?\*\/[ \t]*$/, "").replace(/^[ \t]*((\/\*\*?)|(\*))?/, ""));
 		let indent = "";
 		this.text = this.text.map((row) => row.replace(/[ \t]*$/, ""));
 		this.directives = [];
+		this.tags = {
+			params: [],
+			returns: null,
+			throws: [],
+			examples: [],
+			deprecated: null,
+			since: null,
+			other: []
+		};
 		for (let i=0; i<this.text.length; i++) {
-			if (this.text[i].match(/^[ \t]*@[a-zA-Z0-9_]+/g) !== null) {
+			let m = this.text[i].match(/^[ \t]*@([a-zA-Z0-9_]+)/);
+			if (m === null)
+				continue;
+			if (JSDOC_TAGS.indexOf(m[1]) !== -1) {
+				// the tag text continues up to the next tag or directive; examples can contain empty
+				// rows, for other tags an empty row ends the tag
+				let rows = [ this.text[i].replace(/^[ \t]*@[a-zA-Z0-9_]+/, "") ];
+				let j = i + 1;
+				while (j < this.text.length && this.text[j].match(/^[ \t]*@[a-zA-Z0-9_]+/) === null) {
+					if (m[1] !== "example" && this.text[j].length === 0)
+						break;
+					rows.push(this.text[j]);
+					j++;
+				}
+				this.addTag(m[1], rows);
+				this.text.splice(i, j - i);
+			}
+			else {
 				let row = util.clean(this.text[i]).split(" ");
 				let dir = row.shift();
 				this.directives.push({
@@ -596,11 +1020,104 @@ class CommentBlock extends CodeBlock {
 					args: row
 				});
 				this.text.splice(i, 1);
-				i--;
 			}
+			i--;
+		}
+	}
+
+	/*
+	 * Add a JSDoc tag to the tags model of this comment block
+	 * `tag`: string, the tag name without `@`, eg `param`
+	 * `rows`: array of strings, the tag text rows, starting with the text after the tag name
+	 */
+	addTag (tag, rows) {
+		let text = util.trim(rows.map((row) => util.trim(row)).join(" "));
+		let typed = CommentBlock.readTagType(text);
+
+		switch (tag) {
+			case "param":
+			case "arg":
+			case "argument": {
+				// eg `{string} name - description`, `[name]` or `[name=default]` for optional params
+				let param = {
+					name: null,
+					type: typed.type,
+					optional: false,
+					defaultValue: null,
+					description: ""
+				};
+				let rest = typed.text;
+				let m = rest.match(/^\[([^\]=]+)(=([^\]]*))?\]/);
+				if (m !== null) {
+					param.name = util.trim(m[1]);
+					param.optional = true;
+					if (m[3] !== undefined)
+						param.defaultValue = util.trim(m[3]);
+				}
+				else
+					m = rest.match(/^[^ ]*/);
+				if (param.name === null)
+					param.name = m[0];
+				if (param.type !== null && param.type.slice(-1) === "=") {
+					param.type = param.type.slice(0, -1);
+					param.optional = true;
+				}
+				param.description = util.trim(rest.slice(m[0].length)).replace(/^-[ \t]*/, "");
+				this.tags.params.push(param);
+				break;
+			}
+			case "returns":
+			case "return":
+				this.tags.returns = { type: typed.type, description: typed.text.replace(/^-[ \t]*/, "") };
+				break;
+			case "throws":
+			case "exception":
+				this.tags.throws.push({ type: typed.type, description: typed.text.replace(/^-[ \t]*/, "") });
+				break;
+			case "example":
+				// the example code starts on the row after the tag unless it's on the same row
+				if (text.length)
+					this.tags.examples.push(util.trimRows(util.deindentBlock(rows.slice(rows[0].trim().length ? 0 : 1))));
+				break;
+			case "deprecated":
+				this.tags.deprecated = text;
+				break;
+			case "since":
+				this.tags.since = text;
+				break;
+			default:
+				this.tags.other.push({ tag: tag, text: text });
 		}
 	}
 
+	/*
+	 * Determine if this comment block contains any JSDoc tags
+	 * Returns: boolean, true if any tags were found
+	 */
+	hasTags () {
+		let tags = this.tags;
+		return tags.params.length > 0 || tags.returns !== null || tags.throws.length > 0 ||
+			tags.examples.length > 0 || tags.deprecated !== null || tags.since !== null || tags.other.length > 0;
+	}
+
+	/*
+	 * Get the JSDoc tags found in this comment block
+	 *
+	 * Returns: object, reference to the internal tags object:
+	 * - `params`: array of objects, `@param` tags: `{ name, type, optional, defaultValue, description }`
+	 * - `returns`: object, the `@returns` tag: `{ type, description }` or null if there is none
+	 * - `throws`: array of objects, `@throws` tags: `{ type, description }`
+	 * - `examples`: array of arrays of strings, the rows of each `@example` tag
+	 * - `deprecated`: string, the `@deprecated` text (can be empty) or null if not deprecated
+	 * - `since`: string, the `@since` version or null if not specified
+	 * - `other`: array of objects, any other tags: `{ tag, text }`, eg `{ tag: "see", text: "MyClass" }`
+	 *
+	 * Types are null if not specified in the tag.
+	 */
+	getTags () {
+		return this.tags;
+	}
+
 	hasDirectives () {
 		return this.directives.length > 0;
 	}
@@ -624,9 +1141,9 @@ class CommentBlock extends CodeBlock {
 
 	getTrimmedText () {
 		let ret = this.text.slice(0);
-		while (!ret[0].length)
+		while (ret.length && !ret[0].length)
 			ret.shift();
-		while (!ret[ret.length-1].length)
+		while (ret.length && !ret[ret.length-1].length)
 			ret.pop();
 		return ret;
 	}
@@ -878,6 +1395,28 @@ class CommentBlock extends CodeBlock {
 
 }
 
+/*
+ * Read the type of a JSDoc tag, eg `{Object<string, number>}` from `{Object<string, number>} name`
+ * `text`: string, the tag text after the tag name
+ * Returns: object:
+ * - `type`: string, the type without the curly brackets or null if the text doesn't start with a type
+ * - `text`: string, the rest of the text
+ */
+CommentBlock.readTagType = function(text) {
+	if (text[0] !== "{")
+		return { type: null, text: text };
+	let depth = 0;
+	for (let i=0; i<text.length; i++) {
+		if (text[i] === "{")
+			depth++;
+		if (text[i] === "}")
+			depth--;
+		if (depth === 0)
+			return { type: util.trim(text.slice(1, i)), text: util.trim(text.slice(i + 1)) };
+	}
+	return { type: null, text: text };
+};
+
 /*
  * RequireBlock class - represents require statements in code
  */
@@ -941,6 +1480,184 @@ class RequireBlock extends CodeBlock {
 
 }
 
+/*
+ * ImportBlock class - represents ES module import statements in code
+ *
+ * Handles default, namespace and named imports as well as side effect imports, eg
+ * `import x from "y"`, `import * as x from "y"`, `import x, { a, b as c } from "y"` or `import "y"`
+ */
+
+class ImportBlock extends CodeBlock {
+
+	constructor (codeblock) {
+		super(codeblock);
+
+		let content = util.clean(this.content.replace(/\n/g, " "));
+
+		this.module = {
+			path: content.match(/["'][^"']+["']/g)[0].slice(1, -1)
+		};
+		if (this.module.path.match(/^.{0,2}\//) === null)
+			this.module.type = "external";
+		else
+			this.module.type = "internal";
+
+		// each name is an object { name, field, kind }, where `name` is the local identifier,
+		// `field` is the imported field (null for default and namespace imports) and `kind` is
+		// one of `default`, `namespace` or `named`
+		this.names = [];
+
+		let clause = content.match(/^import (.+) from ?["']/);
+		if (clause === null)
+			return;
+		clause = util.trim(clause[1]);
+
+		let named = clause.match(/\{.*\}/);
+		if (named !== null) {
+			clause = clause.replace(named[0], "");
+			named[0].slice(1, -1).split(",").map((el) => {
+				el = util.trim(el);
+				if (!el.length)
+					return;
+				el = el.split(/ as /);
+				this.names.push({ name: util.trim(el[el.length - 1]), field: util.trim(el[0]), kind: "named" });
+			});
+		}
+
+		clause.split(",").map((el) => {
+			el = util.trim(el);
+			if (!el.length)
+				return;
+			if (el.indexOf("*") === 0)
+				this.names.push({ name: util.trim(el.replace(/^\* ?as /, "")), field: null, kind: "namespace" });
+			else
+				this.names.push({ name: el, field: null, kind: "default" });
+		});
+	}
+
+	getImportedNames () {
+		return this.names.map((el) => Object.assign({}, el));
+	}
+
+	getModuleType () {
+		return this.module.type;
+	}
+
+	getModulePath () {
+		return this.module.path;
+	}
+
+	toString () {
+		let ret = [ super.toString() ];
+
+		ret.push("names: " + this.names.map((el) => el.kind + " " +
+			(el.field !== null ? el.field + " as " : "") + el.name).join(", "));
+		ret.push("module: [" + this.module.type + "] " + this.module.path);
+
+		return ret.join("\n    ");
+	}
+
+}
+
+/*
+ * ExportBlock class - represents ES module export statements which are not declarations
+ *
+ * Declarations such as `export function x () {}` are read into their specific block instances,
+ * which will return the `export` keyword via `getModuleExport()`. This class handles the other
+ * forms, eg `export default x`, `export { a, b as c }` or re-exports `export { a } from "y"`
+ */
+
+class ExportBlock extends CodeBlock {
+
+	constructor (codeblock) {
+		super(codeblock);
+
+		let content = util.clean(this.content.replace(/\n/g, " ")).replace(/^export /, "").replace(/;$/, "");
+
+		// each name is an object { name, exportedName }, where `name` is the local identifier
+		// (or the field of the re-exported module) and `exportedName` is the name it is exported as
+		this.names = [];
+		this.value = null;
+		this.module = null;
+
+		let from = content.match(/ ?from ?["']([^"']+)["']$/);
+		if (from !== null) {
+			content = content.replace(from[0], "");
+			this.module = { path: from[1] };
+			if (this.module.path.match(/^.{0,2}\//) === null)
+				this.module.type = "external";
+			else
+				this.module.type = "internal";
+		}
+
+		if (content.indexOf("default ") === 0) {
+			this.kind = "default";
+			this.value = util.trim(content.replace(/^default /, ""));
+		}
+		else if (content.indexOf("*") === 0) {
+			this.kind = "all";
+			let ns = content.match(/^\* ?as (.+)$/);
+			if (ns !== null)
+				this.names.push({ name: null, exportedName: util.trim(ns[1]) });
+		}
+		else {
+			this.kind = "list";
+			content.replace(/^\{/, "").replace(/\}$/, "").split(",").map((el) => {
+				el = util.trim(el);
+				if (!el.length)
+					return;
+				el = el.split(/ as /);
+				this.names.push({ name: util.trim(el[0]), exportedName: util.trim(el[el.length - 1]) });
+			});
+		}
+	}
+
+	/*
+	 * Get the kind of export statement
+	 *
+	 * Returns string, one of `default` (`export default x`), `list` (`export { a, b }`) or
+	 * `all` (`export * from "y"`)
+	 */
+	getKind () {
+		return this.kind;
+	}
+
+	getExportedNames () {
+		return this.names.map((el) => Object.assign({}, el));
+	}
+
+	getValue () {
+		return this.value;
+	}
+
+	isReexport () {
+		return this.module !== null;
+	}
+
+	getModuleType () {
+		return this.module !== null ? this.module.type : null;
+	}
+
+	getModulePath () {
+		return this.module !== null ? this.module.path : null;
+	}
+
+	toString () {
+		let ret = [ super.toString() ];
+
+		ret.push("kind: " + this.kind);
+		if (this.value !== null)
+			ret.push("value: " + this.value);
+		if (this.names.length)
+			ret.push("names: " + this.names.map((el) => el.name + " as " + el.exportedName).join(", "));
+		if (this.module !== null)
+			ret.push("module: [" + this.module.type + "] " + this.module.path);
+
+		return ret.join("\n    ");
+	}
+
+}
+
 /*
  * FunctionBlock class - represents function declarations in code
  */
@@ -950,12 +1667,18 @@ class FunctionBlock extends CodeBlock {
 	constructor (codeblock) {
 		super(codeblock);
 
-		let k = this.content.indexOf("{");
-		let header = util.clean(this.content.slice(0, k));
-
-		let arglist = header.match(/\(.*\)/g)[0];
-		header = header.replace(arglist, " ");
-		arglist = util.trim(arglist.slice(1, -1));
+		let content = this.getDeclarationContent();
+		let signature = CodeBlock.readArrowSignature(content);
+		let arrow = signature !== null;
+		if (!arrow)
+			signature = CodeBlock.readSignature(content);
+		let header = signature.header;
+
+		this.flags = {
+			async: header.match(/(^| )async( |$)/) !== null,
+			generator: header.indexOf("*") !== -1,
+			arrow: arrow
+		};
 
 		this.identifier = {};
 
@@ -965,15 +1688,39 @@ class FunctionBlock extends CodeBlock {
 		else
 			this.identifier.type = "none";
 
-		this.identifier.name =
-			util.clean(header.replace(/^(const|var|let) /, "").replace(/(( |^)function( |$)|=)/g, ""));
+		this.identifier.name = util.clean(header.replace(/^(const|var|let) /, "")
+			.replace(/(( |^)(async|function)(?=[ *]|$)|=|\*)/g, " "));
+
+		this.args = signature.args;
 
-		if (arglist.length)
-			this.args = arglist.split(",").map((arg) => util.trim(arg));
+		if (signature.bodyStart !== -1)
+			this.body = util.deindentBlock(content.slice(signature.bodyStart+1).replace(/};?$/, ""));
 		else
-			this.args = [];
+			this.body = util.trim(content.slice(signature.expressionStart).replace(/;[ \t]*$/, ""));
+	}
 
-		this.body = util.deindentBlock(this.content.slice(k+1).replace(/};?$/, ""));
+	/*
+	 * Get the flags describing the kind of function declared
+	 *
+	 * Returns: object, copy of the flags object:
+	 * - `async`: boolean, true for async functions
+	 * - `generator`: boolean, true for generator functions (`function*`)
+	 * - `arrow`: boolean, true for arrow functions
+	 */
+	getFlags () {
+		return Object.assign({}, this.flags);
+	}
+
+	isAsync () {
+		return this.flags.async;
+	}
+
+	isGenerator () {
+		return this.flags.generator;
+	}
+
+	isArrow () {
+		return this.flags.arrow;
 	}
 
 	getIdentifierName () {
@@ -1034,7 +1781,13 @@ class FunctionBlock extends CodeBlock {
 		if (body.length > 100)
 			body = body.slice(0, 100) + " ... ";
 
+		let flags = [];
+		for (let i in this.flags)
+			if (this.flags[i])
+				flags.push(i);
+
 		ret.push("identifier: " + this.identifier.type + " " + this.identifier.name);
+		ret.push("flags: " + (flags.length ? flags.join(", ") : "<none>"));
 		ret.push("arguments: " + this.args.join(", "));
 		ret.push("body: " + body);
 
@@ -1052,9 +1805,11 @@ class VariableBlock extends CodeBlock {
 	constructor (codeblock) {
 		super(codeblock);
 
-		let parts = this.content.replace(/[ \t]+/g, " ").split("=");
-		let l = util.trim(parts[0]).split(" ");
-		let r = util.trim(parts[1].replace(/\n/g, " ").replace(/;[ \t]*$/, ""));
+		let content = this.getDeclarationContent().replace(/[ \t]+/g, " ");
+		let k = content.indexOf("=");
+		let l = util.clean(content.slice(0, k).replace(/\n/g, " ")).split(" ");
+		// the value can span multiple rows, rows are kept as they are
+		let r = content.slice(k+1).replace(/;[ \t]*$/, "").replace(/^[ \t\n]*/, "").replace(/[ \t\n]*$/, "");
 
 		this.identifier = {
 			type: l[0],
@@ -1108,6 +1863,10 @@ class VariableBlock extends CodeBlock {
 
 /*
  * ClassBlock class - represents class declarations in code
+ *
+ * Prototype-style classes (a constructor function with methods assigned to its prototype) are also
+ * represented as ClassBlock objects, created from the FunctionBlock of the constructor function;
+ * the methods and fields are added using `addPrototypeMember()`
  */
 
 class ClassBlock extends CodeBlock {
@@ -1115,23 +1874,69 @@ class ClassBlock extends CodeBlock {
 	constructor (codeblock) {
 		super(codeblock);
 
-		let k = this.content.indexOf("{");
-		let header = util.clean(this.content.slice(0, k)).split(" extends ");
-
-		this.identifier = {
-			type: "class",
-			name: header[0].split(" ")[1]
-		};
+		if (codeblock instanceof FunctionBlock) {
+			this.type = "classDeclaration";
+			this.prototypeStyle = true;
 
-		if (header.length === 2)
-			this.super = header[1];
-		else
+			this.identifier = {
+				type: "class",
+				name: codeblock.getIdentifierName()
+			};
 			this.super = null;
+			this.body = codeblock.getBody();
+
+			// the constructor function is the class constructor
+			this.contentBlock = new ContentBlock(undefined, this.startingRow);
+			this.contentBlock.setParent(this);
+			this.contentBlock.appendBlock(new MethodBlock(codeblock));
+		}
+		else {
+			let content = this.getDeclarationContent();
+			let k = content.indexOf("{");
+			let header = util.clean(content.slice(0, k)).split(" extends ");
+
+			this.prototypeStyle = false;
+
+			this.identifier = {
+				type: "class",
+				name: header[0].split(" ")[1]
+			};
 
-		this.body = util.deindentBlock(this.content.slice(k+1).replace(/};?$/, ""));
+			if (header.length === 2)
+				this.super = header[1];
+			else
+				this.super = null;
+
+			this.body = util.deindentBlock(content.slice(k+1).replace(/};?$/, ""));
+
+			this.contentBlock = new ContentBlock(this.body, this.startingRow, "class");
+			this.contentBlock.setParent(this);
+		}
+	}
+
+	/*
+	 * Add a member to a prototype-style class
+	 * `assignment`: AssignmentBlock object, assignment to the prototype (eg `MyClass.prototype.run = ...`)
+	 *     or to the constructor function itself for static members (eg `MyClass.create = ...`)
+	 *
+	 * Function values are added as methods, anything else as fields. The member is linked to the same
+	 * blocks as the assignment (one way only), so that comments before the assignment are found.
+	 */
+	addPrototypeMember (assignment) {
+		let member;
+		if (CodeBlock.readFunctionExpression(assignment.getValue()) !== null)
+			member = new MethodBlock(assignment);
+		else
+			member = new FieldBlock(assignment);
+		for (let level=0; level<3; level++) {
+			member.setPrev(level, assignment.getPrev(level));
+			member.setNext(level, assignment.getNext(level));
+		}
+		this.contentBlock.appendBlock(member);
+	}
 
-		this.contentBlock = new ContentBlock(this.body, this.startingRow);
-		this.contentBlock.setParent(this);
+	isPrototypeStyle () {
+		return this.prototypeStyle;
 	}
 
 	getIdentifierName () {
@@ -1148,14 +1953,40 @@ class ClassBlock extends CodeBlock {
 		return this.identifier.name;
 	}
 
+	getNamespacePath () {
+		let ret = [];
+		let target = this;
+		while (target) {
+			let name = target.getExportedName();
+			if (name !== "<empty>")
+				ret.unshift(name);
+			if (!(target.getParent instanceof Function))
+				break;
+			target = target.getParent();
+		}
+		return ret;
+	}
+
 	getSuperName () {
 		return this.super;
 	}
 
+	/*
+	 * Set the base class name, eg for prototype-style classes using `util.inherits()`
+	 * `name`: string, the base class name or null if there is none
+	 */
+	setSuperName (name) {
+		this.super = name;
+	}
+
 	getDeclaredMethods () {
 		return this.declaredMethods.slice(0);
 	}
 
+	getDeclaredFields () {
+		return this.declaredFields.slice(0);
+	}
+
 	getBody () {
 		return this.body;
 	}
@@ -1189,12 +2020,21 @@ class ClassBlock extends CodeBlock {
 
 	buildMeta () {
 		this.declaredMethods = [];
+		this.declaredFields = [];
 		let blocks = this.contentBlock.getBlocks();
 		for (let i=0; i<blocks.length; i++) {
 			if (blocks[i] instanceof MethodBlock) {
 				this.declaredMethods.push({
 					name: blocks[i].getFieldName(),
-					args: blocks[i].getArguments()
+					args: blocks[i].getArguments(),
+					flags: blocks[i].getFlags()
+				});
+			}
+			if (blocks[i] instanceof FieldBlock) {
+				this.declaredFields.push({
+					name: blocks[i].getFieldName(),
+					value: blocks[i].getValue(),
+					flags: blocks[i].getFlags()
 				});
 			}
 		}
@@ -1221,34 +2061,90 @@ class ClassBlock extends CodeBlock {
 }
 
 /*
- * MethodBlock class - represents member method of class
+ * MethodBlock class - represents member method of class, including getters, setters,
+ * static, async, generator, private (`#name`) and computed (`[name]`) methods
+ *
+ * For prototype-style classes, method blocks are created from the assignment to the prototype
+ * (AssignmentBlock object) and from the constructor function (FunctionBlock object)
  */
 class MethodBlock extends CodeBlock {
 
 	constructor (codeblock) {
 		super(codeblock);
 
-		let k = this.content.indexOf("{");
-		let header = util.clean(this.content.slice(0, k));
-
-		let arglist = header.match(/\(.*\)/g)[0];
-		header = header.replace(arglist, " ");
-		arglist = util.trim(arglist.slice(1, -1));
+		if (codeblock instanceof FunctionBlock) {
+			// constructor function of a prototype-style class
+			this.name = "constructor";
+			this.flags = MethodBlock.getDefaultFlags();
+			this.args = codeblock.getArguments();
+			this.body = codeblock.getBody();
+		}
+		else if (codeblock instanceof AssignmentBlock) {
+			// method assigned to a prototype-style class or its prototype
+			let target = codeblock.getTarget();
+			let fun = CodeBlock.readFunctionExpression(codeblock.getValue());
+			this.name = target.split(".").pop();
+			this.flags = MethodBlock.getDefaultFlags();
+			this.flags.static = target.indexOf(".prototype.") === -1;
+			this.flags.async = fun.flags.async;
+			this.flags.generator = fun.flags.generator;
+			this.args = fun.args;
+			this.body = fun.body;
+		}
+		else {
+			let content = this.content.replace(/^[ \t\n]*/, "");
+			let modifiers = content.match(PATTERNS.METHOD_MODIFIERS)[0];
+			let words = util.clean(modifiers.replace(/\*/g, " * ").replace(/\n/g, " ")).split(" ");
+
+			this.name = CodeBlock.readMemberName(content.slice(modifiers.length));
+
+			this.flags = {
+				static: words.indexOf("static") !== -1,
+				async: words.indexOf("async") !== -1,
+				generator: words.indexOf("*") !== -1,
+				getter: words.indexOf("get") !== -1,
+				setter: words.indexOf("set") !== -1,
+				private: this.name[0] === "#",
+				computed: this.name[0] === "["
+			};
 
-		this.name = util.clean(header);
+			let offset = modifiers.length + this.name.length;
+			let signature = CodeBlock.readSignature(content.slice(offset));
 
-		if (arglist.length)
-			this.args = arglist.split(",").map((arg) => util.trim(arg));
-		else
-			this.args = [];
+			this.args = signature.args;
 
-		this.body = util.deindentBlock(this.content.slice(k+1).replace(/};?$/, ""));
+			this.body = util.deindentBlock(content.slice(offset + signature.bodyStart + 1).replace(/};?$/, ""));
+		}
 	}
 
 	getFieldName () {
 		return this.name;
 	}
 
+	/*
+	 * Get the flags describing the kind of method declared
+	 *
+	 * Returns: object, copy of the flags object:
+	 * - `static`: boolean, true for static methods
+	 * - `async`: boolean, true for async methods
+	 * - `generator`: boolean, true for generator methods (`*name`)
+	 * - `getter`: boolean, true for property getters (`get name`)
+	 * - `setter`: boolean, true for property setters (`set name`)
+	 * - `private`: boolean, true for private methods (`#name`)
+	 * - `computed`: boolean, true for methods with computed names (`[name]`)
+	 */
+	getFlags () {
+		return Object.assign({}, this.flags);
+	}
+
+	isStatic () {
+		return this.flags.static;
+	}
+
+	isAccessor () {
+		return this.flags.getter || this.flags.setter;
+	}
+
 	getArguments () {
 		return this.args.slice(0);
 	}
@@ -1278,7 +2174,13 @@ class MethodBlock extends CodeBlock {
 		if (body.length > 100)
 			body = body.slice(0, 100) + " ... ";
 
+		let flags = [];
+		for (let i in this.flags)
+			if (this.flags[i])
+				flags.push(i);
+
 		ret.push("name: " + this.name);
+		ret.push("flags: " + (flags.length ? flags.join(", ") : "<none>"));
 		ret.push("arguments: " + this.args.join(", "));
 		ret.push("body: " + body);
 
@@ -1287,6 +2189,128 @@ class MethodBlock extends CodeBlock {
 
 }
 
+/*
+ * Get the flags of a plain method, see `getFlags()`
+ * Returns: object, new flags object with all flags set to false
+ */
+MethodBlock.getDefaultFlags = function() {
+	return {
+		static: false,
+		async: false,
+		generator: false,
+		getter: false,
+		setter: false,
+		private: false,
+		computed: false
+	};
+};
+
+/*
+ * FieldBlock class - represents field declaration of class, eg `count = 0;` or `static #cache;`
+ */
+class FieldBlock extends CodeBlock {
+
+	constructor (codeblock) {
+		super(codeblock);
+
+		if (codeblock instanceof AssignmentBlock) {
+			// value assigned to a prototype-style class or its prototype
+			let target = codeblock.getTarget();
+			this.name = target.split(".").pop();
+			this.value = codeblock.getValue();
+			this.flags = {
+				static: target.indexOf(".prototype.") === -1,
+				private: false,
+				computed: false
+			};
+		}
+		else {
+			let content = this.content.replace(/^[ \t\n]*/, "");
+			let modifier = content.match(/^static[ \t\n]+/);
+			if (modifier !== null)
+				content = content.slice(modifier[0].length);
+
+			this.name = CodeBlock.readMemberName(content);
+
+			// the value can span multiple rows, rows are kept as they are
+			let value = content.slice(this.name.length).replace(/;[ \t]*$/, "").replace(/^[ \t\n]*/, "");
+			if (value[0] === "=")
+				this.value = value.slice(1).replace(/^[ \t\n]*/, "").replace(/[ \t\n]*$/, "");
+			else
+				this.value = null;
+
+			this.flags = {
+				static: modifier !== null,
+				private: this.name[0] === "#",
+				computed: this.name[0] === "["
+			};
+		}
+	}
+
+	getFieldName () {
+		return this.name;
+	}
+
+	/*
+	 * Get the initial value of the field
+	 *
+	 * Returns: string, the value code or null if the field is declared without a value
+	 */
+	getValue () {
+		return this.value;
+	}
+
+	/*
+	 * Get the flags describing the kind of field declared
+	 *
+	 * Returns: object, copy of the flags object:
+	 * - `static`: boolean, true for static fields
+	 * - `private`: boolean, true for private fields (`#name`)
+	 * - `computed`: boolean, true for fields with computed names (`[name]`)
+	 */
+	getFlags () {
+		return Object.assign({}, this.flags);
+	}
+
+	isStatic () {
+		return this.flags.static;
+	}
+
+	getExportedName () {
+		if (this.exportedName)
+			return this.exportedName;
+		return this.name;
+	}
+
+	getNamespacePath () {
+		let ret = [ this.getExportedName() ];
+		let target = this.getParent();
+		if (target === null)
+			return ret;
+		target = target.getParent();
+		if (target === null)
+			return ret;
+		ret.unshift(target.getExportedName());
+		return ret;
+	}
+
+	toString () {
+		let ret = [ super.toString() ];
+
+		let flags = [];
+		for (let i in this.flags)
+			if (this.flags[i])
+				flags.push(i);
+
+		ret.push("name: " + this.name);
+		ret.push("flags: " + (flags.length ? flags.join(", ") : "<none>"));
+		ret.push("value: " + (this.value !== null ? this.value : "<none>"));
+
+		return ret.join("\n    ");
+	}
+
+}
+
 /*
  * AssignmentBlock class - represents value assignments in code
  */
@@ -1329,9 +2353,11 @@ class AssignmentBlock extends CodeBlock {
 
 class ContentBlock extends CodeBlock {
 
-	constructor (content, row) {
+	constructor (content, row, context) {
 		super();
 		this.blocks = [];
+		this.parseErrors = [];
+		this.context = context !== undefined ? context : null;
 		if (content !== undefined) {
 			this.loadCode(content, row);
 			this.type = "contentBlock";
@@ -1346,6 +2372,7 @@ class ContentBlock extends CodeBlock {
 	loadCode (content, row) {
 		this.content = content;
 		this.blocks = [];
+		this.parseErrors = [];
 
 		if (row === undefined)
 			row = 1;
@@ -1362,9 +2389,16 @@ class ContentBlock extends CodeBlock {
 
 		while (content.length > 0) {
 			// get next block and convert it to specific block instance
-			let block = new CodeBlock(content, row);
+			let block = new CodeBlock(content, row, this.context);
 			content = content.slice(block.getContentLength());
-			let specific = block.toSpecificInstance();
+			let specific = block;
+			try {
+				specific = block.toSpecificInstance();
+			}
+			catch (e) {
+				// keep the generic block, the rest of the content can still be documented
+				this.parseErrors.push({ message: "Can't parse " + block.getType() + " block: " + e.message, row: row });
+			}
 			specific.setParent(this);
 			this.blocks.push(specific);
 
@@ -1414,6 +2448,21 @@ class ContentBlock extends CodeBlock {
 		return "<empty>";
 	}
 
+	/*
+	 * Get the errors found while parsing this content block and the content blocks nested in it
+	 * (blocks which can't be parsed are kept as generic code blocks)
+	 * Returns: array of objects `{ message, row }`
+	 */
+	getParseErrors () {
+		let ret = this.parseErrors.slice(0);
+		for (let i=0; i<this.blocks.length; i++) {
+			let nested = this.blocks[i].getContentBlock instanceof Function ? this.blocks[i].getContentBlock() : null;
+			if (nested instanceof ContentBlock)
+				ret = ret.concat(nested.getParseErrors());
+		}
+		return ret;
+	}
+
 	getContentLength () {
 		return this.content.length;
 	}
@@ -1444,6 +2493,38 @@ class ContentBlock extends CodeBlock {
 		return this.blocks[0];
 	}
 
+	/*
+	 * Add a block at the end of this content block, without linking it to the other blocks
+	 * `block`: CodeBlock object, the block to add
+	 */
+	appendBlock (block) {
+		block.setParent(this);
+		this.blocks.push(block);
+	}
+
+	/*
+	 * Replace a block of this content block with another block, at the same position and with the same links
+	 * `block`: CodeBlock object, the block to replace
+	 * `replacement`: CodeBlock object, the new block
+	 */
+	replaceBlock (block, replacement) {
+		let i = this.blocks.indexOf(block);
+		if (i === -1)
+			return;
+		this.blocks[i] = replacement;
+		replacement.setParent(this);
+		for (let level=0; level<3; level++) {
+			let prev = block.getPrev(level);
+			let next = block.getNext(level);
+			replacement.setPrev(level, prev);
+			replacement.setNext(level, next);
+			if (prev !== null)
+				prev.setNext(level, replacement);
+			if (next !== null)
+				next.setPrev(level, replacement);
+		}
+	}
+
 	getBlockByFieldName (name) {
 		for (let i=0; i<this.blocks.length; i++) {
 			if (this.blocks[i].getFieldName instanceof Function)
@@ -1550,9 +2631,14 @@ module.exports = CodeBlock;
 module.exports.AssignmentBlock = AssignmentBlock;
 module.exports.ClassBlock = ClassBlock;
 module.exports.MethodBlock = MethodBlock;
+module.exports.FieldBlock = FieldBlock;
 module.exports.VariableBlock = VariableBlock;
 module.exports.FunctionBlock = FunctionBlock;
 module.exports.RequireBlock = RequireBlock;
+module.exports.ImportBlock = ImportBlock;
+module.exports.ExportBlock = ExportBlock;
 module.exports.CommentBlock = CommentBlock;
 
 module.exports.ContentBlock = ContentBlock;
+
+module.exports.JSDOC_TAGS = JSDOC_TAGS;
@@ -5,6 +5,12 @@
 const CodeUnit = require("./codeunit.js");
 const util = require("./util.js");
 
+/*
+ * Suffixes tried when resolving a module path to a unit path, in order; this allows linking
+ * modules imported without extension, ES modules (`.mjs`) and directories with an index file
+ */
+const RESOLVE_SUFFIXES = [ "", ".js", ".mjs", ".cjs", "/index.js", "/index.mjs" ];
+
 /*
  * CodeTree class
  *
@@ -20,7 +26,7 @@ const util = require("./util.js");
  * The CodeTree creates the linking automatically by looking at the units
  * required by each member of the tree.
  *
- * Identical units are identified by their path (used by require statements).
+ * Identical units are identified by their path (used by require and import statements).
  *
  * Anything "above" (previous) is included (required) by the module
  *
@@ -42,6 +48,15 @@ class CodeTree {
 		this.main = null;
 	}
 
+	/*
+	 * Get all the unit paths a module path could resolve to
+	 * `path`: string, full module path as used by a require or import statement
+	 * Returns: array of strings, candidate unit paths, in order of preference
+	 */
+	resolveCandidates (path) {
+		return RESOLVE_SUFFIXES.map((suffix) => path + suffix);
+	}
+
 	/*
 	 * Link (add) a new unit to this CodeTree
 	 * `unit`: CodeUnit object, unit to link
@@ -49,7 +64,7 @@ class CodeTree {
 	 *
 	 * This method looks at the units already in the tree and creates any new links
 	 * between them and the newly added CodeUnit based on the modules included by each unit
-	 * via the `require()` calls in the units' code.
+	 * via the `require()` calls and `import` statements in the units' code.
 	 */
 	linkUnit (unit, main) {
 		let path = util.joinPaths(this.basepath, unit.getPath());
@@ -60,8 +75,11 @@ class CodeTree {
 			base = i.split("/").slice(0, -1).join("/");
 			imported = this.paths[i].getImportedObjects();
 			for (let j=0; j<imported.length; j++) {
+				// external modules are not resolved relative to the unit
+				if (imported[j].type === "external")
+					continue;
 				let fullPath = util.joinPaths(base, imported[j].path);
-				if (fullPath === path) {
+				if (this.resolveCandidates(fullPath).indexOf(path) !== -1) {
 					this.paths[i].linkPrev(unit);
 					unit.linkNext(this.paths[i]);
 				}
@@ -69,15 +87,7 @@ class CodeTree {
 		}
 
 		// does this unit use any already linked units?
-		base = path.split("/").slice(0, -1).join("/");
-		imported = unit.getImportedObjects();
-		for (let i=0; i<imported.length; i++) {
-			let fullPath = util.joinPaths(base, imported[i].path);
-			if (this.paths[fullPath] !== undefined) {
-				this.paths[fullPath].linkNext(unit);
-				unit.linkPrev(this.paths[fullPath]);
-			}
-		}
+		this.linkImports(unit);
 
 		this.units.push(unit);
 		this.paths[path] = unit;
@@ -86,6 +96,76 @@ class CodeTree {
 			this.main = unit;
 	}
 
+	/*
+	 * Link a unit to the units it imports, which are already in this CodeTree
+	 * `unit`: CodeUnit object, unit to link
+	 */
+	linkImports (unit) {
+		let base = util.joinPaths(this.basepath, unit.getPath()).split("/").slice(0, -1).join("/");
+		let imported = unit.getImportedObjects();
+		for (let i=0; i<imported.length; i++) {
+			if (imported[i].type === "external")
+				continue;
+			let candidates = this.resolveCandidates(util.joinPaths(base, imported[i].path));
+			for (let j=0; j<candidates.length; j++) {
+				if (this.paths[candidates[j]] !== undefined) {
+					this.paths[candidates[j]].linkNext(unit);
+					unit.linkPrev(this.paths[candidates[j]]);
+					break;
+				}
+			}
+		}
+	}
+
+	/*
+	 * Relink a unit after its code was reloaded (eg. with `CodeUnit.loadCode()`)
+	 * `unit`: CodeUnit object, unit already in this CodeTree
+	 *
+	 * The links to the units it imports are rebuilt, since its imports may have changed; the links
+	 * from units importing it only depend on its path, so they are kept.
+	 */
+	relinkUnit (unit) {
+		let prev = unit.getPrev();
+		for (let i=0; i<prev.length; i++) {
+			prev[i].unlinkNext(unit);
+			unit.unlinkPrev(prev[i]);
+		}
+		this.linkImports(unit);
+	}
+
+	/*
+	 * Remove a unit from this CodeTree, together with all its links
+	 * `unit`: CodeUnit object, unit to remove
+	 */
+	removeUnit (unit) {
+		let prev = unit.getPrev();
+		for (let i=0; i<prev.length; i++) {
+			prev[i].unlinkNext(unit);
+			unit.unlinkPrev(prev[i]);
+		}
+		let next = unit.getNext();
+		for (let i=0; i<next.length; i++) {
+			next[i].unlinkPrev(unit);
+			unit.unlinkNext(next[i]);
+		}
+		let index = this.units.indexOf(unit);
+		if (index !== -1)
+			this.units.splice(index, 1);
+		delete this.paths[util.joinPaths(this.basepath, unit.getPath())];
+		if (this.main === unit)
+			this.main = null;
+	}
+
+	/*
+	 * Get a unit by its path
+	 * `path`: string, unit path, as used when the unit was linked
+	 * Returns: CodeUnit object or null if there is no unit with this path
+	 */
+	getUnitByPath (path) {
+		let unit = this.paths[util.joinPaths(this.basepath, path)];
+		return unit !== undefined ? unit : null;
+	}
+
 	/*
 	 * Find the roots of the CodeTree.
 	 *
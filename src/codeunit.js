@@ -6,12 +6,23 @@ const CodeBlock = require("./codeblock.js");
 
 const CommentBlock = CodeBlock.CommentBlock;
 const RequireBlock = CodeBlock.RequireBlock;
+const ImportBlock = CodeBlock.ImportBlock;
+const ExportBlock = CodeBlock.ExportBlock;
 const FunctionBlock = CodeBlock.FunctionBlock;
 const VariableBlock = CodeBlock.VariableBlock;
 const ClassBlock = CodeBlock.ClassBlock;
 const AssignmentBlock = CodeBlock.AssignmentBlock;
 const ContentBlock = CodeBlock.ContentBlock;
 
+/*
+ * Regex patterns used to find the base class of prototype-style classes, the first group is the
+ * class, the second group is the base class (both may end with `.prototype`)
+ */
+const INHERITANCE_PATTERNS = [
+	/^[ \t\n]*(?:[a-zA-Z0-9_$]+\.)?inherits\([ \t\n]*([a-zA-Z0-9_$.]+)[ \t\n]*,[ \t\n]*([a-zA-Z0-9_$.]+)[ \t\n]*\)/,
+	/^[ \t\n]*Object\.setPrototypeOf\([ \t\n]*([a-zA-Z0-9_$.]+)[ \t\n]*,[ \t\n]*([a-zA-Z0-9_$.]+)[ \t\n]*\)/
+];
+
 /*
  * CodeUnit class
  *
@@ -23,14 +34,28 @@ const ContentBlock = CodeBlock.ContentBlock;
  */
 class CodeUnit {
 
-	constructor (content, row, path, name, description) {
+	/*
+	 * Constructor
+	 * `content`: string, file content
+	 * `row`: number, row of the first line of content
+	 * `path`: string, file path relative to project path
+	 * `name`: string, optional, name for this unit
+	 * `description`: string, optional, description for this unit
+	 * `contentBlock`: ContentBlock object, optional, the already parsed content (eg. read from the
+	 *                 parse cache), the content is not parsed again if given
+	 */
+	constructor (content, row, path, name, description, contentBlock) {
 		this.content = content;
-		this.contentBlock = new ContentBlock(content, row);
+		this.contentBlock = contentBlock !== undefined ? contentBlock : new ContentBlock(content, row);
 		this.contentBlock.setParent(this);
 		this.path = path;
 		this.name = name;
 		this.exportedName = null;
 		this.description = description;
+		this.loadedAt = new Date();
+		this.directiveErrors = [];
+		this.visibility = "public";
+		this.category = null;
 		this.buildMeta();
 		this.link = {
 			prev: [],
@@ -40,6 +65,12 @@ class CodeUnit {
 
 	loadCode (content, row) {
 		this.content = content;
+		// the exported name can be set by directives, which have to run again on the new code
+		this.exportedName = null;
+		this.loadedAt = new Date();
+		this.directiveErrors = [];
+		this.visibility = "public";
+		this.category = null;
 		this.contentBlock.loadCode(content, row);
 		this.buildMeta();
 	}
@@ -53,6 +84,8 @@ class CodeUnit {
 		this.exportedObjects = [];
 		this.importedObjects = [];
 
+		this.buildPrototypeClasses();
+
 		let blocks = this.contentBlock.getBlocks();
 		for (let i=0; i<blocks.length; i++) {
 
@@ -67,12 +100,46 @@ class CodeUnit {
 				});
 			}
 
+			if (blocks[i] instanceof ImportBlock) {
+				// pick up all imported objects from ES module import statements
+				let names = blocks[i].getImportedNames();
+				// side effect imports don't declare any names, but they are still needed for linking
+				if (names.length === 0)
+					names.push({ name: null, field: null });
+				for (let j=0; j<names.length; j++) {
+					this.importedObjects.push({
+						word: "import",
+						name: names[j].name,
+						type: blocks[i].getModuleType(),
+						path: blocks[i].getModulePath(),
+						field: names[j].field
+					});
+				}
+			}
+
+			if ((blocks[i] instanceof ExportBlock) && blocks[i].isReexport()) {
+				// re-exported objects are also imported from the module
+				let names = blocks[i].getExportedNames();
+				if (names.length === 0)
+					names.push({ name: null, exportedName: null });
+				for (let j=0; j<names.length; j++) {
+					this.importedObjects.push({
+						word: "export",
+						name: names[j].exportedName,
+						type: blocks[i].getModuleType(),
+						path: blocks[i].getModulePath(),
+						field: names[j].name
+					});
+				}
+			}
+
 			if (blocks[i] instanceof FunctionBlock) {
 				// pick up all function declarations
 				this.declaredFunctions.push({
 					word: blocks[i].getIdentifierType(),
 					name: blocks[i].getIdentifierName(),
-					args: blocks[i].getArguments()
+					args: blocks[i].getArguments(),
+					flags: blocks[i].getFlags()
 				});
 			}
 
@@ -82,7 +149,8 @@ class CodeUnit {
 					word: blocks[i].getIdentifierType(),
 					name: blocks[i].getIdentifierName(),
 					super: blocks[i].getSuperName(),
-					methods: blocks[i].getDeclaredMethods()
+					methods: blocks[i].getDeclaredMethods(),
+					fields: blocks[i].getDeclaredFields()
 				});
 			}
 
@@ -106,6 +174,8 @@ class CodeUnit {
 			let obj;
 			for (let j=0; j<this.importedObjects.length; j++) {
 				let imported = this.importedObjects[j].name;
+				if (imported === null)
+					continue;
 				if (blocks[i].getValue().indexOf(imported + ".") === 0) {
 					obj = this.importedObjects[j];
 					break;
@@ -136,6 +206,111 @@ class CodeUnit {
 				this.exportedMain = blocks[i].getValue();
 			this.exportedObjects.push(blocks[i].getValue());
 		}
+
+		// processing ES module exports
+		// declarations preceded by the export keyword are exported by their identifier name
+		blocks = this.contentBlock.getBlocks();
+		for (let i=0; i<blocks.length; i++) {
+			if (blocks[i].getModuleExport() === null || !(blocks[i].getIdentifierName instanceof Function))
+				continue;
+			let name = blocks[i].getIdentifierName();
+			if (blocks[i].getModuleExport() === "default")
+				this.exportedMain = name;
+			this.exportedObjects.push(name);
+		}
+
+		// export statements export local objects by name, possibly renamed
+		blocks = this.contentBlock.getBlocksByInstance(ExportBlock);
+		for (let i=0; i<blocks.length; i++) {
+			if (blocks[i].isReexport())
+				continue;
+			if (blocks[i].getKind() === "default") {
+				let value = blocks[i].getValue();
+				// only identifiers can be linked to declared objects
+				if (value.match(/^[a-zA-Z0-9_$]+$/) === null)
+					continue;
+				this.exportedMain = value;
+				this.exportedObjects.push(value);
+				continue;
+			}
+			let names = blocks[i].getExportedNames();
+			for (let j=0; j<names.length; j++) {
+				if (names[j].exportedName === "default")
+					this.exportedMain = names[j].name;
+				else if (names[j].exportedName !== names[j].name) {
+					let declared = this.contentBlock.getBlockByIdentifierName(names[j].name);
+					if (declared !== null)
+						declared.setExportedName(names[j].exportedName);
+				}
+				this.exportedObjects.push(names[j].name);
+			}
+		}
+	}
+
+	/*
+	 * Find prototype-style classes and replace their constructor functions with class blocks
+	 *
+	 * A function declaration is a prototype-style class if there are assignments to its prototype
+	 * (eg `MyClass.prototype.run = function () {...}`) or if it inherits from another class, using
+	 * `util.inherits(MyClass, Base)`, `Object.setPrototypeOf(MyClass.prototype, Base.prototype)` or
+	 * `MyClass.prototype = Object.create(Base.prototype)`. Assignments to the function itself
+	 * (eg `MyClass.create = function () {...}`) are static members of the class.
+	 */
+	buildPrototypeClasses () {
+		let blocks = this.contentBlock.getBlocks();
+		let functions = this.contentBlock.getBlocksByInstance(FunctionBlock);
+		for (let i=0; i<functions.length; i++) {
+			// arrow functions can't be used as constructors
+			if (functions[i].isArrow())
+				continue;
+			let name = functions[i].getIdentifierName();
+			let members = [];
+			let base = null;
+			let isClass = false;
+
+			for (let j=0; j<blocks.length; j++) {
+				if (blocks[j] instanceof AssignmentBlock) {
+					let target = blocks[j].getTarget();
+					if (target === name + ".prototype") {
+						let m = blocks[j].getValue().match(/^Object\.create\([ \t\n]*([a-zA-Z0-9_$.]+)[ \t\n]*\)/);
+						if (m !== null) {
+							base = m[1].replace(/\.prototype$/, "");
+							isClass = true;
+						}
+						continue;
+					}
+					let field = target.split(".");
+					if (field[0] !== name)
+						continue;
+					if (field.length === 3 && field[1] === "prototype") {
+						members.push(blocks[j]);
+						isClass = true;
+					}
+					if (field.length === 2 && field[1] !== "prototype")
+						members.push(blocks[j]);
+					continue;
+				}
+				if (blocks[j].getType() !== "unknown")
+					continue;
+				for (let k=0; k<INHERITANCE_PATTERNS.length; k++) {
+					let m = blocks[j].getContent().match(INHERITANCE_PATTERNS[k]);
+					if (m === null || m[1].replace(/\.prototype$/, "") !== name)
+						continue;
+					base = m[2].replace(/\.prototype$/, "");
+					isClass = true;
+				}
+			}
+
+			if (!isClass)
+				continue;
+
+			let classBlock = new ClassBlock(functions[i]);
+			classBlock.setSuperName(base);
+			for (let j=0; j<members.length; j++)
+				classBlock.addPrototypeMember(members[j]);
+			classBlock.buildMeta();
+			this.contentBlock.replaceBlock(functions[i], classBlock);
+		}
 	}
 
 	getBlocks () {
@@ -176,6 +351,18 @@ class CodeUnit {
 			this.link.next.push(unit);
 	}
 
+	unlinkPrev (unit) {
+		let index = this.link.prev.indexOf(unit);
+		if (index !== -1)
+			this.link.prev.splice(index, 1);
+	}
+
+	unlinkNext (unit) {
+		let index = this.link.next.indexOf(unit);
+		if (index !== -1)
+			this.link.next.splice(index, 1);
+	}
+
 	getPrev () {
 		return this.link.prev.slice(0);
 	}
@@ -262,10 +449,40 @@ class CodeUnit {
 		return this.path;
 	}
 
+	getLoadedAt () {
+		return this.loadedAt;
+	}
+
 	getContentBlock () {
 		return this.contentBlock;
 	}
 
+	/*
+	 * Record an error found while applying the directives of this unit
+	 * `message`: string, the error message
+	 * `row`: number, row of the comment containing the directive
+	 * `code`: string, optional, the kind of error (default `directive-error`), see `Diagnostics`
+	 */
+	addDirectiveError (message, row, code) {
+		this.directiveErrors.push({ message: message, row: row, code: code !== undefined ? code : "directive-error" });
+	}
+
+	/*
+	 * Get the errors found while applying the directives of this unit
+	 * Returns: array of objects `{ message, row, code }`
+	 */
+	getDirectiveErrors () {
+		return this.directiveErrors.slice(0);
+	}
+
+	/*
+	 * Get the errors found while parsing this unit, see `ContentBlock.getParseErrors`
+	 * Returns: array of objects `{ message, row }`
+	 */
+	getParseErrors () {
+		return this.contentBlock.getParseErrors();
+	}
+
 	getContentLength () {
 		return this.contentBlock.getContentLength();
 	}
@@ -292,6 +509,39 @@ class CodeUnit {
 		this.exportedName = name;
 	}
 
+	/*
+	 * Get the documentation visibility of this unit, set by the `private` and `ignore` directives
+	 * Returns: string, `public` (documented), `private` (only documented in the maintainers build)
+	 * or `ignore` (never documented)
+	 */
+	getVisibility () {
+		return this.visibility;
+	}
+
+	/*
+	 * Set the documentation visibility of this unit, see `getVisibility`
+	 * `visibility`: string, `public`, `private` or `ignore`
+	 */
+	setVisibility (visibility) {
+		this.visibility = visibility;
+	}
+
+	/*
+	 * Get the category of this unit in the objects documentation, set by the `category` directive
+	 * Returns: object `{ name, weight }` or null if no category was set
+	 */
+	getCategory () {
+		return this.category;
+	}
+
+	/*
+	 * Set the category of this unit in the objects documentation, see `getCategory`
+	 * `category`: object `{ name, weight }`, the category name and the ordering weight
+	 */
+	setCategory (category) {
+		this.category = category;
+	}
+
 	getMeta (field) {
 		if (field === undefined)
 			return this.meta;
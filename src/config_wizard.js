@@ -0,0 +1,259 @@
+/*
+ * Configuration wizard
+ *
+ * Proposes settings for a project, asks the user to confirm or change them and creates the
+ * settings file (dgen-one-settings.js)
+ */
+
+const fs = require("fs");
+
+const settingsFile = require("./settings_file.js");
+const util = require("./util.js");
+
+const DEFAULT_SETTINGS = require("./default_settings.js");
+
+/*
+ * Directory names which usually don't contain project code
+ */
+const NON_SOURCE_DIRS = /^(tests?|specs?|__tests__|__mocks__|dist|build|coverage|examples?|docs?|tmp)$/;
+
+/*
+ * Wizard questions, in order
+ *
+ * Each question has:
+ * - `key`: string, the settings key set by the answer
+ * - `text`: string, the question text
+ * - `when`: function, optional, called with the answers so far; the question is only asked if it
+ *   returns true, otherwise the default setting is kept
+ */
+const QUESTIONS = [
+	{
+		key: "output.format",
+		text: "Output format, `rst` (reStructuredText for Sphinx) or `md` (Markdown)"
+	},
+	{
+		key: "paths.outputPath",
+		text: "Documentation output path"
+	},
+	{
+		key: "project.excludePaths",
+		text: "Paths to exclude (regex patterns, comma separated or JSON array)"
+	},
+	{
+		key: "project.includeOnly",
+		text: "File names to document (regex patterns, comma separated or JSON array)"
+	},
+	{
+		key: "project.projectMeta",
+		text: "Project meta file, eg. package.json (relative to project base path)"
+	},
+	{
+		key: "output.sphinxHtmlTheme",
+		text: "Sphinx HTML theme",
+		when: (answers) => answers["output.format"] === "rst"
+	},
+	{
+		key: "structure.generateConfPy",
+		text: "Generate Sphinx conf.py (y/n)",
+		when: (answers) => answers["output.format"] === "rst"
+	},
+	{
+		key: "structure.generateMakefile",
+		text: "Generate Makefile (y/n)",
+		when: (answers) => answers["output.format"] === "rst"
+	},
+	{
+		key: "structure.generateMakeBat",
+		text: "Generate make.bat (y/n)",
+		when: (answers) => answers["output.format"] === "rst"
+	}
+];
+
+/*
+ * ConfigWizard class
+ *
+ * Reads the project (package.json and directory layout) to propose settings and creates the
+ * settings file from the answers
+ */
+class ConfigWizard {
+
+	/*
+	 * Constructor
+	 * `basePath`: string, project base path (where the settings file will be created)
+	 */
+	constructor (basePath) {
+		this.basePath = basePath;
+		this.packageJson = null;
+		this.directories = [];
+
+		try {
+			this.packageJson = JSON.parse(fs.readFileSync(util.joinPaths(basePath, "package.json")).toString());
+		}
+		catch (e) {
+			this.packageJson = null;
+		}
+		this.directories = fs.readdirSync(basePath, { withFileTypes: true })
+			.filter((entry) => entry.isDirectory())
+			.map((entry) => entry.name)
+			.filter((name) => name[0] !== "." && name !== "node_modules")
+			.sort();
+	}
+
+	/*
+	 * Get the project name, from package.json
+	 * Returns: string, project name or null if not available
+	 */
+	getProjectName () {
+		if (this.packageJson === null || typeof(this.packageJson.name) !== "string")
+			return null;
+		return this.packageJson.name;
+	}
+
+	/*
+	 * Propose paths to exclude from the project
+	 * `answers`: object, answers so far, used for the output path
+	 *
+	 * The output path, `node_modules` and the top level directories which don't usually contain
+	 * code (tests, builds etc) are excluded. If package.json lists the published `files`, the
+	 * directories which are not published are excluded as well. The directory of the package.json
+	 * `main` file is never excluded.
+	 *
+	 * Returns: array of strings, regex patterns
+	 */
+	proposeExcludePaths (answers) {
+		let ret = [];
+		let output = util.joinPaths(".", answers["paths.outputPath"]);
+		if (output.match(/^\.\/[^.]/) !== null)
+			ret.push("^" + output);
+		ret.push("./node_modules");
+
+		let files = null;
+		let main = null;
+		if (this.packageJson !== null) {
+			if (this.packageJson.files instanceof Array)
+				files = this.packageJson.files.map((file) => util.joinPaths(".", file).split("/")[1]);
+			if (typeof(this.packageJson.main) === "string")
+				main = util.joinPaths(".", this.packageJson.main).split("/")[1];
+		}
+		for (let i=0; i<this.directories.length; i++) {
+			let dir = this.directories[i];
+			if (dir === main || "./" + dir === output)
+				continue;
+			if (dir.match(NON_SOURCE_DIRS) !== null || (files !== null && files.indexOf(dir) === -1))
+				ret.push("^./" + dir + "$");
+		}
+		return ret;
+	}
+
+	/*
+	 * Propose a value for a settings key
+	 * `key`: string, settings key with `.` dot notation
+	 * `answers`: object, answers so far
+	 * Returns: the proposed value
+	 */
+	proposeValue (key, answers) {
+		switch (key) {
+			case "project.excludePaths":
+				return this.proposeExcludePaths(answers);
+			case "project.projectMeta":
+				return this.packageJson !== null ? "./package.json" : "";
+		}
+		let value = util.deepRead(DEFAULT_SETTINGS, key);
+		if (value instanceof Array)
+			return value.slice(0);
+		return value;
+	}
+
+	/*
+	 * Run the wizard
+	 * `answers`: object, preset answers (eg. read from an answers file) by settings key, these are
+	 *            not asked; can be empty
+	 * `ask`: async function, called with the question text, returns the answer text; if not given,
+	 *        the proposed values are used for all questions
+	 * Returns: Promise, resolves to the answers object, with values for all asked questions
+	 * Throws: Error if a preset answer is not valid
+	 */
+	async run (answers, ask) {
+		let ret = {};
+		for (let i in answers)
+			ret[i] = settingsFile.checkValue(i, answers[i]);
+		for (let i=0; i<QUESTIONS.length; i++) {
+			let question = QUESTIONS[i];
+			if (ret[question.key] !== undefined)
+				continue;
+			if (question.when !== undefined && !question.when(ret))
+				continue;
+			let proposed = this.proposeValue(question.key, ret);
+			ret[question.key] = proposed;
+			if (ask === undefined)
+				continue;
+			let text = question.text + " [" + ConfigWizard.formatAnswer(proposed) + "]: ";
+			while (true) {
+				let answer = (await ask(text)).trim();
+				if (answer === "")
+					break;
+				try {
+					ret[question.key] = ConfigWizard.parseAnswer(question.key, answer);
+					break;
+				}
+				catch (e) {
+					text = e.message + "\n" + question.text + " [" + ConfigWizard.formatAnswer(proposed) + "]: ";
+				}
+			}
+		}
+		return ret;
+	}
+
+	/*
+	 * Generate the settings file contents
+	 * `answers`: object, settings values by settings key, as returned by `run`
+	 * Returns: string, the settings file contents, the default settings file with the values set
+	 */
+	generateContent (answers) {
+		let content = fs.readFileSync(require.resolve("./default_settings.js")).toString();
+		for (let i in answers)
+			content = settingsFile.writeValue(content, i, answers[i]);
+		return content;
+	}
+
+}
+
+/*
+ * Format a value to be displayed as a proposed answer
+ * `value`: any settings value
+ * Returns: string, the value text
+ */
+ConfigWizard.formatAnswer = function (value) {
+	if (typeof(value) === "boolean")
+		return value ? "y" : "n";
+	if (typeof(value) === "string")
+		return value;
+	if (value instanceof Array)
+		return value.join(", ");
+	return settingsFile.formatValue(value, "");
+};
+
+/*
+ * Parse an answer for a settings key
+ * `key`: string, settings key with `.` dot notation
+ * `answer`: string, the answer text
+ *
+ * Besides the values read by `settings_file.parseValue`, `y`/`yes`/`n`/`no` are read for boolean
+ * keys and comma separated lists for array keys.
+ *
+ * Returns: the settings value
+ * Throws: Error if the answer is not a valid value for the key
+ */
+ConfigWizard.parseAnswer = function (key, answer) {
+	let def = util.deepRead(DEFAULT_SETTINGS, key);
+	if (typeof(def) === "boolean" && answer.match(/^(y|yes|n|no)$/i) !== null)
+		return answer[0].toLowerCase() === "y";
+	if (typeof(def) === "string")
+		return settingsFile.checkValue(key, answer);
+	let value = settingsFile.parseValue(answer, key);
+	if (def instanceof Array && typeof(value) === "string")
+		value = answer.split(",").map((item) => settingsFile.parseValue(item.trim(), key));
+	return settingsFile.checkValue(key, value);
+};
+
+module.exports = ConfigWizard;
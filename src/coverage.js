@@ -0,0 +1,177 @@
+/*
+ * Documentation coverage
+ *
+ * Computes which exported objects (classes, methods, functions and variables) are documented,
+ * from the documentation model of a project
+ */
+
+const util = require("./util.js");
+
+/*
+ * Get the names of the arguments documented by a comment
+ * `comment`: object, comment model, see `Generator.commentToModel`
+ * `generator`: Generator object, used to read the documented signature
+ * Returns: array of strings, the documented argument names
+ */
+const _documentedArguments = function (comment, generator) {
+	let names = generator.readSignatureSections(comment.sections).params.map((param) => param.name);
+	if (comment.tags !== null)
+		names = names.concat(comment.tags.params.map((param) => param.name));
+	return names.map((name) => name.replace(/^\.\.\./, ""));
+};
+
+/*
+ * Compute the documentation coverage of a code unit
+ * `model`: object, code unit model, see `Generator.unitToModel`
+ * `directiveErrors`: array of objects `{ message, row }`, see `CodeUnit.getDirectiveErrors`
+ * `generator`: Generator object, used to read documented signatures
+ *
+ * Exported classes, their methods (except the ones with names starting with `_`), exported
+ * functions and exported variables are counted. Variables are also documented by the title
+ * comment of their group.
+ *
+ * Returns: object, the unit coverage:
+ * - `path`: string, code unit path
+ * - `total`: number, count of objects that should be documented
+ * - `documented`: number, count of documented objects
+ * - `percentage`: number, documented percentage (100 if there is nothing to document)
+ * - `undocumented`: array of objects `{ kind, name, row }`, the objects lacking a comment
+ * - `undocumentedArguments`: array of objects `{ kind, name, argument, row }`, arguments missing
+ *   from the comments of documented functions and methods
+ * - `directiveErrors`: array of objects `{ message, row }`
+ */
+const unitCoverage = function (model, directiveErrors, generator) {
+	let ret = {
+		path: model.path,
+		total: 0,
+		documented: 0,
+		percentage: 100,
+		undocumented: [],
+		undocumentedArguments: [],
+		directiveErrors: directiveErrors
+	};
+
+	let count = (kind, name, row, comment) => {
+		ret.total++;
+		if (comment === null) {
+			ret.undocumented.push({ kind: kind, name: name, row: row });
+			return;
+		}
+		ret.documented++;
+	};
+
+	let countFunction = (kind, name, fn) => {
+		count(kind, name, fn.row, fn.comment);
+		if (fn.comment === null)
+			return;
+		let documented = _documentedArguments(fn.comment, generator);
+		// destructured arguments can't be matched by name
+		let args = fn.arguments
+			.filter((arg) => arg[0] !== "{" && arg[0] !== "[")
+			.map((arg) => util.trim(arg.split("=")[0]).replace(/^\.\.\./, ""));
+		for (let i=0; i<args.length; i++)
+			if (documented.indexOf(args[i]) === -1)
+				ret.undocumentedArguments.push({ kind: kind, name: name, argument: args[i], row: fn.row });
+	};
+
+	for (let i=0; i<model.classes.length; i++) {
+		let cls = model.classes[i];
+		if (!cls.exported)
+			continue;
+		count("class", cls.name, cls.row, cls.comment);
+		if (cls.constructor !== null)
+			countFunction("method", cls.name + ".constructor", cls.constructor);
+		for (let j=0; j<cls.methods.length; j++)
+			if (cls.methods[j].name[0] !== "_")
+				countFunction("method", util.joinMemberPath([ cls.name, cls.methods[j].name ]), cls.methods[j]);
+	}
+
+	for (let i=0; i<model.functions.length; i++)
+		if (model.functions[i].exported)
+			countFunction("function", model.functions[i].name, model.functions[i]);
+
+	for (let i=0; i<model.variableGroups.length; i++) {
+		let group = model.variableGroups[i];
+		for (let j=0; j<group.variables.length; j++) {
+			let variable = group.variables[j];
+			if (variable.exported)
+				count("variable", variable.name, variable.row, group.title !== null ? group.title : variable.comment);
+		}
+	}
+
+	if (ret.total > 0)
+		ret.percentage = ret.documented * 100 / ret.total;
+	return ret;
+};
+
+/*
+ * Compute the documentation coverage of a project
+ * `model`: object, documentation model, see `Generator.generateModel`
+ * `directiveErrors`: function, called with a code unit path, returns the directive errors of the
+ *                    unit, see `CodeUnit.getDirectiveErrors`
+ * `generator`: Generator object, used to read documented signatures
+ * `minimum`: number, minimum coverage percentage (0 for none)
+ *
+ * Returns: object, the coverage report:
+ * - `total`, `documented`, `percentage`: numbers, as for units, for the whole project
+ * - `minimum`: number, the minimum coverage percentage
+ * - `passed`: boolean, true if the coverage is at least the minimum
+ * - `files`: array of objects, the unit coverage of each file, see `unitCoverage`
+ */
+const projectCoverage = function (model, directiveErrors, generator, minimum) {
+	let ret = {
+		total: 0,
+		documented: 0,
+		percentage: 100,
+		minimum: minimum,
+		passed: true,
+		files: []
+	};
+
+	for (let i=0; i<model.units.length; i++) {
+		let unit = unitCoverage(model.units[i], directiveErrors(model.units[i].path), generator);
+		ret.total += unit.total;
+		ret.documented += unit.documented;
+		ret.files.push(unit);
+	}
+
+	if (ret.total > 0)
+		ret.percentage = ret.documented * 100 / ret.total;
+	ret.passed = ret.percentage >= minimum;
+	return ret;
+};
+
+/*
+ * Format a coverage report as text
+ * `report`: object, the coverage report, see `projectCoverage`
+ * Returns: array of strings, the report rows
+ */
+const formatReport = function (report) {
+	let percentage = (item) => item.percentage.toFixed(1) + "% (" + item.documented + "/" + item.total + ")";
+	let ret = [ "Documentation coverage: " + percentage(report) ];
+
+	for (let i=0; i<report.files.length; i++) {
+		let file = report.files[i];
+		let issues = file.undocumented.length + file.undocumentedArguments.length + file.directiveErrors.length;
+		if (file.total === 0 && issues === 0)
+			continue;
+		ret.push("  " + file.path + ": " + (file.total > 0 ? percentage(file) : "nothing to document"));
+		file.undocumented.map((item) =>
+			ret.push("    row " + item.row + ": " + item.kind + " `" + item.name + "` is not documented"));
+		file.undocumentedArguments.map((item) =>
+			ret.push("    row " + item.row + ": argument `" + item.argument + "` of " + item.kind + " `" + item.name +
+				"` is not documented"));
+		file.directiveErrors.map((error) =>
+			ret.push("    row " + error.row + ": directive error: " + error.message));
+	}
+
+	if (report.minimum > 0)
+		ret.push(report.passed ?
+			"Coverage meets the minimum of " + report.minimum + "%" :
+			"Coverage is below the minimum of " + report.minimum + "%");
+	return ret;
+};
+
+module.exports.formatReport = formatReport;
+module.exports.projectCoverage = projectCoverage;
+module.exports.unitCoverage = unitCoverage;
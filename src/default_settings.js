@@ -21,7 +21,14 @@ const DEFAULT_SETTINGS = {
 		// max rows for the second paragraph to be considered a description
 		fileDescriptionMaxRows: 2,
 		// max rows for section titles
-		sectionTitleMaxRows: 1
+		sectionTitleMaxRows: 1,
+		// convert documented arguments (`` `name`: type, description `` bullets) and return values
+		// (`Returns: type, description` paragraphs) of functions to field lists
+		signatureFieldLists: true,
+		// warn about documented arguments missing from the signature and undocumented arguments
+		checkSignatureDocs: true,
+		// cache parsed files (in paths.cachePath), so unchanged files are not parsed again
+		parseCache: true
 	},
 	// these settings apply to the structure of the output
 	structure: {
@@ -40,7 +47,13 @@ const DEFAULT_SETTINGS = {
 		// wether or not to group aliases together at the end or display them with the other items
 		groupAliasesTogether: false,
 		// wether or not to include objects that are not directly exported (but they are used)
-		includeInternal: true
+		includeInternal: true,
+		// maintainers build: also document objects marked with the internal directive and files marked
+		// with the private directive, with a badge
+		maintainersBuild: false,
+		// group the objects documentation by category (set by the category directive, or the directory
+		// of the files), with an index page for each category
+		objectCategories: true
 	},
 	// these settings determine what is included in the project structure
 	project: {
@@ -57,9 +70,14 @@ const DEFAULT_SETTINGS = {
 		includeOnly: [ ".+js$" ],
 		// path to project meta (can be package.json or another file, relative to project base path)
 		projectMeta: "./package.json",
+		// plugin modules (relative to project base path), functions called with the environment, eg. to
+		// register custom directives
+		plugins: []
 	},
 	// these settings apply to output and style
 	output: {
+		// output format: `rst` (reStructuredText, built with Sphinx) or `md` (GitHub flavoured Markdown)
+		format: "rst",
 		// min width of output text (don't wrap beyond this point) (0 = none)
 		minColumns: 60,
 		// max width of output text (wrap text by breaking on spaces after this limit)
@@ -75,12 +93,22 @@ const DEFAULT_SETTINGS = {
 		// sphinx html theme
 		sphinxHtmlTheme: "alabaster",
 		// sphinx html static path
-		sphinxHtmlStaticPath: [ "_static" ]
+		sphinxHtmlStaticPath: [ "_static" ],
+		// describe modules, classes, functions and variables with Sphinx JavaScript domain directives
+		// (js:module, js:class, js:function etc) instead of section titles
+		jsDomain: false
+	},
+	// these settings apply to the documentation check (`check` command)
+	check: {
+		// minimum documentation coverage, percentage of documented exported objects (0 = none)
+		minCoverage: 0
 	},
 	// output paths
 	paths: {
 		// path to documentation output (absolute or relative to base path)
 		outputPath: "./documentation",
+		// path to documentation output for the maintainers build (see `structure.maintainersBuild`)
+		maintainersOutputPath: "./documentation-maintainers",
 		// base path for code file documentation output
 		baseCodePath: "code",
 		// base path for intro sections
@@ -91,8 +119,16 @@ const DEFAULT_SETTINGS = {
 		baseClassPath: "classes",
 		// base path for functions and variables
 		baseUnitsPath: "units",
+		// base path for the category index pages of the objects documentation
+		baseCategoryPath: "categories",
 		// base path for other exported values
-		baseExportedPath: "exported"
+		baseExportedPath: "exported",
+		// file name of the documentation model (json), in the output path
+		modelFile: "model.json",
+		// path to the parse cache directory, in the output path
+		cachePath: ".dgen-cache",
+		// file name of the output manifest (list of generated files), in the output path
+		manifestFile: ".dgen-manifest.json"
 	}
 };
 
@@ -0,0 +1,161 @@
+/*
+ * Diagnostics
+ *
+ * Collects the problems found while reading the code and generating the documentation (parse
+ * errors, directive errors, documentation warnings), so that they can be reported together
+ */
+
+/*
+ * Diagnostic severities, from the most severe
+ */
+const SEVERITIES = [ "error", "warning" ];
+
+/*
+ * Diagnostics class
+ *
+ * Each diagnostic is an object:
+ * - `severity`: string, `error` or `warning`
+ * - `code`: string, the kind of problem, eg. `parse-error` or `unknown-directive`
+ * - `message`: string, the problem description
+ * - `file`: string, path of the code unit (relative to the project path) or null
+ * - `row`: number, row of the problem in the file or null
+ * - `column`: number, column of the problem in the row or null
+ *
+ * The same diagnostic is only added once, so running the same step again (eg. generating the
+ * documentation for several targets) doesn't report problems twice.
+ */
+class Diagnostics {
+
+	/*
+	 * Constructor
+	 * `echo`: boolean, optional, log diagnostics when they are added (default true)
+	 */
+	constructor (echo) {
+		this.items = [];
+		this.echo = echo !== undefined ? echo : true;
+	}
+
+	/*
+	 * Set echo mode: when on, diagnostics are logged as soon as they are added (see `format`)
+	 * `echo`: boolean, true to log the diagnostics
+	 */
+	setEcho (echo) {
+		this.echo = echo;
+	}
+
+	/*
+	 * Add a diagnostic
+	 * `severity`: string, `error` or `warning`
+	 * `code`: string, the kind of problem
+	 * `message`: string, the problem description
+	 * `file`: string, optional, code unit path
+	 * `row`: number, optional, row in the file
+	 * `column`: number, optional, column in the row
+	 * Returns: object, the diagnostic (or the identical diagnostic added before)
+	 * Throws: Error if the severity is unknown
+	 */
+	add (severity, code, message, file, row, column) {
+		if (SEVERITIES.indexOf(severity) === -1)
+			throw new Error("Unknown diagnostic severity " + severity);
+		let item = {
+			severity: severity,
+			code: code,
+			message: message,
+			file: file !== undefined ? file : null,
+			row: row !== undefined ? row : null,
+			column: column !== undefined ? column : null
+		};
+		let found = this.items.find((existing) => Object.keys(item).every((key) => existing[key] === item[key]));
+		if (found !== undefined)
+			return found;
+		this.items.push(item);
+		if (this.echo)
+			console.log(Diagnostics.format(item));
+		return item;
+	}
+
+	/*
+	 * Add an error, see `add`
+	 */
+	error (code, message, file, row, column) {
+		return this.add("error", code, message, file, row, column);
+	}
+
+	/*
+	 * Add a warning, see `add`
+	 */
+	warning (code, message, file, row, column) {
+		return this.add("warning", code, message, file, row, column);
+	}
+
+	/*
+	 * Get the diagnostics
+	 * `file`: string, optional, only get the diagnostics of this code unit path
+	 * Returns: array of diagnostic objects, sorted by file and row
+	 */
+	getAll (file) {
+		let ret = this.items.filter((item) => file === undefined || item.file === file);
+		// items without a file or row come first
+		let compare = (a, b) => a === b ? 0 : (a === null ? -1 : (b === null ? 1 : (a < b ? -1 : 1)));
+		return ret.sort((a, b) => compare(a.file, b.file) || compare(a.row, b.row) || compare(a.column, b.column));
+	}
+
+	/*
+	 * Get the errors, see `getAll`
+	 */
+	getErrors (file) {
+		return this.getAll(file).filter((item) => item.severity === "error");
+	}
+
+	/*
+	 * Get the warnings, see `getAll`
+	 */
+	getWarnings (file) {
+		return this.getAll(file).filter((item) => item.severity === "warning");
+	}
+
+	/*
+	 * Check if there are any errors
+	 * Returns: boolean, true if any error was added
+	 */
+	hasErrors () {
+		return this.items.some((item) => item.severity === "error");
+	}
+
+	/*
+	 * Check if there are any warnings
+	 * Returns: boolean, true if any warning was added
+	 */
+	hasWarnings () {
+		return this.items.some((item) => item.severity === "warning");
+	}
+
+	/*
+	 * Remove diagnostics, eg. before reading a changed file again
+	 * `file`: string, optional, only remove the diagnostics of this code unit path
+	 */
+	clear (file) {
+		this.items = file === undefined ? [] : this.items.filter((item) => item.file !== file);
+	}
+
+}
+
+/*
+ * Format a diagnostic as text, like compilers do: `file:row:column: severity: message [code]`
+ * `item`: object, the diagnostic
+ * `file`: string, optional, file path to show instead of the code unit path (eg. relative to the
+ *         current directory)
+ * Returns: string, the formatted diagnostic
+ */
+Diagnostics.format = function (item, file) {
+	if (file === undefined)
+		file = item.file;
+	let location = [ file !== null ? file : "<project>" ];
+	if (item.row !== null)
+		location.push(item.row);
+	if (item.row !== null && item.column !== null)
+		location.push(item.column);
+	return location.join(":") + ": " + item.severity + ": " + item.message + " [" + item.code + "]";
+};
+
+module.exports = Diagnostics;
@@ -12,15 +12,37 @@
 const CodeBlock = require("./codeblock.js");
 
 const AssignmentBlock = CodeBlock.AssignmentBlock;
+const ClassBlock = CodeBlock.ClassBlock;
 const CommentBlock = CodeBlock.CommentBlock;
+const FunctionBlock = CodeBlock.FunctionBlock;
+const MethodBlock = CodeBlock.MethodBlock;
+const VariableBlock = CodeBlock.VariableBlock;
 
 const util = require("./util.js");
 
 const PATTERN_GENERIC = /\{.+\}/g;
 
-const _logError = function (message, codeUnit, commentBlock) {
-	console.log("Directive error: " + message +
-		" [ " + codeUnit.getPath() + ":" + commentBlock.getStartingRow() + " ]");
+/*
+ * Pattern types of the pattern directive, with their argument counts
+ */
+const PATTERN_TYPES = {
+	singleton: 1,
+	factory: 2,
+	mixin: 2,
+	namespace: 1,
+	emitter: 1
+};
+
+/*
+ * Record a directive error in the code unit, see `CodeUnit.getDirectiveErrors`; the directive
+ * engine reports it as a diagnostic
+ * `message`: string, the error message
+ * `codeUnit`: CodeUnit object, the code unit of the directive
+ * `commentBlock`: CommentBlock object, the comment containing the directive
+ * `code`: string, optional, the kind of error (default `directive-error`)
+ */
+const _logError = function (message, codeUnit, commentBlock, code) {
+	codeUnit.addDirectiveError(message, commentBlock.getStartingRow(), code);
 };
 
 /*
@@ -172,6 +194,15 @@ const _replaceExpressions = function (argument, parsedExpressions, block, ctx) {
 	return argument;
 };
 
+/*
+ * Expand the expressions in directive arguments by reading the code following the directive
+ * `args`: array of strings, the directive arguments, eg. `[ "Assert.prototype.{target/[a-z]+$/}" ]`
+ * `block`: CodeBlock object, the block following the directive
+ * `includeFirst`: boolean, if true `block` is read too, otherwise only the blocks after it
+ * `ctx`: object, `{ codeUnit, commentBlock }`, the directive location, used to log errors
+ * Returns: array of arrays of strings, the expanded arguments for each block matching the
+ * expressions, or the arguments as they are if they don't contain expressions
+ */
 const _expandArgs = function (args, block, includeFirst, ctx) {
 	let found = false;
 	let matches = args.map((arg) => {
@@ -209,14 +240,40 @@ const _expandArgs = function (args, block, includeFirst, ctx) {
 	return ret;
 };
 
+/*
+ * Check if a block is a declaration which block directives (eg. alias or ignore) can be applied to
+ * `codeBlock`: CodeBlock object
+ * Returns: boolean, true if the block is a function, class, method or variable declaration
+ */
+const _isDeclaration = function (codeBlock) {
+	return codeBlock instanceof FunctionBlock || codeBlock instanceof ClassBlock ||
+		codeBlock instanceof MethodBlock || codeBlock instanceof VariableBlock;
+};
+
+/*
+ * Check if a directive can be applied to the block following it, log an error otherwise
+ * `verb`: string, the directive verb, used in the error message
+ * `codeUnit`: CodeUnit object, the code unit of the directive
+ * `commentBlock`: CommentBlock object, the comment containing the directive
+ * `codeBlock`: CodeBlock object, the block following the comment
+ * Returns: boolean, true if the block is a declaration, see `_isDeclaration`
+ */
+const _checkNextBlock = function (verb, codeUnit, commentBlock, codeBlock) {
+	if (_isDeclaration(codeBlock))
+		return true;
+	_logError(verb + " directive cannot be applied to " + codeBlock.getType() + " (row " + codeBlock.getStartingRow() +
+		"), expected a function, class, method or variable declaration", codeUnit, commentBlock);
+	return false;
+};
+
 /*
  * alias <altName>
  */
 const _aliasNext = function (codeUnit, commentBlock, codeBlock, args) {
 	if (codeBlock === null) // apply to codeUnit is not allowed for alias
 		_logError("alias directive cannot be applied to code unit", codeUnit, commentBlock);
-	else
-		throw new Error("not implemented");
+	else if (_checkNextBlock("alias", codeUnit, commentBlock, codeBlock))
+		codeBlock.addAlias(args[0]);
 };
 
 /*
@@ -230,6 +287,10 @@ const _aliasSpecific = function (codeUnit, commentBlock, codeBlock, args) {
 		let target = expanded[i][0];
 		let name = expanded[i][1];
 		let targetBlock = codeUnit.getBlockByPath(target.split("."));
+		if (targetBlock === null) {
+			_logError("No such path in code unit: " + target, codeUnit, commentBlock);
+			continue;
+		}
 		targetBlock.addAlias(name);
 	}
 };
@@ -282,8 +343,8 @@ const _assign = function (codeUnit, commentBlock, codeBlock, args) {
 const _exportNext = function (codeUnit, commentBlock, codeBlock, args) {
 	if (codeBlock === null) // apply to codeUnit
 		codeUnit.setExportedName(args[0]);
-	else
-		throw new Error("not implemented");
+	else if (_checkNextBlock("export", codeUnit, commentBlock, codeBlock))
+		codeBlock.setExportedName(args[0]);
 };
 
 /*
@@ -297,6 +358,10 @@ const _exportSpecific = function (codeUnit, commentBlock, codeBlock, args) {
 		let target = expanded[i][0];
 		let name = expanded[i][1];
 		let targetBlock = codeUnit.getBlockByPath(target.split("."));
+		if (targetBlock === null) {
+			_logError("No such path in code unit: " + target, codeUnit, commentBlock);
+			continue;
+		}
 		targetBlock.setExportedName(name);
 	}
 };
@@ -313,6 +378,82 @@ const _export = function (codeUnit, commentBlock, codeBlock, args) {
 	_logError("Bad argument count for export, expected 1 or 2, got " + args.length, codeUnit, commentBlock);
 };
 
+/*
+ * category <name> [<weight>]
+ * group <name> [<weight>]
+ *
+ * The name can contain spaces, a number at the end is read as the ordering weight
+ */
+const _setCategory = function (verb, codeUnit, commentBlock, codeBlock, args) {
+	if (args.length === 0) {
+		_logError("Bad argument count for " + verb + ", expected at least 1, got 0", codeUnit, commentBlock);
+		return;
+	}
+	let words = args.slice(0);
+	let weight = 0;
+	if (words.length > 1 && /^-?[0-9]+$/.test(words[words.length-1]))
+		weight = parseInt(words.pop(), 10);
+	let category = { name: words.join(" "), weight: weight };
+
+	if (codeBlock === null) // apply to codeUnit
+		codeUnit.setCategory(category);
+	else if (codeBlock instanceof FunctionBlock || codeBlock instanceof ClassBlock)
+		codeBlock.setCategory(category);
+	else
+		_logError(verb + " directive cannot be applied to " + codeBlock.getType() + " (row " +
+			codeBlock.getStartingRow() + "), expected a function or class declaration", codeUnit, commentBlock);
+};
+
+const _category = function (codeUnit, commentBlock, codeBlock, args) {
+	_setCategory("category", codeUnit, commentBlock, codeBlock, args);
+};
+
+const _group = function (codeUnit, commentBlock, codeBlock, args) {
+	_setCategory("group", codeUnit, commentBlock, codeBlock, args);
+};
+
+/*
+ * ignore
+ */
+const _ignore = function (codeUnit, commentBlock, codeBlock, args) {
+	if (args.length !== 0)
+		_logError("Bad argument count for ignore, expected 0, got " + args.length, codeUnit, commentBlock);
+	else if (codeBlock === null) // apply to codeUnit
+		codeUnit.setVisibility("ignore");
+	else if (_checkNextBlock("ignore", codeUnit, commentBlock, codeBlock))
+		codeBlock.setVisibility("ignore");
+};
+
+/*
+ * internal
+ */
+const _internal = function (codeUnit, commentBlock, codeBlock, args) {
+	if (args.length !== 0)
+		_logError("Bad argument count for internal, expected 0, got " + args.length, codeUnit, commentBlock);
+	else if (codeBlock === null) // apply to codeUnit is not allowed, the unit equivalent is private
+		_logError("internal directive cannot be applied to code unit, use private instead", codeUnit, commentBlock);
+	else if (_checkNextBlock("internal", codeUnit, commentBlock, codeBlock) && codeBlock.getVisibility() !== "ignore")
+		codeBlock.setVisibility("internal");
+};
+
+/*
+ * private
+ *
+ * In the file header or at the end of the file, the whole file is private; on a declaration (eg.
+ * a JSDoc `@private` tag) only the declaration is private, like with the internal directive
+ */
+const _private = function (codeUnit, commentBlock, codeBlock, args) {
+	if (args.length !== 0)
+		_logError("Bad argument count for private, expected 0, got " + args.length, codeUnit, commentBlock);
+	else if (codeBlock === null || (commentBlock === codeUnit.getFirstBlock() && !_isDeclaration(codeBlock))) {
+		// apply to codeUnit
+		if (codeUnit.getVisibility() !== "ignore")
+			codeUnit.setVisibility("private");
+	}
+	else if (_checkNextBlock("private", codeUnit, commentBlock, codeBlock) && codeBlock.getVisibility() !== "ignore")
+		codeBlock.setVisibility("internal");
+};
+
 /*
  * does nothing, parse is handled directly by the engine
  */
@@ -326,24 +467,50 @@ const _stop = function () {
 };
 
 /*
- * pattern <pattern> <args>
+ * pattern singleton <className>
+ * pattern factory <functionName> <className>
+ * pattern mixin <targetClass> <sourceClass>
+ * pattern namespace <objectName>
+ * pattern emitter <className>
+ *
+ * A unit can implement several patterns, they are listed in the `patterns` meta of the unit as
+ * objects `{ type, args, row }`; the `pattern` meta is the type of the last one
  */
 const _pattern = function (codeUnit, commentBlock, codeBlock, args) {
-	codeUnit.setMeta("pattern", args[0]);
-	switch (args[0]) {
-		case "singleton":
-			codeUnit.setMeta("exportedInstance", args[1]);
-			break;
-		default:
-			_logError("Unknown value for pattern (" + args[0] + ")", codeUnit, commentBlock);
+	if (args.length === 0) {
+		_logError("Bad argument count for pattern, expected at least 1, got 0", codeUnit, commentBlock);
+		return;
+	}
+	let type = args[0];
+	if (PATTERN_TYPES[type] === undefined) {
+		_logError("Unknown value for pattern (" + type + ")", codeUnit, commentBlock);
+		return;
 	}
+	if (args.length - 1 !== PATTERN_TYPES[type]) {
+		_logError("Bad argument count for pattern " + type + ", expected " + PATTERN_TYPES[type] + ", got " +
+			(args.length - 1), codeUnit, commentBlock);
+		return;
+	}
+
+	codeUnit.setMeta("pattern", type);
+	if (type === "singleton")
+		codeUnit.setMeta("exportedInstance", args[1]);
+	let patterns = codeUnit.getMeta("patterns") !== undefined ? codeUnit.getMeta("patterns") : [];
+	patterns.push({ type: type, args: args.slice(1), row: commentBlock.getStartingRow() });
+	codeUnit.setMeta("patterns", patterns);
 };
 
+module.exports._expandArgs = _expandArgs;
 module.exports._logError = _logError;
 
 module.exports.alias = _alias;
 module.exports.assign = _assign;
+module.exports.category = _category;
 module.exports.export = _export;
+module.exports.group = _group;
+module.exports.ignore = _ignore;
+module.exports.internal = _internal;
 module.exports.parse = _parse;
 module.exports.pattern = _pattern;
+module.exports.private = _private;
 module.exports.stop = _stop;
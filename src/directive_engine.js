@@ -11,20 +11,37 @@
  * engine or to provide metadata for better documentation output.
  *
  * Available directives:
- * - `alias <altName>`: the following code block implements an alias of `altName`
+ * - `alias <altName>`: the following function, class, method or variable declaration is also
+ *   available as `altName`
  * - `alias <what> <altName>`: sets an alias for what under `altName`
  * - `assign <target> <value>`: assigns a variable or value to target field of object
- * - `export <exportName>`: sets the exported name of the next block
+ * - `category <name> [<weight>]`: lists the following function or class declaration under the
+ *   `name` category of the objects documentation, or the whole file at the end of the file; the
+ *   optional weight orders the objects in the category (lowest first, default 0)
+ * - `export <exportName>`: sets the exported name of the next function, class, method or variable
+ *   declaration
  * - `export <what> <exportName>`: sets the exported name of `what` to `exportName`
+ * - `group <name> [<weight>]`: same as `category`
+ * - `ignore`: the following function, class, method or variable declaration is not documented;
+ *   at the end of the file, the whole file is not documented
+ * - `internal`: the following function, class, method or variable declaration is not part of the
+ *   public API, it is only documented in the maintainers build (see the `structure.maintainersBuild`
+ *   setting)
  * - `parse`: this has two effects - forces the CodeUnit engine to parse the contents
  *   of the following block, even if normally that would not be the case (eg. for
  *   function blocks) and it applies any directives found in the parse block
- * - `pattern <type> <args>`: specify a particular pattern implemented by this CodeUnit;
- *   for now only singleton patterns can be specified: `pattern singleton <className>`
+ * - `pattern <type> <args>`: specify a particular pattern implemented by this CodeUnit:
+ *   `singleton <className>`, `factory <functionName> <className>`, `mixin <target> <source>`,
+ *   `namespace <objectName>` or `emitter <className>` (see `Generator.collectPatterns`)
+ * - `private`: in the file header or at the end of the file, the whole file is not part of the
+ *   public API, it is only documented in the maintainers build; on a declaration (eg. a JSDoc
+ *   `@private` tag) it only applies to the declaration, like `internal`
  *
  * Directives placed at the end of the file (after all code) refer to the CodeUnit file
  * instead of the following block
  *
+ * Custom directives can be added with `registerDirective`.
+ *
  * Objects can be specified in the assign, alias, export directives by path. An object
  * directly on CodeUnit level can be specified directly by identifier name, while a
  * nested (assigned) object or a prototype object can be specified by path (with dots).
@@ -47,6 +64,7 @@ const CodeBlock = require("./codeblock.js");
 const CommentBlock = CodeBlock.CommentBlock;
 const ContentBlock = CodeBlock.ContentBlock;
 
+const Diagnostics = require("./diagnostics.js");
 const directive = require("./directive.js");
 
 const util = require("./util.js");
@@ -57,15 +75,171 @@ const util = require("./util.js");
 const DEFAULT_SETTINGS = {
 };
 
+/*
+ * Directive verbs handled by the engine itself or by the directive handlers, these can't be
+ * registered as custom directives
+ */
+const BUILTIN_VERBS = [ "alias", "assign", "category", "export", "group", "ignore", "internal", "parse", "pattern",
+	"private", "stop" ];
+
+/*
+ * Directive scopes, see `DirectiveEngine.registerDirective`
+ */
+const SCOPES = [ "block", "unit" ];
+
+/*
+ * Check if an argument count matches the argument count of a custom directive
+ * `count`: number, the argument count
+ * `args`: number or array, the expected count or `[ min, max ]` counts, see `registerDirective`
+ * Returns: boolean, true if the count matches
+ */
+const _matchArgCount = function (count, args) {
+	if (args === undefined)
+		return true;
+	if (typeof(args) === "number")
+		return count === args;
+	return count >= args[0] && (args[1] === undefined || count <= args[1]);
+};
+
+/*
+ * Describe the argument count of a custom directive, for error messages
+ * `args`: number or array, the expected count or `[ min, max ]` counts
+ * Returns: string, the description, eg. `1 or 2`
+ */
+const _describeArgCount = function (args) {
+	if (typeof(args) === "number")
+		return "" + args;
+	if (args[1] === undefined)
+		return "at least " + args[0];
+	if (args[1] === args[0] + 1)
+		return args[0] + " or " + args[1];
+	return args[0] + " to " + args[1];
+};
+
 class DirectiveEngine {
 
 	constructor (codeTree, settings) {
 		this.codeTree = codeTree;
 		this.settings = settings !== undefined ? settings : {};
+		// units the directives were already applied to
+		this.processed = [];
+		this.diagnostics = new Diagnostics();
+		// custom directives by verb, see `registerDirective`
+		this.directives = {};
 
 		util.applyDefaults(this.settings, DEFAULT_SETTINGS);
 	}
 
+	/*
+	 * Set the diagnostics collector directive errors are reported to
+	 * `diagnostics`: Diagnostics object
+	 */
+	setDiagnostics (diagnostics) {
+		this.diagnostics = diagnostics;
+	}
+
+	/*
+	 * Register a custom directive
+	 * `verb`: string, the directive verb, used in comments as `@<verb> <args>`
+	 * `handler`: function, applies the directive, with the arguments:
+	 *   `codeUnit`: CodeUnit object, the code unit of the directive
+	 *   `commentBlock`: CommentBlock object, the comment containing the directive
+	 *   `codeBlock`: CodeBlock object, the block following the comment (null at the end of the file)
+	 *   `args`: array of strings, the directive arguments
+	 *   `context`: object, helpers for the handler:
+	 *   - `expandArgs(includeFirst)`: function, expands the expressions in the arguments (eg.
+	 *     `{target/regex/}` or `{arg[0]}`) by reading the following blocks, returns an array with a
+	 *     list of expanded arguments for each matching block (the block following the comment is
+	 *     only read if `includeFirst` is true); arguments without expressions are returned as they are
+	 *   - `error(message)`: function, reports a directive error
+	 * `options`: object, optional:
+	 * - `scope`: string, `block` (default) if the directive applies to the following block, it is
+	 *   an error to place it at the end of the file, or `unit` if it applies to the code unit,
+	 *   wherever it is placed
+	 * - `args`: number or array, the argument count or `[ min, max ]` argument counts (`max` can be
+	 *   left out for no maximum), directives with other argument counts are reported as errors
+	 *   instead of being applied; any count is accepted if not set
+	 * - `usage`: string, the directive usage, eg. `owner <team>`, shown in the help text
+	 * - `help`: string, what the directive does, shown in the help text
+	 *
+	 * Throws: Error if the verb is already used (or is a JSDoc tag) or the options are invalid
+	 */
+	registerDirective (verb, handler, options) {
+		if (options === undefined)
+			options = {};
+		if (typeof(verb) !== "string" || verb.match(/^[a-zA-Z][a-zA-Z0-9_-]*$/) === null)
+			throw new Error("Invalid directive verb " + verb);
+		if (BUILTIN_VERBS.indexOf(verb) !== -1 || this.directives[verb] !== undefined)
+			throw new Error("Directive " + verb + " is already defined");
+		// comment rows with JSDoc tags are read as tags, they never reach the directives
+		if (CodeBlock.JSDOC_TAGS.indexOf(verb) !== -1)
+			throw new Error("Directive " + verb + " is a JSDoc tag");
+		if (!(handler instanceof Function))
+			throw new Error("The handler of directive " + verb + " is not a function");
+		let scope = options.scope !== undefined ? options.scope : "block";
+		if (SCOPES.indexOf(scope) === -1)
+			throw new Error("Invalid scope " + scope + " for directive " + verb + ", expected " + SCOPES.join(" or "));
+		let args = options.args;
+		if (args !== undefined && !(typeof(args) === "number" ||
+			(args instanceof Array && args.length >= 1 && args.length <= 2 && args.every((n) => typeof(n) === "number"))))
+			throw new Error("Invalid argument count for directive " + verb + ", expected a number or [ min, max ]");
+
+		this.directives[verb] = {
+			verb: verb,
+			handler: handler,
+			scope: scope,
+			args: args,
+			usage: options.usage !== undefined ? options.usage : verb + (args !== undefined && args !== 0 ? " <args>" : ""),
+			help: options.help !== undefined ? options.help : ""
+		};
+	}
+
+	/*
+	 * Get the custom directives
+	 * Returns: array of objects `{ verb, scope, args, usage, help }`, see `registerDirective`
+	 */
+	getDirectives () {
+		return Object.keys(this.directives).map((verb) => {
+			let dir = this.directives[verb];
+			return { verb: verb, scope: dir.scope, args: dir.args, usage: dir.usage, help: dir.help };
+		});
+	}
+
+	/*
+	 * Apply a custom directive
+	 * `dir`: object, the custom directive, see `registerDirective`
+	 * `codeUnit`: CodeUnit object, the code unit of the directive
+	 * `commentBlock`: CommentBlock object, the comment containing the directive
+	 * `codeBlock`: CodeBlock object, the block following the comment or null
+	 * `args`: array of strings, the directive arguments
+	 *
+	 * Errors thrown by the handler are reported as directive errors, so that the other directives
+	 * are still applied.
+	 */
+	runCustomDirective (dir, codeUnit, commentBlock, codeBlock, args) {
+		if (!_matchArgCount(args.length, dir.args))
+			return directive._logError("Bad argument count for " + dir.verb + ", expected " + _describeArgCount(dir.args) +
+				", got " + args.length, codeUnit, commentBlock);
+		if (dir.scope === "block" && codeBlock === null)
+			return directive._logError(dir.verb + " directive cannot be applied to code unit", codeUnit, commentBlock);
+
+		let context = {
+			expandArgs: (includeFirst) => {
+				if (codeBlock === null)
+					return args.some((arg) => arg.match(/\{.+\}/) !== null) ? [] : [ args ];
+				return directive._expandArgs(args, codeBlock, includeFirst,
+					{ commentBlock: commentBlock, codeUnit: codeUnit });
+			},
+			error: (message) => directive._logError(message, codeUnit, commentBlock)
+		};
+		try {
+			dir.handler(codeUnit, commentBlock, codeBlock, args, context);
+		}
+		catch (e) {
+			directive._logError("Error applying " + dir.verb + " directive: " + e.message, codeUnit, commentBlock);
+		}
+	}
+
 	runContentDirectives (contentBlock, codeUnit, settings) {
 		let current = contentBlock.getFirstBlock();
 
@@ -83,9 +257,11 @@ class DirectiveEngine {
 						parse = true;
 					if (dir.verb === "stop")
 						stop = true;
+					if (this.directives[dir.verb] !== undefined)
+						return this.runCustomDirective(this.directives[dir.verb], codeUnit, current, block, dir.args);
 					if (directive[dir.verb] instanceof Function)
 						return directive[dir.verb](codeUnit, current, block, dir.args)
-					directive._logError("Unknown directive " + dir.verb, codeUnit, current);
+					directive._logError("Unknown directive " + dir.verb, codeUnit, current, "unknown-directive");
 				});
 
 				if (parse) {
@@ -94,7 +270,7 @@ class DirectiveEngine {
 					else
 						directive._logError(
 							"Bad target (row " + block.getStartingRow() + ") for parse directive",
-							codeUnit, current
+							codeUnit, current, "bad-parse-target"
 						);
 				}
 
@@ -108,7 +284,13 @@ class DirectiveEngine {
 	}
 
 	runCodeUnitDirectives (codeUnit, settings) {
-		return this.runContentDirectives(codeUnit.getContentBlock(), codeUnit, settings);
+		if (this.processed.indexOf(codeUnit) === -1)
+			this.processed.push(codeUnit);
+		let count = codeUnit.getDirectiveErrors().length;
+		let ret = this.runContentDirectives(codeUnit.getContentBlock(), codeUnit, settings);
+		codeUnit.getDirectiveErrors().slice(count).map((error) =>
+			this.diagnostics.error(error.code, error.message, codeUnit.getPath(), error.row));
+		return ret;
 	}
 
 	runDirectives (settings) {
@@ -123,8 +305,10 @@ class DirectiveEngine {
 			objects = util.concatUnique(objects, upstream);
 		}
 
+		// directives are applied once, units with reloaded code have to be run again explicitly
 		for (let i=0; i<objects.length; i++)
-			this.runCodeUnitDirectives(objects[i], settings);
+			if (this.processed.indexOf(objects[i]) === -1)
+				this.runCodeUnitDirectives(objects[i], settings);
 
 	}
 
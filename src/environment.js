@@ -6,16 +6,64 @@
  */
 
 const fs = require("fs");
+const nodePath = require("path");
 
 const CodeTree = require("./codetree.js");
 const CodeUnit = require("./codeunit.js");
+const coverage = require("./coverage.js");
+const Diagnostics = require("./diagnostics.js");
 const DirectiveEngine = require("./directive_engine.js");
 const Generator = require("./generator.js");
+const OutputManifest = require("./output_manifest.js");
+const ParseCache = require("./parse_cache.js");
 
+const settingsFile = require("./settings_file.js");
+const settingsSchema = require("./settings_schema.js");
 const util = require("./util.js");
 
 const DEFAULT_SETTINGS = require("./default_settings.js");
 
+/*
+ * Check if a path is a directory
+ * `path`: string, full path
+ * Returns: boolean, true if the path exists and is a directory
+ */
+const _isDirectory = function (path) {
+	try {
+		return fs.statSync(path).isDirectory();
+	}
+	catch (e) {
+		return false;
+	}
+};
+
+/*
+ * Check if a file on disk is the file generated by an output target, ie. it was not changed since
+ * `manifest`: OutputManifest object
+ * `file`: string, file path relative to the output path
+ * `hash`: string, hash of the file content on disk, see `OutputManifest.hash`
+ * Returns: boolean, true if a target listing the file in the manifest generated this content
+ */
+const _isGenerated = function (manifest, file, hash) {
+	return manifest.getTargets(file).some((target) => manifest.getFiles(target)[file] === hash);
+};
+
+/*
+ * Remove the directories of a removed file which are empty, up to a base directory
+ * `base`: string, base directory path, not removed
+ * `file`: string, path of the removed file, relative to the base directory
+ */
+const _removeEmptyDirs = function (base, file) {
+	let dirs = file.split("/").slice(0, -1);
+	while (dirs.length > 0) {
+		let dir = util.joinPaths(base, dirs.join("/"));
+		if (!fs.existsSync(dir) || fs.readdirSync(dir).length > 0)
+			break;
+		fs.rmdirSync(dir);
+		dirs.pop();
+	}
+};
+
 /*
  * Environment class
  *
@@ -27,14 +75,45 @@ class Environment {
 	/*
 	 * Constructor
 	 * `settings`: settings object, contains specific settings to use instead of defaults
+	 * `options`: object, optional:
+	 * - `source`: settings file object the settings were read from (see
+	 *   `settings_file.findSettingsFile`), settings warnings are reported at the row of the key
+	 * - `echo`: boolean, log diagnostics when they are added (default true), see `Diagnostics`
+	 *
+	 * The settings are validated against the settings schema: unknown keys and values are reported
+	 * as `unknown-setting` warnings (with suggestions for misspelled keys), see `getDiagnostics`.
+	 *
+	 * Throws: Error if any setting has an invalid value (eg. a string instead of an array)
 	 */
-	constructor (settings) {
+	constructor (settings, options) {
 		this.settings = settings !== undefined ? settings : {};
-		
+		if (options === undefined)
+			options = {};
+		this.diagnostics = new Diagnostics(options.echo);
+
+		let problems = settingsSchema.validateSettings(this.settings);
+		let errors = problems.filter((problem) => problem.level === "error");
+		if (errors.length > 0)
+			throw new Error("Invalid settings:\n" + errors.map((problem) => "  " + problem.message).join("\n"));
+		let source = options.source;
+		problems.forEach((problem) => {
+			if (source === undefined)
+				return this.diagnostics.warning("unknown-setting", problem.message);
+			let row = settingsFile.findKeyRow(source, problem.key);
+			this.diagnostics.warning("unknown-setting", problem.message, "./" + nodePath.relative(source.dir, source.path),
+				row !== null ? row : undefined);
+		});
+
 		this.codeTree = new CodeTree();
 		this.directiveEngine = new DirectiveEngine(this.codeTree);
 		this.generator = new Generator(this.codeTree);
+		this.directiveEngine.setDiagnostics(this.diagnostics);
+		this.generator.setDiagnostics(this.diagnostics);
+		this.parseCache = null;
+		// full paths of the loaded plugins
+		this.plugins = [];
 		this.basePath = ".";
+		this.dryRun = false;
 
 		util.applyDefaults(this.settings, DEFAULT_SETTINGS);
 	}
@@ -47,6 +126,112 @@ class Environment {
 		this.basePath = path;
 	}
 
+	/*
+	 * Set dry run mode: documentation output methods only return the output actions (see
+	 * `planOutput`), without writing or removing any files, and the parse cache is not written;
+	 * set it before adding the code units
+	 * `dryRun`: boolean, true for dry run mode
+	 */
+	setDryRun (dryRun) {
+		this.dryRun = dryRun;
+	}
+
+	/*
+	 * Get the diagnostics collector, with the problems found while reading the code and generating
+	 * the documentation: parse errors, directive errors and documentation warnings
+	 *
+	 * Diagnostics are logged as they are found, use `getDiagnostics().setEcho(false)` to only
+	 * report them when done.
+	 *
+	 * Returns: Diagnostics object
+	 */
+	getDiagnostics () {
+		return this.diagnostics;
+	}
+
+	/*
+	 * Get the output formats the documentation can be generated in, see `Generator.getFormats`
+	 * Returns: array of strings, the output formats, eg `rst`
+	 */
+	getOutputFormats () {
+		return this.generator.getFormats();
+	}
+
+	/*
+	 * Register a custom directive, see `DirectiveEngine.registerDirective`
+	 * `verb`: string, the directive verb, used in comments as `@<verb> <args>`
+	 * `handler`: function, applies the directive
+	 * `options`: object, optional, the directive `scope`, `args` count, `usage` and `help` text
+	 * Throws: Error if the verb is already used or the options are invalid
+	 */
+	registerDirective (verb, handler, options) {
+		this.directiveEngine.registerDirective(verb, handler, options);
+	}
+
+	/*
+	 * Get the custom directives, see `DirectiveEngine.getDirectives`
+	 * Returns: array of objects `{ verb, scope, args, usage, help }`
+	 */
+	getDirectives () {
+		return this.directiveEngine.getDirectives();
+	}
+
+	/*
+	 * Load the plugins listed in the `project.plugins` setting
+	 *
+	 * A plugin is a module exporting a function, which is called with this environment, eg. to
+	 * register custom directives (see `registerDirective`). Plugin paths are relative to the
+	 * project base path, each plugin is loaded once.
+	 *
+	 * Throws: Error if a plugin can't be loaded
+	 */
+	loadPlugins () {
+		let plugins = this.settings.project.plugins;
+		for (let i=0; i<plugins.length; i++) {
+			let path = nodePath.resolve(this.fullPath(plugins[i]));
+			if (this.plugins.indexOf(path) !== -1)
+				continue;
+			try {
+				let plugin = require(path);
+				if (!(plugin instanceof Function))
+					throw new Error("the module does not export a function");
+				plugin(this);
+			}
+			catch (e) {
+				throw new Error("Can't load plugin " + plugins[i] + ": " + e.message);
+			}
+			this.plugins.push(path);
+		}
+	}
+
+	/*
+	 * Get the parse cache directory, `paths.cachePath` in the output path
+	 * Returns: string, path to the parse cache directory
+	 */
+	getCachePath () {
+		return util.joinPaths(this.basePath, this.settings.paths.outputPath, this.settings.paths.cachePath);
+	}
+
+	/*
+	 * Get the parse cache, used by `addCodeUnit` if the `code.parseCache` setting is on
+	 * Returns: ParseCache object, the parse cache (created on first use and when the base path changes)
+	 */
+	getParseCache () {
+		if (this.parseCache === null || this.parseCache.getPath() !== this.getCachePath()) {
+			this.parseCache = new ParseCache(this.getCachePath());
+			this.parseCache.setDiagnostics(this.diagnostics);
+		}
+		return this.parseCache;
+	}
+
+	/*
+	 * Remove all files from the parse cache
+	 * Returns: number, count of removed cache files
+	 */
+	clearParseCache () {
+		return this.getParseCache().clear();
+	}
+
 	/*
 	 * Add code unit by file path relative to project path
 	 * `path`: string, file path relative to project path
@@ -64,10 +249,94 @@ class Environment {
 	 * `path`: string, file path relative to project path
 	 * `name`: string, optional, name for this unit
 	 * `description`: string, optional, description for this unit
+	 *
+	 * If the `code.parseCache` setting is on, the parsed content is read from the parse cache if
+	 * available and stored in the cache otherwise (except in dry run mode, see `setDryRun`).
+	 *
+	 * Parse errors are reported as diagnostics (see `getDiagnostics`): code blocks which can't be
+	 * parsed are documented as plain code, files which can't be parsed at all are not added.
+	 *
+	 * Returns: CodeUnit object, the added unit, or null if the file can't be parsed
 	 */
 	addCodeUnit (content, path, name, description) {
-		let unit = new CodeUnit(content, 1, path, name, description);
+		let unit;
+		try {
+			if (!this.settings.code.parseCache)
+				unit = new CodeUnit(content, 1, path, name, description);
+			else {
+				let cache = this.getParseCache();
+				let contentBlock = cache.load(content);
+				if (contentBlock !== null)
+					unit = new CodeUnit(content, 1, path, name, description, contentBlock);
+				else {
+					unit = new CodeUnit(content, 1, path, name, description);
+					if (!this.dryRun)
+						cache.store(content, unit.getContentBlock());
+				}
+			}
+		}
+		catch (e) {
+			this.diagnostics.error("parse-error", "Can't parse file: " + e.message, path);
+			return null;
+		}
+		this._reportParseErrors(unit);
 		this.codeTree.linkUnit(unit);
+		return unit;
+	}
+
+	/*
+	 * Report the parse errors of a code unit as diagnostics
+	 * `unit`: CodeUnit object
+	 */
+	_reportParseErrors (unit) {
+		unit.getParseErrors().map((error) =>
+			this.diagnostics.error("parse-error", error.message, unit.getPath(), error.row));
+	}
+
+	/*
+	 * Reload a code unit from its file, after the file was changed
+	 * `path`: string, file path relative to project path
+	 *
+	 * Only this unit is parsed again: its links to the units it imports are rebuilt and its
+	 * directives are applied again. If the file is new, a new unit is added; if the file was
+	 * deleted, the unit is removed.
+	 *
+	 * Returns: boolean, true if the code tree was changed
+	 */
+	reloadCodeUnit (path) {
+		let unit = this.codeTree.getUnitByPath(path);
+		let fullPath = this.fullPath(path);
+		if (!fs.existsSync(fullPath)) {
+			if (unit === null)
+				return false;
+			this.diagnostics.clear(path);
+			this.codeTree.removeUnit(unit);
+			return true;
+		}
+		if (!fs.statSync(fullPath).isFile())
+			return false;
+		let content = fs.readFileSync(fullPath).toString();
+		if (unit !== null && content === unit.content)
+			return false;
+		// the diagnostics of the file are found again
+		this.diagnostics.clear(path);
+		if (unit === null) {
+			this.addCodeUnit(content, path);
+			return true;
+		}
+		try {
+			unit.loadCode(content, 1);
+		}
+		catch (e) {
+			// the unit is added again when the file can be parsed
+			this.diagnostics.error("parse-error", "Can't parse file: " + e.message, path);
+			this.codeTree.removeUnit(unit);
+			return true;
+		}
+		this._reportParseErrors(unit);
+		this.codeTree.relinkUnit(unit);
+		this.directiveEngine.runCodeUnitDirectives(unit);
+		return true;
 	}
 
 	/*
@@ -127,6 +396,124 @@ class Environment {
 		return false;
 	}
 
+	/*
+	 * Check if a file is part of the project according to the filter rules, ie. it would be loaded
+	 * by `autoloadCodeUnits`
+	 * `path`: string, file path relative to project path, eg. `./src/util.js`
+	 * Returns: boolean, true if the file is part of the project
+	 */
+	isProjectFile (path) {
+		let dirs = path.split("/").slice(1, -1);
+		if (dirs.length > 0 && !this.settings.project.recursive)
+			return false;
+		for (let i=0; i<dirs.length; i++)
+			if (this.isPathFiltered("./" + dirs.slice(0, i + 1).join("/")))
+				return false;
+		return !this.isFileFiltered(path);
+	}
+
+	/*
+	 * Watch the project files and reload the code units when they change
+	 * `callback`: function, called after changed files were reloaded, with the arguments:
+	 *   `paths`: array of strings, paths of the changed files (relative to project path)
+	 *   `failed`: array of strings, paths of the changed files which couldn't be reloaded, the
+	 *   errors are reported as `reload-error` diagnostics
+	 * `delay`: number, optional, time to wait for more changes before reloading, in milliseconds
+	 *          (default 100), so that saving several files at once triggers a single reload
+	 *
+	 * Only files which are part of the project are watched (see `isProjectFile`), each changed
+	 * file is reloaded with `reloadCodeUnit`. Each project directory has its own watcher (recursive
+	 * watchers are not available on all platforms and would watch the excluded directories too),
+	 * directories created while watching are watched as well.
+	 *
+	 * Returns: object with a `close()` method, call it to stop watching
+	 * Throws: Error if the project directory can't be watched
+	 */
+	watchProjectFiles (callback, delay) {
+		if (delay === undefined)
+			delay = 100;
+		let pending = [];
+		let timer = null;
+		let watchers = {};
+
+		let changed = (path) => {
+			if (!this.isProjectFile(path))
+				return;
+			if (pending.indexOf(path) === -1)
+				pending.push(path);
+			if (timer !== null)
+				clearTimeout(timer);
+			timer = setTimeout(() => {
+				let failed = [];
+				let paths = pending.filter((path) => {
+					try {
+						return this.reloadCodeUnit(path);
+					}
+					catch (e) {
+						// keep watching, the error may be fixed by the next change
+						this.diagnostics.clear(path);
+						this.diagnostics.error("reload-error", "Can't reload file: " + e.message, path);
+						failed.push(path);
+						return false;
+					}
+				});
+				pending = [];
+				timer = null;
+				if (paths.length > 0 || failed.length > 0)
+					callback(paths, failed);
+			}, delay);
+		};
+
+		let watch = (dir) => {
+			if (watchers[dir] !== undefined)
+				return;
+			watchers[dir] = fs.watch(this.fullPath(dir), (event, filename) => {
+				if (!filename)
+					return;
+				let path = util.joinPaths(dir, filename);
+				if (_isDirectory(this.fullPath(path))) {
+					if (this.settings.project.recursive && !this.isPathFiltered(path))
+						watchDir(path);
+					return;
+				}
+				changed(path);
+			});
+			// eg. the directory was removed
+			watchers[dir].on("error", () => {
+				watchers[dir].close();
+				delete watchers[dir];
+			});
+		};
+
+		let watchDir = (dir) => {
+			try {
+				watch(dir);
+				let entries = fs.readdirSync(this.fullPath(dir));
+				for (let i=0; i<entries.length; i++) {
+					let p = util.joinPaths(dir, entries[i]);
+					if (this.settings.project.recursive && _isDirectory(this.fullPath(p)) && !this.isPathFiltered(p))
+						watchDir(p);
+				}
+			}
+			catch (e) {
+				// the directory was removed, or can't be read
+				if (dir === ".")
+					throw e;
+			}
+		};
+
+		watchDir(".");
+		return {
+			close: () => {
+				for (let dir in watchers)
+					watchers[dir].close();
+				watchers = {};
+				if (timer !== null)
+					clearTimeout(timer);
+			}
+		};
+	}
+
 	/*
 	 * Internal autoload code units function, called by `autoloadCodeUnits`
 	 * `path`: string, project base path - this will be set as base path in the Environment
@@ -171,12 +558,15 @@ class Environment {
 	/*
 	 * Automatically load all project files from project base path
 	 *
-	 * Loads all code unit files, metadata and intro / ending sections from project dir
+	 * Loads all code unit files, metadata, intro / ending sections and plugins from project dir
 	 * `path`: string, project base path - this will be set as base path in the Environment
 	 *         if not provided, the currently set path is used as base path
+	 * `recursive`: boolean, if true directories will be read recursively
+	 * `settings`: settings object, not used for now
 	 */
 	autoloadProjectFiles (path, recursive, settings) {
 		this.autoloadCodeUnits(path, recursive);
+		this.loadPlugins();
 		if (this.settings.project.projectMeta) {
 			let meta = fs.readFileSync(util.joinPaths(this.basePath, this.settings.project.projectMeta));
 			this.setProjectMeta(meta.toString());
@@ -203,6 +593,136 @@ class Environment {
 		return this.generator.generateFileContent(settings);
 	}
 
+	/*
+	 * Generate files and objects documentation as a single documentation project
+	 * `settings`: settings object, this will be passed to the generator to replace any defaults
+	 * Returns: array of objects containing paths and content for file export, see
+	 * `Generator.generateAllContent`
+	 */
+	generateAllDocumentation (settings) {
+		this.directiveEngine.runDirectives();
+		return this.generator.generateAllContent(settings);
+	}
+
+	/*
+	 * Generate the documentation model, a JSON compatible tree describing the documented code
+	 * `settings`: settings object, this will be passed to the generator to replace any defaults
+	 * Returns: object, the documentation model, see `Generator.generateModel`
+	 */
+	generateModel (settings) {
+		this.directiveEngine.runDirectives();
+		return this.generator.generateModel(settings);
+	}
+
+
+	/*
+	 * Plan the output of content to given path, comparing it with the files already there and with
+	 * the output manifest (`paths.manifestFile` in the output path)
+	 * `path`: string, output path
+	 * `content`: array of objects, content to output, see `outputContent`
+	 * `target`: string, output target (eg. `files`), generated files are listed by target in the
+	 *           manifest
+	 *
+	 * Files listed in the manifest for the target which are not generated anymore (eg. the pages
+	 * of deleted source files) are deleted, unless another target generated them too or they were
+	 * changed since they were generated. Existing files which are not listed in the manifest (as
+	 * they were not generated) or which were changed since they were generated (eg. edited by hand)
+	 * are not overwritten, unless there is no manifest yet (eg. for output generated by older
+	 * versions). When several content entries have the same path, the last one is output and the
+	 * collision is reported as a warning (see `getDiagnostics`).
+	 *
+	 * Returns: array of action objects:
+	 * - `action`: string, `create`, `update`, `delete`, `keep` (same content) or `skip` (not
+	 *   overwritten or not deleted)
+	 * - `path`: string, file path relative to the output path
+	 * - `content`: string, the file content, except for `delete` and `skip`
+	 * - `reason`: string, for `skip`, why the file is skipped
+	 */
+	planOutput (path, content, target) {
+		let manifest = new OutputManifest(util.joinPaths(path, this.settings.paths.manifestFile));
+		let generated = manifest.getFiles(target);
+		let ret = [];
+
+		// the last entry for a path wins, so that the output doesn't depend on the files on disk
+		let last = {};
+		content.map((item, i) => last[item.path] = i);
+		content = content.filter((item, i) => {
+			if (last[item.path] !== i)
+				this.diagnostics.warning("output-collision", "Several pages are generated to " + item.path +
+					", only the last one is output");
+			return last[item.path] === i;
+		});
+
+		for (let i=0; i<content.length; i++) {
+			let file = content[i].path;
+			let text = content[i].content.join("\n");
+			let p = util.joinPaths(path, file);
+			if (!fs.existsSync(p)) {
+				ret.push({ action: "create", path: file, content: text });
+				continue;
+			}
+			let existing = fs.readFileSync(p).toString();
+			if (existing === text) {
+				ret.push({ action: "keep", path: file, content: text });
+				continue;
+			}
+			if (manifest.isFound() && manifest.getTargets(file).length === 0) {
+				ret.push({ action: "skip", path: file, reason: "not overwriting " + p + ", it was not generated " +
+					"(remove it to generate it)" });
+				continue;
+			}
+			if (manifest.isFound() && !_isGenerated(manifest, file, OutputManifest.hash(existing))) {
+				ret.push({ action: "skip", path: file, reason: "not overwriting " + p + ", it was changed since it " +
+					"was generated (remove it to generate it again)" });
+				continue;
+			}
+			ret.push({ action: "update", path: file, content: text });
+		}
+
+		for (let file in generated) {
+			if (content.find((item) => item.path === file) !== undefined || manifest.getTargets(file).length > 1)
+				continue;
+			let p = util.joinPaths(path, file);
+			if (!fs.existsSync(p))
+				continue;
+			if (OutputManifest.hash(fs.readFileSync(p).toString()) !== generated[file]) {
+				ret.push({ action: "skip", path: file, reason: "not deleting " + p + ", it was changed since it was " +
+					"generated" });
+				continue;
+			}
+			ret.push({ action: "delete", path: file });
+		}
+		return ret;
+	}
+
+	/*
+	 * Compute the documentation coverage of the project: which exported classes, methods,
+	 * functions and variables are documented, which arguments are missing from the comments and
+	 * which directives have errors
+	 * `settings`: settings object, this will be passed to the generator to replace any defaults
+	 * `minimum`: number, optional, minimum coverage percentage, replaces the `check.minCoverage`
+	 *            setting
+	 * Returns: object, the coverage report, see `coverage.projectCoverage`
+	 */
+	getCoverage (settings, minimum) {
+		if (settings === undefined)
+			settings = this.settings;
+		if (minimum === undefined)
+			minimum = settings.check !== undefined && settings.check.minCoverage !== undefined ?
+				settings.check.minCoverage : this.settings.check.minCoverage;
+
+		this.directiveEngine.runDirectives();
+		// missing arguments are part of the report, they don't have to be logged
+		let modelSettings = { code: Object.assign({}, settings.code, { checkSignatureDocs: false }) };
+		util.applyDefaults(modelSettings, settings);
+		let model = this.generator.generateModel(modelSettings);
+
+		let directiveErrors = (path) => {
+			let unit = this.codeTree.getUnitByPath(path);
+			return unit !== null ? unit.getDirectiveErrors() : [];
+		};
+		return coverage.projectCoverage(model, directiveErrors, this.generator, minimum);
+	}
 
 	/*
 	 * Output content to given path
@@ -211,39 +731,105 @@ class Environment {
 	 *    `path`: string, relative path to the file
 	 *    `content`: array of strings, file content as rows
 	 * `settings`: settings object, this wll be passed to the generator to replace any defaults
+	 * `target`: string, optional, output target (default `content`), see `planOutput`
+	 *
+	 * Files which already have the same content are not written again, files generated before
+	 * which are not generated anymore are removed (see `planOutput`) and the generated files are
+	 * listed in the output manifest. Nothing is written in dry run mode.
+	 *
+	 * Returns: array of action objects, the files created, updated, deleted or skipped, see
+	 * `planOutput`
 	 */
-	outputContent (path, content, settings) {
+	outputContent (path, content, settings, target) {
 		if (!path)
-			path = util.joinPaths(this.basePath, this.settings.paths.outputPath);
+			path = util.joinPaths(this.basePath, this.settings.structure.maintainersBuild ?
+				this.settings.paths.maintainersOutputPath : this.settings.paths.outputPath);
+		if (target === undefined)
+			target = "content";
 
-		for (let i=0; i<content.length; i++) {
-			let p = util.joinPaths(path, content[i].path);
-			let dir = p.split("/").slice(0, -1).join("/");
-			if (!fs.existsSync(dir)) {
-			  fs.mkdirSync(dir, { recursive: true });
+		let actions = this.planOutput(path, content, target);
+		let ret = actions.filter((action) => action.action !== "keep");
+		if (this.dryRun)
+			return ret;
+
+		let files = {};
+		for (let i=0; i<actions.length; i++) {
+			let p = util.joinPaths(path, actions[i].path);
+			switch (actions[i].action) {
+				case "create":
+				case "update":
+					fs.mkdirSync(p.split("/").slice(0, -1).join("/"), { recursive: true });
+					fs.writeFileSync(p, actions[i].content);
+					files[actions[i].path] = OutputManifest.hash(actions[i].content);
+					break;
+				case "keep":
+					files[actions[i].path] = OutputManifest.hash(actions[i].content);
+					break;
+				case "delete":
+					fs.unlinkSync(p);
+					_removeEmptyDirs(path, actions[i].path);
+					break;
+				case "skip":
+					this.diagnostics.warning("output-skipped", actions[i].reason);
+					break;
 			}
-			fs.writeFileSync(p, content[i].content.join("\n"));
 		}
+
+		fs.mkdirSync(path, { recursive: true });
+		let manifest = new OutputManifest(util.joinPaths(path, this.settings.paths.manifestFile));
+		manifest.setFiles(target, files);
+		manifest.save();
+		return ret;
 	}
 
 	/*
 	 * Output objects documentation to given path
 	 * `path`: string, path to write to (directories will be created if missing)
 	 * `settings`: settings object, this wll be passed to the generator to replace any defaults
+	 * Returns: array of action objects, see `outputContent`
 	 */
 	outputObjectsDocumentation (path, settings) {
 		let content = this.generateObjectsDocumentation(settings);
-		return this.outputContent(path, content, settings);
+		return this.outputContent(path, content, settings, "objects");
 	}
 
 	/*
 	 * Output files documentation to given path
 	 * `path`: string, path to write to (directories will be created if missing)
 	 * `settings`: settings object, this wll be passed to the generator to replace any defaults
+	 * Returns: array of action objects, see `outputContent`
 	 */
 	outputFilesDocumentation (path, settings) {
 		let content = this.generateFilesDocumentation(settings);
-		return this.outputContent(path, content, settings);
+		return this.outputContent(path, content, settings, "files");
+	}
+
+	/*
+	 * Output files and objects documentation as a single documentation project to given path
+	 * `path`: string, path to write to (directories will be created if missing)
+	 * `settings`: settings object, this wll be passed to the generator to replace any defaults
+	 * Returns: array of action objects, see `outputContent`
+	 */
+	outputAllDocumentation (path, settings) {
+		let content = this.generateAllDocumentation(settings);
+		return this.outputContent(path, content, settings, "all");
+	}
+
+	/*
+	 * Output the documentation model as JSON to given path
+	 * `path`: string, path to write to (directories will be created if missing)
+	 * `settings`: settings object, this wll be passed to the generator to replace any defaults
+	 *
+	 * The model is written to the file set in `paths.modelFile`.
+	 *
+	 * Returns: array of action objects, see `outputContent`
+	 */
+	outputModel (path, settings) {
+		let model = this.generateModel(settings);
+		let file = settings !== undefined && settings.paths !== undefined && settings.paths.modelFile !== undefined ?
+			settings.paths.modelFile : this.settings.paths.modelFile;
+		let content = [ { path: file, content: JSON.stringify(model, null, "\t").split("\n") } ];
+		return this.outputContent(path, content, settings, "json");
 	}
 
 }
@@ -15,9 +15,16 @@ const FunctionBlock = CodeBlock.FunctionBlock;
 const VariableBlock = CodeBlock.VariableBlock;
 const ClassBlock = CodeBlock.ClassBlock;
 const MethodBlock = CodeBlock.MethodBlock;
+const FieldBlock = CodeBlock.FieldBlock;
 const AssignmentBlock = CodeBlock.AssignmentBlock;
 const ContentBlock = CodeBlock.ContentBlock;
 
+const Diagnostics = require("./diagnostics.js");
+const Renderer = require("./renderer.js");
+
+const RstRenderer = Renderer.RstRenderer;
+const MarkdownRenderer = Renderer.MarkdownRenderer;
+
 const util = require("./util.js");
 
 const DEFAULT_CONF_PY_TEMPLATE = fs.readFileSync(path.join(__dirname, "../templates/conf.py.template")).toString();
@@ -26,6 +33,48 @@ const DEFAULT_MAKE_BAT_TEMPLATE = fs.readFileSync(path.join(__dirname, "../templ
 
 const DEFAULT_SETTINGS = require("./default_settings.js");
 
+/*
+ * Words which can't be part of a documented type, eg in `Returns: true if found`
+ */
+const NON_TYPE_WORDS = [ "a", "an", "the", "this", "if", "when", "true", "false", "to", "for" ];
+
+/*
+ * Version of the documentation model format, see `Generator.generateModel`
+ */
+const MODEL_VERSION = 3;
+
+/*
+ * npm package names (eg `dgen-one` or `@scope/name`), the files of such projects are required from the package
+ */
+const PACKAGE_NAME_REGEX = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+
+/*
+ * Sphinx JavaScript domain directives used for each kind of documented object, when `output.jsDomain` is set
+ */
+const JS_DOMAIN_DIRECTIVES = {
+	"function": "js:function",
+	"method": "js:method",
+	"static method": "js:function",
+	"class": "js:class",
+	"attribute": "js:attribute",
+	"variable": "js:data",
+	"module": "js:module"
+};
+
+/*
+ * Report a documentation warning, eg for arguments documented in comments but missing from code
+ * `diagnostics`: Diagnostics object, the warning is added here
+ * `code`: string, the kind of warning
+ * `message`: string, the warning message
+ * `block`: CodeBlock object, the block the warning refers to
+ */
+const _logWarning = function (diagnostics, code, message, block) {
+	let unit = block;
+	while (unit && !(unit.getPath instanceof Function))
+		unit = unit.getParent();
+	diagnostics.warning(code, message, unit ? unit.getPath() : null, block.getStartingRow());
+};
+
 /*
  * Generator class
  *
@@ -60,10 +109,23 @@ class Generator {
 		this.confPyTemplate = DEFAULT_CONF_PY_TEMPLATE;
 		this.makefileTemplate = DEFAULT_MAKEFILE_TEMPLATE;
 		this.makeBatTemplate = DEFAULT_MAKE_BAT_TEMPLATE;
+		this.renderers = {
+			rst: new RstRenderer(),
+			md: new MarkdownRenderer()
+		};
+		this.diagnostics = new Diagnostics();
 
 		util.applyDefaults(this.settings, DEFAULT_SETTINGS);
 	}
 
+	/*
+	 * Set the diagnostics collector documentation warnings are reported to
+	 * `diagnostics`: Diagnostics object
+	 */
+	setDiagnostics (diagnostics) {
+		this.diagnostics = diagnostics;
+	}
+
 	/*
 	 * Set project meta from object (key-value pairs); Only specified keys will be set/replaced
 	 * `meta`: object, metadata in package.json format; Relevant fields
@@ -71,12 +133,16 @@ class Generator {
 	 * - `copyright`: string, copyright information
 	 * - `author`: string, author name
 	 * - `version`: string, version number, including tags
+	 * - `main`: string, path of the main module, used to show how to require the files (see
+	 *   `getRequireExpression`)
 	 */
 	setProjectMeta (meta) {
 		if (typeof(meta) === "string")
 			meta = JSON.parse(meta);
 		if (meta.name)
 			this.project.name = meta.name;
+		if (meta.main)
+			this.project.main = meta.main;
 		if (meta.copyright)
 			this.project.copyright = meta.copyright;
 		if (meta.author)
@@ -142,202 +208,46 @@ class Generator {
 	}
 
 	/*
-	 * Return an array of rows (most likely empty) to separate two text elements,
-	 * eg two paragraphs or a paragraph and a title
-	 * `before`: object, first text element object `{ style, text }`
-	 * `after`: object, second text element object `{ style, text }`
-	 * `settings`: object, settings object
-	 * Returns the array of output rows (array of strings)
+	 * Set the renderer used for an output format
+	 * `format`: string, the output format, as set in the `output.format` setting, eg `md`
+	 * `renderer`: Renderer object, the renderer converting text elements to rows in this format
 	 */
-	interRows (before, after, settings) {
-		let ret = [];
-		switch (after.style) {
-			case "l1":
-			case "l2":
-			case "l3":
-			case "l4":
-			case "l5":
-			case "l6":
-			case "l7":
-			case "l8":
-				if (before.style[0] !== "l")
-					ret.push("");
-				break;
-			case "dl":
-				if (before.style !== "dl" && before.style !== "dh")
-					ret.push("");
-				break;
-			case "db":
-				if (before.style !== "db" && before.style !== "dh")
-					ret.push("");
-				break;
-			case "h1":
-			case "h2":
-			case "h3":
-			case "h4":
-			case "h5":
-				ret.push("");
-				ret.push("");
-				break;
-			case "p":
-			case "b":
-			case "c":
-			case "dh":
-			default:
-				ret.push("");
-		}
-		return ret;
+	setRenderer (format, renderer) {
+		this.renderers[format] = renderer;
 	}
 
 	/*
-	 * Return an array of rows corresponding to a text element
-	 * `section`: object, text element object
-	 * - `style`: string, style to apply to this text element, eg `h1`, `b`, `p` etc
-	 * - `text`: string, the actual text for this text element
-	 * `settings`: object, settings object
-	 * Returns the array of output rows (array of strings)
+	 * Get the output formats which have a renderer, see `setRenderer`
+	 * Returns: array of strings, the output formats, eg `rst`
 	 */
-	textRows (section, settings) {
-		let ret = [];
-		if (!section.text)
-			return ret;
-
-		let min = settings.output.minColumns;
-		let max = settings.output.maxColumns;
-
-		// before
-		switch (section.style) {
-			case "bk":
-				ret.push("::");
-				ret.push("");
-				break;
-			case "h1":
-				if (this.settings.output.sectionUnderlines[0].length > 1)
-					ret.push(util.strFill(section.text.length, this.settings.output.sectionUnderlines[0][0]));
-				break;
-			case "h2":
-				if (this.settings.output.sectionUnderlines[1].length > 1)
-					ret.push(util.strFill(section.text.length, this.settings.output.sectionUnderlines[1][0]));
-				break;
-			case "h3":
-				if (this.settings.output.sectionUnderlines[2].length > 1)
-					ret.push(util.strFill(section.text.length, this.settings.output.sectionUnderlines[2][0]));
-				break;
-			case "h4":
-				if (this.settings.output.sectionUnderlines[3].length > 1)
-					ret.push(util.strFill(section.text.length, this.settings.output.sectionUnderlines[3][0]));
-				break;
-			case "h5":
-				if (this.settings.output.sectionUnderlines[4].length > 1)
-					ret.push(util.strFill(section.text.length, this.settings.output.sectionUnderlines[4][0]));
-				break;
-		}
-
-		// text
-		switch (section.style) {
-			case "bk":
-				ret = ret.concat(util.indentBlock(section.text, "  "));
-				break;
-			case "c":
-				ret = ret.concat(util.padBlock(
-					util.wrapText(section.text, max - 3, min), { firstRow: ".. ", otherRows: "", width: 3 }
-				));
-				break;
-			case "dh":
-				ret.push(".. " + section.text + "::");
-				break;
-			case "db":
-				ret.push("   " + section.text);
-				break;
-			case "dl":
-				ret.push("   :" + section.text);
-				break;
-			case "b":
-				ret = ret.concat(util.wrapText("**" + section.text + "**", max, min));
-				break;
-			case "l":
-			case "l1":
-				ret = ret.concat(util.padBlock(
-					util.wrapText(section.text, max - 2, min), { firstRow: "* ", otherRows: "", width: 2 }
-				)); 
-				break;
-			case "l2":
-				ret = ret.concat(util.padBlock(
-					util.wrapText(section.text, max - 5, min), { firstRow: "* ", otherRows: "", width: 5 }
-				)); 
-				break;
-			case "l3":
-				ret = ret.concat(util.padBlock(
-					util.wrapText(section.text, max - 8, min), { firstRow: "* ", otherRows: "", width: 8 }
-				)); 
-				break;
-			case "l4":
-				ret = ret.concat(util.padBlock(
-					util.wrapText(section.text, max - 11, min), { firstRow: "* ", otherRows: "", width: 11 }
-				)); 
-				break;
-			case "l5":
-				ret = ret.concat(util.padBlock(
-					util.wrapText(section.text, max - 14, min), { firstRow: "* ", otherRows: "", width: 14 }
-				)); 
-				break;
-			case "l6":
-				ret = ret.concat(util.padBlock(
-					util.wrapText(section.text, max - 17, min), { firstRow: "* ", otherRows: "", width: 17 }
-				)); 
-				break;
-			case "l7":
-				ret = ret.concat(util.padBlock(
-					util.wrapText(section.text, max - 20, min), { firstRow: "* ", otherRows: "", width: 20 }
-				)); 
-				break;
-			case "l8":
-				ret = ret.concat(util.padBlock(
-					util.wrapText(section.text, max - 23, min), { firstRow: "* ", otherRows: "", width: 23 }
-				)); 
-				break;
-			default:
-				ret = ret.concat(util.wrapText(section.text, max, min));
-		}
-
-		// after
-		switch (section.style) {
-			case "h1":
-				ret.push(util.strFill(section.text.length, this.settings.output.sectionUnderlines[0].slice(-1)));
-				break;
-			case "h2":
-				ret.push(util.strFill(section.text.length, this.settings.output.sectionUnderlines[1].slice(-1)));
-				break;
-			case "h3":
-				ret.push(util.strFill(section.text.length, this.settings.output.sectionUnderlines[2].slice(-1)));
-				break;
-			case "h4":
-				ret.push(util.strFill(section.text.length, this.settings.output.sectionUnderlines[3].slice(-1)));
-				break;
-			case "h5":
-				ret.push(util.strFill(section.text.length, this.settings.output.sectionUnderlines[4].slice(-1)));
-				break;
-		}
+	getFormats () {
+		return Object.keys(this.renderers);
+	}
 
-		return ret;
+	/*
+	 * Get the renderer for the output format in settings
+	 * `settings`: object, settings object
+	 * Returns: Renderer object, the renderer for `output.format`
+	 */
+	getRenderer (settings) {
+		let renderer = this.renderers[settings.output.format];
+		if (renderer === undefined)
+			throw new Error("Unknown output format `" + settings.output.format + "`, use one of: " +
+				this.getFormats().join(", "));
+		return renderer;
 	}
 
 	/*
 	 * Convert an array of text elements into an array of rows for output
 	 * `text`: array of objects, the array of text element objects to be converted
 	 * `settings`: object, settings object
+	 *
+	 * The text is rendered in the output format set in `output.format`.
+	 *
 	 * Returns the array of output rows (array of strings)
 	 */
 	textToOutputRows (text, settings) {
-		let ret = [];
-
-		for (let i=0; i<text.length; i++) {
-			if (i > 0)
-				ret = ret.concat(this.interRows(text[i-1], text[i], settings));
-			ret = ret.concat(this.textRows(text[i], settings));
-		}
-
-		return ret;
+		return this.getRenderer(settings).render(text, settings);
 	}
 
 	/*
@@ -353,6 +263,19 @@ class Generator {
 		return "p";
 	}
 
+	/*
+	 * Format a value read from code (eg. the initial value of a variable) to be displayed inline
+	 * `value`: string, the value as read from code
+	 * Returns string, the value on a single row; values spanning more than two rows are shortened
+	 * to their first and last rows, eg `{ ... }`
+	 */
+	formatInlineValue (value) {
+		let rows = util.trim(value.split("\n")).filter((row) => row.length > 0);
+		if (rows.length > 2)
+			return rows[0] + " ... " + rows[rows.length-1];
+		return rows.join(" ");
+	}
+
 	/*
 	 * Convert comment sections to text
 	 * `sections`: array of sections, block sections to convert to text
@@ -366,7 +289,7 @@ class Generator {
 	commentSectionsToText (sections, settings, filter) {
 		let text = [];
 		// for now we just copy the text as it is
-		// TODO: parse argument lists, types, bullets, return values etc
+		// argument lists and return values of functions are read by `readSignatureSections`
 		let queue = [];
 		let current = null;
 
@@ -374,7 +297,7 @@ class Generator {
 			text.push({ style: this.formatToStyle(sections[i].format), text: sections[i].text });
 			if (sections[i].bulletText && sections[i].bulletText.length > 0) {
 				queue = [];
-				current = sections[i].bulletText;
+				current = sections[i].bulletText.slice(0);
 				while (current && current.length) {
 					let row = current.shift();
 					if (typeof(row) === "string") // simple string bullet, no nesting
@@ -383,7 +306,7 @@ class Generator {
 						// nested bullet, we print the text and set current to nested list
 						text.push({ style: "l" + (queue.length + 1), text: row.text });
 						queue.push(current);
-						current = row.bulletText;
+						current = row.bulletText.slice(0);
 					}
 					// if we are done with current list, pull the next non-empty from the queue
 					while (current.length === 0 && queue.length > 0)
@@ -418,79 +341,265 @@ class Generator {
 	commentBlockToText (commentBlock, settings, filter) {
 		let text = [];
 		// for now we just copy the text as it is
-		// TODO: parse argument lists, types, bullets, return values etc
 		let sections = commentBlock.getSections();
 		return this.commentSectionsToText(sections, settings, filter);
 	}
 
 	/*
-	 * Generate the header section of a file based on a CodeUnit object
-	 * `codeUnit`: CodeUnit object, parsed code unit object for this file
-	 * `settings`: settings object, settings to apply for this operation
-	 * `headerDepth`: number, section headers (titles) start from this level
+	 * Split a documented type from its description, eg `string, the user name`
+	 * `text`: string, the documentation text
 	 *
-	 * This method generates the contents for the header section, namely the
-	 * title of the file, description (extracted from the first comment blocks).
-	 * If the title is missing, it will be autogenerated. If a title or description
-	 * was specified via the CodeUnit constructor or methods, those will be used instead.
+	 * The type is the text before the first comma, if it's short enough to be a type (eg `string` or
+	 * `string or array of strings`); a single word without a comma is also a type.
 	 *
-	 * Returns an array of objects, each describing formatted text { style, text }
+	 * Returns: object `{ type, description }`, the type is null if the text doesn't start with a type
 	 */
-	generateFileHeader (codeUnit, settings, headerDepth) {
-		let text = [];
-		let firstBlock = codeUnit.getFirstBlock();
+	splitTypeDescription (text) {
+		let k = text.indexOf(",");
+		let first = util.trim(k !== -1 ? text.slice(0, k) : text);
+		let words = first.split(/[ \t]+/);
+		// alternative types are separated by `or`, eg `string or array of strings`
+		let isType = first.length > 0 && words.filter((word) => NON_TYPE_WORDS.indexOf(word.toLowerCase()) !== -1).length === 0 &&
+			first.split(" or ").filter((type) => type.split(/[ \t]+/).length > (k !== -1 ? 4 : 1)).length === 0;
+		if (!isType)
+			return { type: null, description: util.trim(text) };
+		return { type: first, description: k !== -1 ? util.trim(text.slice(k + 1)) : "" };
+	}
 
-		if (headerDepth === undefined)
-			headerDepth = 1;
+	/*
+	 * Read the documented arguments and return value of a function from comment sections
+	 * `sections`: array of sections, the comment sections, see `CommentBlock.getSections()`
+	 *
+	 * Arguments are documented as bullets starting with the argument name in backticks, eg
+	 * `` `name`: string, the user name ``. The return value is documented in a paragraph starting with
+	 * `Returns`, eg `Returns: boolean, true if found`; any bullets after it describe the return value.
+	 *
+	 * Returns: object:
+	 * - `sections`: array of sections, the sections without the arguments and return value
+	 * - `params`: array of objects `{ name, type, description, details }`, the documented arguments;
+	 *   `details` is an array of strings, the nested bullets describing the argument
+	 * - `returns`: object `{ type, description, details }` or null if the return value is not documented
+	 */
+	readSignatureSections (sections) {
+		let ret = {
+			sections: [],
+			params: [],
+			returns: null
+		};
 
-		// set title to just the path to the file and the description to null for now
-		let title = codeUnit.getPath();
-		let description = null;
-		let intro = null;
+		let readDetails = function (bulletText) {
+			let details = [];
+			for (let i=0; i<bulletText.length; i++) {
+				if (typeof(bulletText[i]) === "string")
+					details.push(bulletText[i]);
+				else
+					details = details.concat(bulletText[i].text, readDetails(bulletText[i].bulletText));
+			}
+			return details;
+		};
 
-		// if we have a header, read the title and description from the header
-		if (this.settings.code.fileHeaders && (firstBlock instanceof CommentBlock)) {
-			let sections = firstBlock.getSections();
+		// the text before the documented signature remains a section of its own
+		let textOnly = function (section, text) {
+			return Object.assign({}, section, { text: text, bullet: null, bulletText: [] });
+		};
 
-			if (this.settings.code.fileTitle && sections.length &&
-				sections[0].rowCount <= this.settings.code.fileTitleMaxRows &&
-				sections[0].bullet === null)
-			{
-				let section = sections.shift();
-				title = section.text + " (" + title + ")";
+		for (let i=0; i<sections.length; i++) {
+			let section = sections[i];
+
+			let m = section.format === "paragraph" ? section.text.match(/(^| )Returns:?[ \t]+/) : null;
+			if (m !== null && ret.returns === null) {
+				let returns = this.splitTypeDescription(section.text.slice(m.index + m[0].length));
+				returns.details = readDetails(section.bulletText);
+				ret.returns = returns;
+				if (m.index > 0)
+					ret.sections.push(textOnly(section, section.text.slice(0, m.index)));
+				continue;
 			}
 
-			if (this.settings.code.fileDescription && sections.length &&
-				sections[0].rowCount <= this.settings.code.fileDescriptionMaxRows &&
-				sections[0].bullet === null)
-			{
-				let section = sections.shift();
-				description = section.text;
+			if (section.bullet === null || section.bullet.indexOf("``:") === -1) {
+				ret.sections.push(section);
+				continue;
 			}
 
-			intro = sections;
+			for (let j=0; j<section.bulletText.length; j++) {
+				let item = section.bulletText[j];
+				let param = (typeof(item) === "string" ? item : item.text).match(/^`([^`]+)`:[ \t]*(.*)$/);
+				if (param === null)
+					continue;
+				let entry = this.splitTypeDescription(param[2]);
+				entry.name = param[1];
+				entry.details = typeof(item) === "string" ? [] : readDetails(item.bulletText);
+				ret.params.push(entry);
+			}
+			if (section.text.length)
+				ret.sections.push(textOnly(section, section.text));
 		}
 
-		// finally, overwrite with codeunit title and description if any provided
-		if (codeUnit.getName())
-			title = codeUnit.getName() + " (" + codeUnit.getPath() + ")";
-		if (codeUnit.getDescription())
-			description = codeUnit.getDescription();
+		return ret;
+	}
 
-		text.push({ style: "h" + headerDepth, text: title });
-		text.push({ style: "b", text: description });
-		if (intro !== null)
-			text = text.concat(this.commentSectionsToText(intro));
+	/*
+	 * Convert documented arguments and return value to a Sphinx field list
+	 * `signature`: object, the documented signature, see `readSignatureSections`
+	 *
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	signatureToFieldList (signature) {
+		let text = [];
 
-		let block = firstBlock.getNext(0);
-		while ((block instanceof CommentBlock) && (block.getNext(1) === null)) {
-			text = text.concat(this.commentBlockToText(block));
-			block = block.getNext(0);
+		for (let i=0; i<signature.params.length; i++) {
+			let param = signature.params[i];
+			text.push({ style: "f", text: ":param " + param.name + ": " + param.description });
+			param.details.map((detail) => text.push({ style: "fl", text: detail }));
+			if (param.type !== null)
+				text.push({ style: "f", text: ":type " + param.name + ": " + param.type });
+		}
+
+		let returns = signature.returns;
+		if (returns !== null) {
+			if (returns.description.length || returns.details.length)
+				text.push({ style: "f", text: ":returns: " + returns.description });
+			returns.details.map((detail) => text.push({ style: "fl", text: detail }));
+			if (returns.type !== null)
+				text.push({ style: "f", text: ":rtype: " + returns.type });
+		}
+
+		return text;
+	}
+
+	/*
+	 * Compare the documented arguments of a function with its signature and log any differences
+	 * `functionBlock`: FunctionBlock or MethodBlock object, the function
+	 * `commentBlock`: CommentBlock object, the comment documenting the function
+	 * `signature`: object, the documented signature, see `readSignatureSections`
+	 *
+	 * Functions which don't document any arguments are not checked.
+	 */
+	checkSignatureDocs (functionBlock, commentBlock, signature) {
+		let documented = signature.params.map((param) => param.name)
+			.concat(commentBlock.getTags().params.map((param) => param.name));
+		if (documented.length === 0)
+			return;
+
+		// destructured arguments can't be matched by name
+		let args = functionBlock.getArguments()
+			.filter((arg) => arg[0] !== "{" && arg[0] !== "[")
+			.map((arg) => util.trim(arg.split("=")[0]).replace(/^\.\.\./, ""));
+		documented = documented.map((name) => name.replace(/^\.\.\./, ""));
+
+		// nested names, eg `options.path`, document the fields of an argument
+		for (let i=0; i<documented.length; i++)
+			if (args.indexOf(documented[i].split(".")[0]) === -1)
+				_logWarning(this.diagnostics, "unknown-argument", "Documented argument `" + documented[i] +
+					"` is not in the signature", commentBlock);
+		for (let i=0; i<args.length; i++)
+			if (documented.indexOf(args[i]) === -1)
+				_logWarning(this.diagnostics, "undocumented-argument", "Argument `" + args[i] + "` is not documented",
+					commentBlock);
+	}
+
+	/*
+	 * Convert the JSDoc tags of a comment block to text
+	 * `commentBlock`: CommentBlock object, the comment block containing the tags
+	 * `settings`: settings object, settings to apply for this operation
+	 * Returns an array of objects, each describing formatted text { style, text }, see `tagsToText`
+	 */
+	generateTagsDocumentation (commentBlock, settings) {
+		return this.tagsToText(commentBlock.hasTags() ? commentBlock.getTags() : null, settings);
+	}
+
+	/*
+	 * Convert JSDoc tags to text
+	 * `tags`: object, the tags read from a comment, see `CommentBlock.getTags()`; can be null
+	 * `settings`: settings object, settings to apply for this operation
+	 *
+	 * Params, return value, exceptions and any other tags are listed as a Sphinx field list, eg
+	 * `:param name: description` and `:type name: string`. Examples are added as code blocks.
+	 *
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	tagsToText (tags, settings) {
+		let text = [];
+		if (tags === null)
+			return text;
+
+		if (tags.deprecated !== null)
+			text.push({ style: "p", text: "**Deprecated**" + (tags.deprecated.length ? ": " + tags.deprecated : "") });
+		if (tags.since !== null)
+			text.push({ style: "p", text: "**Since:** " + tags.since });
+
+		for (let i=0; i<tags.params.length; i++) {
+			let param = tags.params[i];
+			let description = param.description;
+			if (param.optional)
+				description += (description.length ? " " : "") + "(optional" +
+					(param.defaultValue !== null ? ", defaults to `" + param.defaultValue + "`" : "") + ")";
+			text.push({ style: "f", text: ":param " + param.name + ": " + description });
+			if (param.type !== null)
+				text.push({ style: "f", text: ":type " + param.name + ": " + param.type });
+		}
+
+		if (tags.returns !== null) {
+			if (tags.returns.description.length)
+				text.push({ style: "f", text: ":returns: " + tags.returns.description });
+			if (tags.returns.type !== null)
+				text.push({ style: "f", text: ":rtype: " + tags.returns.type });
+		}
+
+		for (let i=0; i<tags.throws.length; i++) {
+			let type = tags.throws[i].type;
+			text.push({ style: "f", text: ":raises" + (type !== null ? " " + type : "") + ": " +
+				tags.throws[i].description });
+		}
+
+		for (let i=0; i<tags.other.length; i++)
+			text.push({ style: "f", text: ":" + tags.other[i].tag + ": " + tags.other[i].text });
+
+		for (let i=0; i<tags.examples.length; i++) {
+			text.push({ style: "b", text: tags.examples.length > 1 ? "Example " + (i + 1) : "Example" });
+			text.push({ style: "bk", text: tags.examples[i] });
 		}
 
 		return text;
 	}
 
+	/*
+	 * Generate the header section of a file based on a CodeUnit object
+	 * `codeUnit`: CodeUnit object, parsed code unit object for this file
+	 * `settings`: settings object, settings to apply for this operation
+	 * `headerDepth`: number, section headers (titles) start from this level
+	 *
+	 * This method generates the contents for the header section, namely the
+	 * title of the file, description (extracted from the first comment blocks),
+	 * see `fileHeaderToModel`.
+	 *
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	generateFileHeader (codeUnit, settings, headerDepth) {
+		return this.generateModelFileHeader(this.fileHeaderToModel(codeUnit), settings, headerDepth);
+	}
+
+	/*
+	 * Generate the header section of a file from its documentation model
+	 * `model`: object, the file header model, see `fileHeaderToModel`
+	 * `settings`: settings object, settings to apply for this operation
+	 * `headerDepth`: number, section headers (titles) start from this level
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	generateModelFileHeader (model, settings, headerDepth) {
+		let text = [];
+
+		if (headerDepth === undefined)
+			headerDepth = 1;
+
+		text.push({ style: "h" + headerDepth, text: model.title });
+		text.push({ style: "b", text: model.description });
+		text = text.concat(this.commentSectionsToText(model.sections));
+
+		return text;
+	}
+
+
 	/* 
 	 * Generate documentation for a declared class based on code and comments
 	 * `classBlock`: ClassBlock object, parsed class declaration
@@ -498,15 +607,50 @@ class Generator {
 	 *          usually this is the block right before the class, but it's up to the caller to choose
 	 * `settings`: settings object, settings to apply for this operation
 	 * `headerDepth`: number, section headers (titles) start from this level
+	 * `meta`: object, additional options for this operation, see `generateModelClassDocumentation`
+	 *
+	 * This method generates documentation text for a class, from its documentation model
+	 * (see `classToModel`).
+	 *
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	generateClassDocumentation (classBlock, commentBlock, settings, headerDepth, meta) {
+		let model = this.classToModel(classBlock, commentBlock, settings);
+		return this.generateModelClassDocumentation(model, settings, headerDepth, meta);
+	}
+
+	/* 
+	 * Generate documentation for a class from its documentation model
+	 * `model`: object, the class model, see `classToModel`
+	 * `settings`: settings object, settings to apply for this operation
+	 * `headerDepth`: number, section headers (titles) start from this level
 	 * `meta`: object, additional options for this operation:
 	 * - `exported`: boolean, if this is set, specify explicitly wether this is an exported object or not
+	 * - `seeAlso`: string, a link to related documentation (eg. the page of the file declaring the
+	 *   class), listed after the base class
+	 * - `alias`: string, if this is set, generate the entry of this alias of the class instead; the
+	 *   class documentation is only repeated if `structure.expandAliases` is set
+	 * - `privateFile`: boolean, if this is set, the class is declared in a private file (see
+	 *   `CodeUnit.getVisibility`) and is marked as such
+	 * - `singleton`: object `{ name, require }`, if this is set, the class is documented as the
+	 *   exported singleton instance (its name and the require expression), with the methods called on
+	 *   the instance
+	 * - `factories`: array of strings, the functions creating instances of the class
+	 * - `mixins`: array of objects, class models (see `classToModel`) of the classes mixed into this
+	 *   class; their methods are documented as methods of the class, unless the class overrides them
+	 * - `mixedInto`: array of strings, the classes this class is mixed into
+	 * - `emitter`: boolean, if this is set, the class is documented as an event emitter, with the
+	 *   events listed by the `fires` and `emits` tags of its comments
 	 *
 	 * This method generates documentation text for a class. All methods will be listed with their
-	 * argument lists, as well as introductory documentation from the main comment block provided.
+	 * argument lists, as well as introductory documentation from the main comment of the class.
+	 * Static methods, properties (getters and setters) and fields declared in the class body are
+	 * listed in separate sections. If `output.jsDomain` is set, the class is described by a `js:class`
+	 * directive with the members nested in it instead.
 	 *
 	 * Returns an array of objects, each describing formatted text { style, text }
 	 */
-	generateClassDocumentation (classBlock, commentBlock, settings, headerDepth, meta) {
+	generateModelClassDocumentation (model, settings, headerDepth, meta) {
 		let text = [];
 
 		if (headerDepth === undefined)
@@ -515,96 +659,378 @@ class Generator {
 		if (meta === undefined)
 			meta = {};
 
-		let name = "class " + classBlock.getIdentifierName();
+		let className = meta.alias ? meta.alias : model.name;
+		let name = "class " + className;
 
 		if (meta.exported === true)
 			name += " (exported class)";
 		if (meta.exported === false)
 			name += " (internal only)";
 
-		text.push({ style: "h" + headerDepth, text: name });
+		// the methods of a singleton class are called on its instance
+		let instance = meta.singleton !== undefined && !meta.alias ? meta.singleton.name : undefined;
+		if (instance !== undefined)
+			name = "object " + instance + " (singleton)";
+
+		// in js domain mode, the class content is nested in a directive, so there are no section titles
+		let jsDomain = settings.output.jsDomain;
+
+		text = text.concat(this.generateVisibilityText(model.visibility));
+		if (meta.privateFile)
+			text = text.concat(this.generateVisibilityText("private"));
+
+		if (meta.alias)
+			text.push({ style: "p", text: "Alias of `" + model.name + "`" });
+
+		if (meta.alias && !settings.structure.expandAliases) {
+			if (jsDomain)
+				return [ { style: "do", text: JS_DOMAIN_DIRECTIVES.class + ":: " + className } ].concat(this.nestText(text, 1));
+			return [ { style: "h" + headerDepth, text: name } ].concat(text);
+		}
 
-		let base = classBlock.getSuperName();
-		if (base === null)
+		if (model.superName === null)
 			text.push({ style: "p", text: "**Base class:** Object" });
 		else
-			text.push({ style: "p", text: "**Base class:** " + base });
+			text.push({ style: "p", text: "**Base class:** " + model.superName });
 
-		if (commentBlock !== null)
-			text = text.concat(this.commentBlockToText(commentBlock, settings));
+		if (meta.seeAlso !== undefined)
+			text.push({ style: "p", text: meta.seeAlso });
 
-		let contentBlock = classBlock.getContentBlock();
+		text = text.concat(this.generateClassPatternText(model, meta));
 
-		let constructorBlock = contentBlock.getBlockByFieldName("constructor");
-		let comment = null;
-		if (constructorBlock !== null) {
-			comment = constructorBlock.getPrev(1, CommentBlock);
-			text = text.concat(this.generateFunctionDocumentation(
-				constructorBlock, comment, settings, headerDepth + 1, { type: "constructor" }));
+		if (model.comment !== null) {
+			text = text.concat(this.commentSectionsToText(model.comment.sections, settings));
+			text = text.concat(this.tagsToText(model.comment.tags, settings));
 		}
 
-		text.push({ style: "h" + (headerDepth + 1), text: "Member methods" });
+		text = text.concat(this.generateAliasesText(model.aliases, meta.alias));
 
-		let subText = [];
-		let endText = [];
+		if (model.constructor !== null) {
+			text = text.concat(this.generateModelFunctionDocumentation(
+				model.constructor, settings, jsDomain ? 0 : headerDepth + 1, { type: "constructor" }));
+		}
 
-		let blocks = contentBlock.getBlocksByInstance(MethodBlock);
-		for (let i=0; i<blocks.length; i++) {
-			if (blocks[i] === constructorBlock)
-				continue;
-			comment = blocks[i].getPrev(1, CommentBlock);
-			subText = subText.concat(this.generateFunctionDocumentation(
-				blocks[i], comment, settings, headerDepth + 2, { type: "method" }));
-			if (settings.structure.generateAliasEntries) {
-				let aliases = blocks[i].getAliases();
-				for (let j=0; j<aliases.length; j++) {
-					let aliasDocumentation = this.generateFunctionDocumentation(
-						blocks[i], comment, settings, headerDepth + 2,
-						{ type: "method", alias: aliases[j] });
-					if (settings.structure.groupAliasesTogether)
-						endText = endText.concat(aliasDocumentation);
-					else
-						subText = subText.concat(aliasDocumentation);
+		let methods = model.methods.filter((method) => !method.flags.getter && !method.flags.setter);
+
+		if (!jsDomain)
+			text.push({ style: "h" + (headerDepth + 1), text: "Member methods" });
+
+		let subText = this.generateMethodListDocumentation(
+			methods.filter((method) => !method.flags.static), settings, headerDepth + 2, "method", instance);
+
+		if (subText.length) {
+			if (!jsDomain)
+				text.push({ style: "p", text: "This class defines the following member methods" });
+			text = text.concat(subText);
+		}
+		else if (!jsDomain)
+			text.push({ style: "p", text: "This class does not define any member methods" });
+
+		subText = this.generateMethodListDocumentation(
+			methods.filter((method) => method.flags.static), settings, headerDepth + 2, "static method");
+
+		if (subText.length) {
+			if (!jsDomain) {
+				text.push({ style: "h" + (headerDepth + 1), text: "Static methods" });
+				text.push({ style: "p", text: "This class defines the following static methods" });
+			}
+			text = text.concat(subText);
+		}
+
+		// mixed in methods, unless the class overrides them
+		let mixins = meta.mixins !== undefined ? meta.mixins : [];
+		for (let i=0; i<mixins.length; i++) {
+			let mixed = mixins[i].methods
+				.filter((method) => !method.flags.static && !method.flags.getter && !method.flags.setter)
+				.filter((method) => !model.methods.some((own) => own.name === method.name))
+				.map((method) => Object.assign({}, method, { path: [ model.name, method.path[method.path.length-1] ] }));
+			subText = this.generateMethodListDocumentation(mixed, settings, headerDepth + 2, "method", instance);
+			if (subText.length) {
+				if (!jsDomain) {
+					text.push({ style: "h" + (headerDepth + 1), text: "Methods from " + mixins[i].name });
+					text.push({ style: "p", text: "These methods are mixed in from `" + mixins[i].name + "`" });
 				}
+				text = text.concat(subText);
 			}
 		}
 
-		if (subText.length || endText.length) {
-			text.push({ style: "p", text: "This class defines the following member methods" });
+		subText = this.generatePropertyListDocumentation(model, settings, headerDepth + 2, instance);
+
+		if (subText.length) {
+			if (!jsDomain)
+				text.push({ style: "h" + (headerDepth + 1), text: "Properties (get/set)" });
 			text = text.concat(subText);
-			text = text.concat(endText);
 		}
-		else
-			text.push({ style: "p", text: "This class does not define any member methods" });
 
 		subText = [];
-		let fields = classBlock.getAssignedFieldsList();
-		for (let i in fields) {
-			subText.push({ style: "h" + (headerDepth + 2), text: i });
-			let titleComment = this.getTitleComment(fields[i], settings);
-			let commentBlock = fields[i].getPrev(0);
-			if (commentBlock === titleComment || !(commentBlock instanceof CommentBlock))
-				commentBlock = null;
-			if (commentBlock === null && titleComment)
-				subText.push({ style: "p", text: titleComment.getCompactText() });
-			if (commentBlock && titleComment === null)
-				subText.push({ style: "p", text: commentBlock.getCompactText() });
-			if (commentBlock && titleComment)
-				subText.push({ style: "p",
-					text: commentBlock.getCompactText() + " (" + titleComment.getCompactText() + ")"
-				});
-			subText.push({ style: "l1", text: "declared as `" + fields[i].getIdentifierType() + " " +
-				fields[i].getIdentifierName() + "`" });
-			subText.push({ style: "l1", text: "initial value: `" + fields[i].getValue() + "`" });
+		for (let i=0; i<model.fields.length; i++) {
+			let field = model.fields[i];
+			let fieldText = [];
+			if (field.comment !== null)
+				fieldText.push({ style: "p", text: field.comment.text });
+			fieldText.push({ style: "l1", text: "declared as `" + (field.flags.static ? "static " : "") +
+				field.name + "`" });
+			if (field.value !== null)
+				fieldText.push({ style: "l1", text: "initial value: `" + this.formatInlineValue(field.value) + "`" });
+			subText = subText.concat(this.generateObjectEntry(this.getMemberPath(field),
+				JS_DOMAIN_DIRECTIVES.attribute + ":: " + field.name, fieldText, settings, headerDepth + 2));
 		}
 
 		if (subText.length) {
-			text.push({ style: "h" + (headerDepth + 1), text: "Fields and Properties" });
+			if (!jsDomain)
+				text.push({ style: "h" + (headerDepth + 1), text: "Fields" });
 			text = text.concat(subText);
 		}
 
-		return text;
-	}
+		subText = [];
+		for (let i=0; i<model.assignedFields.length; i++) {
+			let field = model.assignedFields[i];
+			let fieldText = [];
+			if (field.description !== null)
+				fieldText.push({ style: "p", text: field.description });
+			fieldText.push({ style: "l1", text: "declared as `" + field.declaration + " " + field.name + "`" });
+			fieldText.push({ style: "l1", text: "initial value: `" + this.formatInlineValue(field.value) + "`" });
+			subText = subText.concat(this.generateObjectEntry(field.path,
+				JS_DOMAIN_DIRECTIVES.attribute + ":: " + field.path.split(".").pop(), fieldText, settings, headerDepth + 2));
+		}
+
+		if (subText.length) {
+			if (!jsDomain)
+				text.push({ style: "h" + (headerDepth + 1), text: "Fields and Properties" });
+			text = text.concat(subText);
+		}
+
+		if (meta.emitter) {
+			let events = this.getClassEvents(model);
+			if (!jsDomain)
+				text.push({ style: "h" + (headerDepth + 1), text: "Events" });
+			if (events.length === 0)
+				text.push({ style: "p", text: "This class does not document any events" });
+			events.map((event) => text.push({ style: "l1", text: "`" + event.name + "`" +
+				(event.description.length ? ": " + event.description : "") +
+				(event.method !== null ? " (emitted by `" + event.method + "`)" : "") }));
+		}
+
+		if (jsDomain) {
+			let args = model.constructor !== null ? model.constructor.arguments : [];
+			text = [ { style: "do", text: JS_DOMAIN_DIRECTIVES.class + ":: " +
+				className + "(" + args.join(", ") + ")" } ].concat(this.nestText(text, 1));
+		}
+
+		return [ { style: "h" + headerDepth, text: name } ].concat(text);
+	}
+
+	/*
+	 * Generate documentation for a list of class methods, including alias entries
+	 * `methods`: array of objects, function models of the methods to document, see `functionToModel`
+	 * `settings`: settings object, settings to apply for this operation
+	 * `headerDepth`: number, depth of the method headers
+	 * `type`: string, the method type passed on to `generateModelFunctionDocumentation`, eg `method`
+	 * `instance`: string, optional, name of the object the methods are called on (eg. the instance
+	 *             of a singleton class), instead of the prototype of the class
+	 *
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	generateMethodListDocumentation (methods, settings, headerDepth, type, instance) {
+		let entries = this.generateAliasedEntries(methods, (method, alias) =>
+			this.generateModelFunctionDocumentation(method, settings, headerDepth,
+				{ type: type, alias: alias, instance: instance }), settings);
+		return [].concat(...entries);
+	}
+
+	/*
+	 * Generate the entries of a list of documented objects, including their alias entries
+	 * `items`: array of objects, models of the objects (functions, methods, classes or variables),
+	 *          with their `aliases`
+	 * `generate`: function, generates the entry of an object, with the arguments:
+	 *   `item`: object, the object model
+	 *   `alias`: string, the alias name for alias entries, undefined for the object entry
+	 *   and returns an array of objects, each describing formatted text { style, text }
+	 * `settings`: settings object, settings to apply for this operation
+	 *
+	 * Alias entries are only generated if `structure.generateAliasEntries` is set; they follow the
+	 * entry of their object, or the entries of all objects if `structure.groupAliasesTogether` is set.
+	 *
+	 * Returns: array of entries, each an array of objects describing formatted text { style, text }
+	 */
+	generateAliasedEntries (items, generate, settings) {
+		let entries = [];
+		let aliasEntries = [];
+
+		for (let i=0; i<items.length; i++) {
+			entries.push(generate(items[i], undefined));
+			if (!settings.structure.generateAliasEntries)
+				continue;
+			let aliases = items[i].aliases;
+			for (let j=0; j<aliases.length; j++) {
+				if (settings.structure.groupAliasesTogether)
+					aliasEntries.push(generate(items[i], aliases[j]));
+				else
+					entries.push(generate(items[i], aliases[j]));
+			}
+		}
+
+		return entries.concat(aliasEntries);
+	}
+
+	/*
+	 * Generate the paragraph listing the aliases of an object
+	 * `aliases`: array of strings, alias names of the object
+	 * `alias`: string, the alias name if this is an alias entry (it is not listed), or undefined
+	 * Returns an array of objects, each describing formatted text { style, text } (empty if there
+	 * are no other aliases)
+	 */
+	generateAliasesText (aliases, alias) {
+		aliases = aliases.filter((name) => name !== alias);
+		if (aliases.length === 0)
+			return [];
+		return [ { style: "p", text: (alias !== undefined ? "**Other aliases:** " : "**Aliases:** ") +
+			"`" + aliases.join("`, `") + "`" } ];
+	}
+
+	/*
+	 * Generate the badge of an object or file which is only documented in the maintainers build
+	 * `visibility`: string, the visibility of the object or file, see `isBlockDocumented` and
+	 *               `isUnitDocumented`
+	 * Returns an array of objects, each describing formatted text { style, text } (empty for public
+	 * objects and files)
+	 */
+	generateVisibilityText (visibility) {
+		if (visibility === "internal")
+			return [ { style: "p", text: "**Internal:** not part of the public API, documented for maintainers" } ];
+		if (visibility === "private")
+			return [ { style: "p", text: "**Private file:** not part of the public API, documented for maintainers" } ];
+		return [];
+	}
+
+	/*
+	 * Generate the paragraphs describing the patterns implemented by a class
+	 * `model`: object, the class model, see `classToModel`
+	 * `meta`: object, the pattern options, see `generateModelClassDocumentation`
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	generateClassPatternText (model, meta) {
+		let text = [];
+
+		if (meta.singleton !== undefined && !meta.alias)
+			text.push({ style: "p", text: "**Singleton:** the module exports an instance of class `" + model.name +
+				"`, `const " + meta.singleton.name + " = " + meta.singleton.require + "`" });
+		if (meta.factories !== undefined && meta.factories.length)
+			text.push({ style: "p", text: "**Created by:** " + meta.factories.join(", ") });
+		if (meta.mixins !== undefined && meta.mixins.length)
+			text.push({ style: "p", text: "**Mixins:** `" + meta.mixins.map((mixin) => mixin.name).join("`, `") + "`" });
+		if (meta.mixedInto !== undefined && meta.mixedInto.length)
+			text.push({ style: "p", text: "**Mixed into:** " + meta.mixedInto.join(", ") });
+		if (meta.emitter)
+			text.push({ style: "p", text: "**Event emitter:** instances of this class emit the events listed below" });
+
+		return text;
+	}
+
+	/*
+	 * Get the events emitted by a class, from the `fires` and `emits` tags of the comments of the
+	 * class and its methods, eg `@fires change when the value changes`
+	 * `model`: object, the class model, see `classToModel`
+	 * Returns: array of objects `{ name, description, method }`, the event name and description and
+	 * the name of the method emitting it (null for the events listed in the comment of the class)
+	 */
+	getClassEvents (model) {
+		let ret = [];
+		let members = [ model ].concat(model.constructor !== null ? [ model.constructor ] : [], model.methods);
+		for (let i=0; i<members.length; i++) {
+			let comment = members[i].comment;
+			if (comment === null || comment.tags === null)
+				continue;
+			let tags = comment.tags.other.filter((tag) => tag.tag === "fires" || tag.tag === "emits");
+			for (let j=0; j<tags.length; j++) {
+				let words = util.trim(tags[j].text).split(/[ \t\n]+/);
+				ret.push({
+					// JSDoc event names can be written as `Class#event` or `Class#event:name`
+					name: words.shift().replace(/^.*#(event:)?/, ""),
+					description: words.join(" "),
+					method: members[i] === model ? null : members[i].name
+				});
+			}
+		}
+		return ret;
+	}
+
+	/*
+	 * Generate documentation for the properties declared with getters and setters in a class
+	 * `model`: object, the class model, see `classToModel`
+	 * `settings`: settings object, settings to apply for this operation
+	 * `headerDepth`: number, depth of the property headers
+	 * `instance`: string, optional, name of the object the properties are addressed on, see
+	 *             `generateMethodListDocumentation`
+	 *
+	 * A getter and a setter with the same name are documented together as one property, using the
+	 * comment of the getter, or the comment of the setter if the getter doesn't have one.
+	 *
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	generatePropertyListDocumentation (model, settings, headerDepth, instance) {
+		let text = [];
+
+		// group the accessors by property, static properties are separate from prototype properties
+		let properties = {};
+		for (let i=0; i<model.methods.length; i++) {
+			let flags = model.methods[i].flags;
+			if (!flags.getter && !flags.setter)
+				continue;
+			let path = this.getMemberPath(model.methods[i], instance);
+			if (properties[path] === undefined)
+				properties[path] = { getter: null, setter: null };
+			if (flags.getter)
+				properties[path].getter = model.methods[i];
+			else
+				properties[path].setter = model.methods[i];
+		}
+
+		for (let path in properties) {
+			let getter = properties[path].getter;
+			let setter = properties[path].setter;
+			let subText = [];
+
+			let comment = getter !== null ? getter.comment : null;
+			if (comment === null && setter !== null)
+				comment = setter.comment;
+			if (comment !== null)
+				subText = subText.concat(this.commentSectionsToText(comment.sections, settings));
+
+			if (getter !== null && setter !== null)
+				subText.push({ style: "p", text: "This property can be read and written" });
+			else if (getter !== null)
+				subText.push({ style: "p", text: "This property is read-only (getter only)" });
+			else
+				subText.push({ style: "p", text: "This property is write-only (setter only)" });
+
+			let directive = JS_DOMAIN_DIRECTIVES.attribute + ":: " + (getter !== null ? getter : setter).name;
+			text = text.concat(this.generateObjectEntry(path, directive, subText, settings, headerDepth));
+		}
+
+		return text;
+	}
+
+	/*
+	 * Get the documented path of a class member
+	 * `member`: object, the model of the class member, see `classToModel`
+	 *
+	 * `instance`: string, optional, name of the object the members are addressed on, see
+	 *             `generateMethodListDocumentation`
+	 *
+	 * Static members are addressed on the class, eg `MyClass.create`, other members on the
+	 * prototype, eg `MyClass.prototype.run`, or on the instance if given, eg `myObject.run`.
+	 *
+	 * Returns: string, the member path
+	 */
+	getMemberPath (member, instance) {
+		let path = member.path.slice(0);
+		if (!member.flags.static && instance !== undefined)
+			return util.joinMemberPath([ instance, path[path.length - 1] ]);
+		if (!member.flags.static)
+			path.splice(path.length - 1, 0, "prototype");
+		return util.joinMemberPath(path);
+	}
 
 	/* 
 	 * Generate documentation for a declared function based on code and comments
@@ -613,17 +1039,42 @@ class Generator {
 	 *          usually this is the block right before the function, but it's up to the caller to choose
 	 * `settings`: settings object, settings to apply for this operation
 	 * `headerDepth`: number, section headers (titles) start from this level
+	 * `meta`: object, additional options for this operation, see `generateModelFunctionDocumentation`
+	 *
+	 * This method generates documentation text for a function or method, from its documentation model
+	 * (see `functionToModel`).
+	 *
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	generateFunctionDocumentation (functionBlock, commentBlock, settings, headerDepth, meta) {
+		let model = this.functionToModel(functionBlock, commentBlock, settings);
+		return this.generateModelFunctionDocumentation(model, settings, headerDepth, meta);
+	}
+
+	/* 
+	 * Generate documentation for a function from its documentation model
+	 * `model`: object, the function model, see `functionToModel`
+	 * `settings`: settings object, settings to apply for this operation
+	 * `headerDepth`: number, section headers (titles) start from this level
 	 * `meta`: object, additional options for this operation:
 	 * - `exported`: boolean, if this is set, specify explicitly wether this is an exported object or not
-	 * - `type`: string, can be `function`, `constructor` or `method` (defaults to `function`)
+	 * - `type`: string, can be `function`, `constructor`, `method` or `static method` (defaults to `function`)
 	 * - `alias`: string, if this is set, replace the name with the aliased name
+	 * - `instance`: string, for methods, name of the object the method is called on instead of the
+	 *   prototype of the class, eg. the instance of a singleton class
+	 * - `namespace`: string, for exported functions, name of the namespace object exporting the
+	 *   function, replaces the exported name of the module in the path
+	 * - `factoryOf`: string, the class created by the function, if it is a factory function
 	 *
-	 * This method generates documentation text for a function or method. If a comment block is provided,
-	 * documentation will be generated from the comment block, otherwise it will be autogenerated.
+	 * This method generates documentation text for a function or method. If the function has a comment,
+	 * documentation will be generated from the comment, otherwise it will be autogenerated.
+	 * Async, generator and arrow functions are marked as such in the signature heading. If `output.jsDomain`
+	 * is set, functions and methods (except constructors) are described by a `js:function` or `js:method`
+	 * directive instead of a heading.
 	 *
 	 * Returns an array of objects, each describing formatted text { style, text }
 	 */
-	generateFunctionDocumentation (functionBlock, commentBlock, settings, headerDepth, meta) {
+	generateModelFunctionDocumentation (model, settings, headerDepth, meta) {
 		let text = [];
 
 		if (headerDepth === undefined)
@@ -634,7 +1085,7 @@ class Generator {
 		if (meta.type === undefined)
 			meta.type = "function";
 
-		let args = functionBlock.getArguments();
+		let args = model.arguments;
 
 		// get all name elements in an array that will be joined with . after
 		let name;
@@ -642,9 +1093,17 @@ class Generator {
 		if (meta.type === "constructor")
 			name = [ "Constructor" ];
 		else {
-			if (meta.exported || meta.type === "method") {
+			if (meta.type === "method" && meta.instance !== undefined)
+				name = [ meta.instance, model.path[model.path.length-1] ];
+			else if (meta.exported || meta.type === "method" || meta.type === "static method") {
 				// if it's an exported function, output the full path
-				let path = functionBlock.getNamespacePath();
+				let path = model.path.slice(0);
+				if (meta.type === "function" && meta.namespace !== undefined) {
+					if (path.length > 1)
+						path[0] = meta.namespace;
+					else
+						path.unshift(meta.namespace);
+				}
 				if (meta.type === "method") {
 					// if this is a method, insert the "prototype" object in the path
 					name = path.pop();
@@ -654,53 +1113,72 @@ class Generator {
 				name = path;
 			}
 			else
-				name = [ functionBlock.getIdentifierName() ];
+				name = [ model.name ];
 		}
 
 		// if this is an alias, replace the last element in the name with the alias name
 		if (meta.alias) {
-			aliasedName = name.join(".");
+			aliasedName = util.joinMemberPath(name);
 			name[name.length-1] = meta.alias;
 		}
 
-		name = name.join(".") + " (" + args.join(", ") + ")";
-
-		if (headerDepth)
-			text.push({ style: "h" + headerDepth, text: name });
+		// show the kind of function in the signature, eg `async function* name (args)` or `name (args) =>`
+		// (a `*` before the name would start emphasis in the title)
+		let flags = model.flags;
+		let title = (flags.async ? "async " : "") + (flags.generator ? "function* " : "") +
+			util.joinMemberPath(name) + " (" + args.join(", ") + ")" + (flags.arrow ? " =>" : "");
+
+		text = text.concat(this.generateVisibilityText(model.visibility));
+		if (meta.factoryOf !== undefined)
+			text.push({ style: "p", text: "**Factory:** returns a new " + meta.factoryOf + " instance" });
+
+		// directives only take the signature, the kind of function is listed in the content instead
+		let directive = null;
+		if (JS_DOMAIN_DIRECTIVES[meta.type] !== undefined)
+			directive = JS_DOMAIN_DIRECTIVES[meta.type] + ":: " + name[name.length-1] + "(" + args.join(", ") + ")";
+		if (settings.output.jsDomain && directive !== null && (flags.async || flags.generator || flags.arrow)) {
+			let kind = [ "async", "generator", "arrow" ].filter((flag) => flags[flag]);
+			text.push({ style: "p", text: "**Kind:** " + kind.join(", ") + " function" });
+		}
 
 		// if this is an alias, present this information
-		if (meta.alias) {
+		if (meta.alias)
 			text.push({ style: "p", text: "Alias of `" + aliasedName + "`"});
-			// continue only if expandAliases is set to true
-			if (!settings.structure.expandAliases)
-				return text;
-		}
 
-		// if no comment is provided, just list the arguments
-		if (commentBlock === null) {
-			text.push({ style: "b", text: "Arguments"});
-			if (args.length === 0)
-				text.push({ style: "p", text: "This " + meta.type + " does not take any arguments"});
-			else
-				args.map((arg) => text.push({ style: "l", text: "`" + arg + "`" }));
+		// continue only if this is not an alias or expandAliases is set to true
+		if (!meta.alias || settings.structure.expandAliases) {
+			// if no comment is provided, just list the arguments
+			if (model.comment === null) {
+				text.push({ style: "b", text: "Arguments"});
+				if (args.length === 0)
+					text.push({ style: "p", text: "This " + meta.type + " does not take any arguments"});
+				else
+					args.map((arg) => text.push({ style: "l", text: "`" + arg + "`" }));
+			}
+			else {
+				if (settings.code.signatureFieldLists) {
+					let signature = this.readSignatureSections(model.comment.sections);
+					text = text.concat(this.commentSectionsToText(signature.sections, settings));
+					text = text.concat(this.signatureToFieldList(signature));
+				}
+				else
+					text = text.concat(this.commentSectionsToText(model.comment.sections, settings));
+				text = text.concat(this.tagsToText(model.comment.tags, settings));
+			}
+
+			text = text.concat(this.generateAliasesText(model.aliases, meta.alias));
 		}
-		else
-			text = text.concat(this.commentBlockToText(commentBlock, settings));
 
-		// list aliases
-		let aliases = functionBlock.getAliases();
-		if (meta.alias)
-			aliases.splice(aliases.indexOf(meta.alias), 1);
-		if (aliases.length)
-			text.push({ style: "p", text: (meta.alias !== undefined ? "**Other aliases:** " : "**Aliases:** ") +
-				"`" + aliases.join("`, `") + "`" });
+		if (!headerDepth)
+			return text;
 
-		return text;
+		return this.generateObjectEntry(title, directive, text, settings, headerDepth);
 	}
 
+
 	/* 
 	 * Generate documentation for a declared variable based on code and comments
-	 * `classBlock`: VariableBlock object, parsed variable declaration
+	 * `varBlock`: VariableBlock object, parsed variable declaration
 	 * `commentBlock`: CommentBlock object, parsed comment block associated with the variable block
 	 *          usually this is the block right before the variable, but it's up to the caller to choose
 	 * `settings`: settings object, settings to apply for this operation
@@ -736,13 +1214,34 @@ class Generator {
 	 *         to autogenerate a missing title for this group (if there are more groups, there should be
 	 *         another level of nesting for the titles)
 	 *
+	 * This method generates documentation text for a group of variables, from its documentation model
+	 * (see `varGroupToModel`).
+	 *
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	generateVarGroupDocumentation (group, settings, headerDepth, meta) {
+		if (meta === undefined)
+			meta = {};
+		let model = this.varGroupToModel(group, meta.exported ? meta.exported : []);
+		return this.generateModelVarGroupDocumentation(model, settings, headerDepth, meta);
+	}
+
+	/* 
+	 * Generate documentation for a group of variables from its documentation model
+	 * `model`: object, the variable group model, see `varGroupToModel`
+	 * `settings`: settings object, settings to apply for this operation
+	 * `headerDepth`: number, section headers (titles) start from this level
+	 * `meta`: object, additional options for this operation:
+	 * - `groupCount`: number, the total number of groups in the unit - this is used to determine wether
+	 *         to autogenerate a missing title for this group (if there are more groups, there should be
+	 *         another level of nesting for the titles)
 	 *
 	 * This method generates documentation text for a group of variables. All variables will be listed,
 	 * together with additional comments if found and their inital values.
 	 *
 	 * Returns an array of objects, each describing formatted text { style, text }
 	 */
-	generateVarGroupDocumentation (group, settings, headerDepth, meta) {
+	generateModelVarGroupDocumentation (model, settings, headerDepth, meta) {
 		let text = [];
 
 		if (headerDepth === undefined)
@@ -750,8 +1249,8 @@ class Generator {
 		if (meta === undefined)
 			meta = {};
 
-		if (group.titleComment !== null) {
-			text.push({ style: "h" + headerDepth, text: group.titleComment.getCompactText() });
+		if (model.title !== null) {
+			text.push({ style: "h" + headerDepth, text: model.title });
 			headerDepth++;
 		}
 		else if (meta.groupCount > 1) {
@@ -759,29 +1258,29 @@ class Generator {
 			headerDepth++;
 		}
 
-		for (let i=0; i<group.variables.length; i++) {
-			let varBlock = group.variables[i].variableBlock;
-			let comBlock = group.variables[i].commentBlock;
-			let exported = true;
-			if (!meta.exported || meta.exported.indexOf(varBlock.getIdentifierName()) === -1)
-				exported = false;
-
-			text.push({
-				style: "h" + headerDepth,
-				text: varBlock.getIdentifierType() + " " + varBlock.getIdentifierName()
-			});
-			if (comBlock !== null)
-				text.push({ style: "p", text: comBlock.getCompactText() });
-			if (exported)
-				text.push({ style: "l1", text: "exported as " + varBlock.getNamespacePath().join(".") });
-			else
-				text.push({ style: "l1", text: "not exported" });
-			text.push({ style: "l1", text: "initial value: `" + varBlock.getValue() + "`" });
-		}
+		let entries = this.generateAliasedEntries(model.variables, (variable, alias) => {
+			let varText = this.generateVisibilityText(variable.visibility);
+			if (alias)
+				varText.push({ style: "p", text: "Alias of `" + variable.name + "`" });
+			if (!alias || settings.structure.expandAliases) {
+				if (variable.comment !== null)
+					varText.push({ style: "p", text: variable.comment.text });
+				if (variable.exported)
+					varText.push({ style: "l1", text: "exported as " + variable.path.join(".") });
+				else
+					varText.push({ style: "l1", text: "not exported" });
+				varText.push({ style: "l1", text: "initial value: `" + this.formatInlineValue(variable.value) + "`" });
+				varText = varText.concat(this.generateAliasesText(variable.aliases, alias));
+			}
+			let name = alias ? alias : variable.name;
+			return this.generateObjectEntry(variable.declaration + " " + name, JS_DOMAIN_DIRECTIVES.variable + ":: " + name,
+				varText, settings, headerDepth);
+		}, settings);
 
-		return text;
+		return text.concat(...entries);
 	}
 
+
 	/*
 	 * Generate a section
 	 * `title`: string, title for this section
@@ -807,6 +1306,44 @@ class Generator {
 		return text;
 	}
 
+	/*
+	 * Generate the entry of a documented object, eg a function or a class member
+	 * `title`: string, section title of the entry
+	 * `directive`: string, Sphinx JavaScript domain directive describing the object, eg
+	 *       `js:function:: name(a, b)`, or null if the object can't be described by a directive
+	 * `content`: array of objects, content of the entry { style, text }
+	 * `settings`: settings object, settings to apply for this operation
+	 * `headerDepth`: number, depth of the section title
+	 *
+	 * If `output.jsDomain` is set, the content is nested in the directive instead of following
+	 * a section title.
+	 *
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	generateObjectEntry (title, directive, content, settings, headerDepth) {
+		if (settings.output.jsDomain && directive)
+			return [ { style: "do", text: directive } ].concat(this.nestText(content, 1));
+		return [ { style: "h" + headerDepth, text: title } ].concat(content);
+	}
+
+	/*
+	 * Nest text elements, eg in the content of a directive
+	 * `text`: array of objects, text elements { style, text }
+	 * `levels`: number, how many levels to nest the text elements
+	 *
+	 * Section titles are not allowed in the content of a directive, so they are converted to
+	 * bold paragraphs.
+	 *
+	 * Returns an array of objects, the nested text elements { style, text, indent }
+	 */
+	nestText (text, levels) {
+		return text.map((element) => ({
+			style: element.style.match(/^h[0-9]$/) !== null ? "b" : element.style,
+			text: element.text,
+			indent: (element.indent !== undefined ? element.indent : 0) + levels
+		}));
+	}
+
 	/*
 	 * Determine if a comment block represents a possible title block
 	 * `block`: CodeBlock object, the block to check
@@ -862,6 +1399,30 @@ class Generator {
 		return titleComment;
 	}
 
+	/*
+	 * Check if a block is documented, according to the `ignore` and `internal` directives
+	 * `block`: CodeBlock object, the function, class, method or variable declaration
+	 * `settings`: settings object, settings to apply for this operation
+	 * Returns: boolean, false for ignored blocks, and for internal blocks unless
+	 * `structure.maintainersBuild` is set
+	 */
+	isBlockDocumented (block, settings) {
+		let visibility = block.getVisibility();
+		return visibility === "public" || (visibility === "internal" && settings.structure.maintainersBuild);
+	}
+
+	/*
+	 * Check if a code unit is documented, according to the `ignore` and `private` directives
+	 * `codeUnit`: CodeUnit object, the code unit
+	 * `settings`: settings object, settings to apply for this operation
+	 * Returns: boolean, false for ignored units, and for private units unless
+	 * `structure.maintainersBuild` is set
+	 */
+	isUnitDocumented (codeUnit, settings) {
+		let visibility = codeUnit.getVisibility();
+		return visibility === "public" || (visibility === "private" && settings.structure.maintainersBuild);
+	}
+
 	/*
 	 * Group all variable declarations in a ContentBlock object based on their title blocks
 	 * `contentBlock`: ContentBlock object, the content block object to extract the groups from
@@ -900,23 +1461,364 @@ class Generator {
 				if (!(comment instanceof CommentBlock))
 					comment = null;
 
-				section.variables.push({ variableBlock: current, commentBlock: comment });
+				section.variables.push({ variableBlock: current, commentBlock: comment });
+
+				current = current.getNext(0);
+				while (current instanceof CommentBlock) {
+					if (this.isTitleComment(current, settings))
+						break;
+					current = current.getNext(0);
+				}
+			}
+
+			if (titleComment !== null)
+				ret.push(section);
+			// the last declaration can be the last block in the content
+			if (current !== null)
+				current = current.getNext(0, VariableBlock);
+		}
+
+		if (noTitleGroup !== null)
+			ret.push(noTitleGroup);
+
+		return ret;
+	}
+
+	/*
+	 * Convert a comment block to its documentation model
+	 * `commentBlock`: CommentBlock object, the comment block (can be null)
+	 * Returns: object or null if there is no comment block:
+	 * - `row`: number, starting row of the comment
+	 * - `text`: string, the comment text on a single row
+	 * - `sections`: array of sections, see `CommentBlock.getSections()`
+	 * - `tags`: object, the JSDoc tags, see `CommentBlock.getTags()`, or null if there are none
+	 */
+	commentToModel (commentBlock) {
+		if (commentBlock === null)
+			return null;
+		return {
+			row: commentBlock.getStartingRow(),
+			text: commentBlock.getCompactText(),
+			sections: commentBlock.getSections(),
+			tags: commentBlock.hasTags() ? commentBlock.getTags() : null
+		};
+	}
+
+	/*
+	 * Convert a function or method to its documentation model
+	 * `functionBlock`: FunctionBlock or MethodBlock object, the function
+	 * `commentBlock`: CommentBlock object, the comment documenting the function (can be null)
+	 * `settings`: settings object, settings to apply for this operation
+	 *
+	 * The documented arguments are compared with the function signature at this point, if
+	 * `code.checkSignatureDocs` is set.
+	 *
+	 * Returns: object:
+	 * - `kind`: string, `function` or `method`
+	 * - `name`: string, identifier name (or member name for methods)
+	 * - `path`: array of strings, namespace path of the function, eg `[ "util", "load" ]`
+	 * - `arguments`: array of strings, the arguments as declared
+	 * - `flags`: object, the kind of function, eg `{ async, generator, arrow }` or method flags
+	 *   (see `MethodBlock.getFlags()`)
+	 * - `aliases`: array of strings, alias names
+	 * - `visibility`: string, `public` or `internal` (see `CodeBlock.getVisibility`)
+	 * - `row`: number, starting row of the declaration
+	 * - `comment`: object, comment model (see `commentToModel`) or null
+	 */
+	functionToModel (functionBlock, commentBlock, settings) {
+		let comment = this.commentToModel(commentBlock);
+		if (comment !== null && settings.code.checkSignatureDocs)
+			this.checkSignatureDocs(functionBlock, commentBlock, this.readSignatureSections(comment.sections));
+
+		return {
+			kind: functionBlock instanceof MethodBlock ? "method" : "function",
+			name: functionBlock instanceof MethodBlock ? functionBlock.getFieldName() : functionBlock.getIdentifierName(),
+			path: functionBlock.getNamespacePath(),
+			arguments: functionBlock.getArguments(),
+			flags: functionBlock.getFlags instanceof Function ? functionBlock.getFlags() : {},
+			aliases: functionBlock.getAliases(),
+			visibility: functionBlock.getVisibility(),
+			row: functionBlock.getStartingRow(),
+			comment: comment
+		};
+	}
+
+	/*
+	 * Convert a class to its documentation model
+	 * `classBlock`: ClassBlock object, the class
+	 * `commentBlock`: CommentBlock object, the comment documenting the class (can be null)
+	 * `settings`: settings object, settings to apply for this operation
+	 * Returns: object:
+	 * - `kind`: string, `class`
+	 * - `name`: string, identifier name
+	 * - `exportedName`: string, exported name
+	 * - `superName`: string, name of the base class or null
+	 * - `prototypeStyle`: boolean, true for constructor functions with members assigned to the prototype
+	 * - `aliases`: array of strings, alias names
+	 * - `visibility`: string, `public` or `internal` (see `CodeBlock.getVisibility`)
+	 * - `row`: number, starting row of the declaration
+	 * - `comment`: object, comment model (see `commentToModel`) or null
+	 * - `constructor`: object, function model of the constructor (see `functionToModel`) or null
+	 * - `methods`: array of objects, function models of the other methods, including static methods,
+	 *   getters and setters; ignored methods (and internal methods unless `structure.maintainersBuild`
+	 *   is set) are left out
+	 * - `fields`: array of objects `{ kind, name, path, flags, value, row, comment }`, fields declared
+	 *   in the class body
+	 * - `assignedFields`: array of objects `{ path, name, declaration, value, row, description }`,
+	 *   fields assigned by directives
+	 */
+	classToModel (classBlock, commentBlock, settings) {
+		let contentBlock = classBlock.getContentBlock();
+		let constructorBlock = contentBlock.getBlockByFieldName("constructor");
+
+		let ret = {
+			kind: "class",
+			name: classBlock.getIdentifierName(),
+			exportedName: classBlock.getExportedName(),
+			superName: classBlock.getSuperName(),
+			prototypeStyle: classBlock.isPrototypeStyle(),
+			aliases: classBlock.getAliases(),
+			visibility: classBlock.getVisibility(),
+			row: classBlock.getStartingRow(),
+			comment: this.commentToModel(commentBlock),
+			constructor: null,
+			methods: [],
+			fields: [],
+			assignedFields: []
+		};
+
+		if (constructorBlock !== null)
+			ret.constructor = this.functionToModel(
+				constructorBlock, constructorBlock.getPrev(1, CommentBlock), settings);
+
+		let blocks = contentBlock.getBlocksByInstance(MethodBlock);
+		for (let i=0; i<blocks.length; i++) {
+			if (blocks[i] !== constructorBlock && this.isBlockDocumented(blocks[i], settings))
+				ret.methods.push(this.functionToModel(blocks[i], blocks[i].getPrev(1, CommentBlock), settings));
+		}
+
+		blocks = contentBlock.getBlocksByInstance(FieldBlock);
+		for (let i=0; i<blocks.length; i++) {
+			ret.fields.push({
+				kind: "field",
+				name: blocks[i].getFieldName(),
+				path: blocks[i].getNamespacePath(),
+				flags: blocks[i].getFlags(),
+				value: blocks[i].getValue(),
+				row: blocks[i].getStartingRow(),
+				comment: this.commentToModel(blocks[i].getPrev(1, CommentBlock))
+			});
+		}
+
+		let fields = classBlock.getAssignedFieldsList();
+		for (let i in fields) {
+			// the description is read from the comment of the field and its title comment
+			let titleComment = this.getTitleComment(fields[i], settings);
+			let commentBlock = fields[i].getPrev(0);
+			if (commentBlock === titleComment || !(commentBlock instanceof CommentBlock))
+				commentBlock = null;
+			let description = null;
+			if (commentBlock === null && titleComment)
+				description = titleComment.getCompactText();
+			if (commentBlock && titleComment === null)
+				description = commentBlock.getCompactText();
+			if (commentBlock && titleComment)
+				description = commentBlock.getCompactText() + " (" + titleComment.getCompactText() + ")";
+			ret.assignedFields.push({
+				path: i,
+				name: fields[i].getIdentifierName(),
+				declaration: fields[i].getIdentifierType(),
+				value: fields[i].getValue(),
+				row: fields[i].getStartingRow(),
+				description: description
+			});
+		}
+
+		return ret;
+	}
+
+	/*
+	 * Convert a group of variable declarations to its documentation model
+	 * `group`: object, the group of variable declarations, see `groupVarDeclarations`
+	 * `exported`: array of strings, names of the objects exported by the code unit
+	 * Returns: object:
+	 * - `title`: string, title of the group or null if the group doesn't have a title comment
+	 * - `variables`: array of objects:
+	 *   `name`: string, identifier name
+	 *   `declaration`: string, declaration keyword, eg `const`
+	 *   `value`: string, the initial value as read from code
+	 *   `path`: array of strings, namespace path of the variable
+	 *   `exported`: boolean, true if the variable is exported
+	 *   `aliases`: array of strings, alias names
+	 *   `visibility`: string, `public` or `internal` (see `CodeBlock.getVisibility`)
+	 *   `row`: number, starting row of the declaration
+	 *   `comment`: object, comment model (see `commentToModel`) or null
+	 */
+	varGroupToModel (group, exported) {
+		let ret = {
+			title: group.titleComment !== null ? group.titleComment.getCompactText() : null,
+			variables: []
+		};
+
+		for (let i=0; i<group.variables.length; i++) {
+			let varBlock = group.variables[i].variableBlock;
+			ret.variables.push({
+				name: varBlock.getIdentifierName(),
+				declaration: varBlock.getIdentifierType(),
+				value: varBlock.getValue(),
+				path: varBlock.getNamespacePath(),
+				exported: exported.indexOf(varBlock.getIdentifierName()) !== -1,
+				aliases: varBlock.getAliases(),
+				visibility: varBlock.getVisibility(),
+				row: varBlock.getStartingRow(),
+				comment: this.commentToModel(group.variables[i].commentBlock)
+			});
+		}
+
+		return ret;
+	}
+
+	/*
+	 * Read the header of a file (title, description and introduction) from a CodeUnit object
+	 * `codeUnit`: CodeUnit object, parsed code unit object for this file
+	 *
+	 * The title and description are extracted from the first comment blocks. If the title is missing,
+	 * the path to the file is used. If a title or description was specified via the CodeUnit
+	 * constructor or methods, those will be used instead.
+	 *
+	 * Returns: object:
+	 * - `title`: string, title of the file
+	 * - `description`: string, description of the file or null
+	 * - `sections`: array of sections, introduction text, see `CommentBlock.getSections()`
+	 */
+	fileHeaderToModel (codeUnit) {
+		let firstBlock = codeUnit.getFirstBlock();
+
+		// set title to just the path to the file and the description to null for now
+		let title = codeUnit.getPath();
+		let description = null;
+		let intro = [];
+
+		// if we have a header, read the title and description from the header
+		if (this.settings.code.fileHeaders && (firstBlock instanceof CommentBlock)) {
+			let sections = firstBlock.getSections();
+
+			if (this.settings.code.fileTitle && sections.length &&
+				sections[0].rowCount <= this.settings.code.fileTitleMaxRows &&
+				sections[0].bullet === null)
+			{
+				let section = sections.shift();
+				title = section.text + " (" + title + ")";
+			}
+
+			if (this.settings.code.fileDescription && sections.length &&
+				sections[0].rowCount <= this.settings.code.fileDescriptionMaxRows &&
+				sections[0].bullet === null)
+			{
+				let section = sections.shift();
+				description = section.text;
+			}
+
+			intro = sections;
+		}
+
+		// finally, overwrite with codeunit title and description if any provided
+		if (codeUnit.getName())
+			title = codeUnit.getName() + " (" + codeUnit.getPath() + ")";
+		if (codeUnit.getDescription())
+			description = codeUnit.getDescription();
+
+		let block = firstBlock.getNext(0);
+		while ((block instanceof CommentBlock) && (block.getNext(1) === null)) {
+			intro = intro.concat(block.getSections());
+			block = block.getNext(0);
+		}
+
+		return {
+			title: title,
+			description: description,
+			sections: intro
+		};
+	}
+
+	/*
+	 * Convert a code unit to its documentation model
+	 * `codeUnit`: CodeUnit object, the code unit parsed from file
+	 * `settings`: settings object, settings to apply for this operation
+	 * `options`: object, additional options:
+	 * - `objectsOnly`: boolean, if this is set to true, class declarations will not be included
+	 *       in the model (defaults to false)
+	 * Returns: object:
+	 * - `path`: string, path of the file
+	 * - `name`: string, name of the unit or null
+	 * - `description`: string, description of the unit or null
+	 * - `loadedAt`: string, time the code of the unit was loaded, shown as generation time
+	 * - `exportedName`: string, exported name of the unit
+	 * - `visibility`: string, `public` or `private` (see `CodeUnit.getVisibility`)
+	 * - `exportedObjects`: array of strings, names of the exported objects
+	 * - `imports`: array of objects `{ word, name, type, path, field }`, imported objects
+	 * - `dependencies`: array of strings, paths of the units used by this unit
+	 * - `dependents`: array of strings, paths of the units using this unit
+	 * - `header`: object, the file header, see `fileHeaderToModel`
+	 * - `classes`: array of objects, class models (see `classToModel`) with an `exported` flag
+	 * - `functions`: array of objects, function models (see `functionToModel`) with an `exported` flag
+	 * - `variableGroups`: array of objects, variable group models, see `varGroupToModel`
+	 *
+	 * Ignored objects are left out of the model, as are internal objects unless
+	 * `structure.maintainersBuild` is set, see `isBlockDocumented`.
+	 */
+	unitToModel (codeUnit, settings, options) {
+		if (options === undefined)
+			options = {};
+
+		let exportedObjects = codeUnit.getExportedObjects();
 
-				current = current.getNext(0);
-				while (current instanceof CommentBlock) {
-					if (this.isTitleComment(current, settings))
+		let ret = {
+			path: codeUnit.getPath(),
+			name: codeUnit.getName() !== undefined ? codeUnit.getName() : null,
+			description: codeUnit.getDescription() !== undefined ? codeUnit.getDescription() : null,
+			loadedAt: String(codeUnit.getLoadedAt()),
+			exportedName: codeUnit.getExportedName(),
+			visibility: codeUnit.getVisibility(),
+			exportedObjects: exportedObjects,
+			imports: codeUnit.getImportedObjects(),
+			dependencies: codeUnit.getPrev().map((unit) => unit.getPath()),
+			dependents: codeUnit.getNext().map((unit) => unit.getPath()),
+			header: this.fileHeaderToModel(codeUnit),
+			classes: [],
+			functions: [],
+			variableGroups: []
+		};
+
+		let blocks = codeUnit.getBlocks();
+		for (let i=0; i<blocks.length; i++) {
+			if (!this.isBlockDocumented(blocks[i], settings))
+				continue;
+			let comment = blocks[i].getPrev(1, CommentBlock);
+			let model = null;
+			switch (blocks[i].getType()) {
+				case "classDeclaration":
+					if (options.objectsOnly)
 						break;
-					current = current.getNext(0);
-				}
+					model = this.classToModel(blocks[i], comment, settings);
+					ret.classes.push(model);
+					break;
+				case "funDeclaration":
+					model = this.functionToModel(blocks[i], comment, settings);
+					ret.functions.push(model);
+					break;
 			}
-
-			if (titleComment !== null)
-				ret.push(section);
-			current = current.getNext(0, VariableBlock);
+			if (model !== null)
+				model.exported = exportedObjects.indexOf(blocks[i].getIdentifierName()) !== -1;
 		}
 
-		if (noTitleGroup !== null)
-			ret.push(noTitleGroup);
+		let varGroups = this.groupVarDeclarations(codeUnit.getContentBlock(), settings)
+			.map((group) => ({
+				titleComment: group.titleComment,
+				variables: group.variables.filter((item) => this.isBlockDocumented(item.variableBlock, settings))
+			}))
+			.filter((group) => group.variables.length > 0);
+		ret.variableGroups = varGroups.map((group) => this.varGroupToModel(group, exportedObjects));
 
 		return ret;
 	}
@@ -926,18 +1828,44 @@ class Generator {
 	 * `codeUnit`: CodeUnit object, the code unit parsed from file
 	 * `settings`: settings object, settings to use for this operation
 	 * `headerDepth`: number, first title (header) starts from this level
+	 * `options`: object, additional options, see `generateModelCodeDocumentation`
+	 *
+	 * This method generates documentation content for everything in a code unit file, from its
+	 * documentation model (see `unitToModel`).
+	 *
+	 * Returns: array of strings, the generated documentation content rows
+	 */
+	generateCodeDocumentation (codeUnit, settings, headerDepth, options) {
+		if (options === undefined)
+			options = { includeInternal: true };
+
+		let model = this.unitToModel(codeUnit, settings, options);
+		return this.generateModelCodeDocumentation(model, settings, headerDepth, options);
+	}
+
+	/*
+	 * Generate documentation content for a code unit from its documentation model
+	 * `model`: object, the code unit model, see `unitToModel`
+	 * `settings`: settings object, settings to use for this operation
+	 * `headerDepth`: number, first title (header) starts from this level
 	 * `options`: object, additional options:
 	 * - `includeInternal`: boolean, wether to include or not internal (not exported) items
 	 *       in the generated content (defaults to true)
 	 * - `objectsOnly`: boolean, if this is set to true, class declarations will not be included
 	 *       in the generated content (defaults to false)
+	 * - `classLinks`: boolean, if this is set to true, classes link to their pages in the objects
+	 *       documentation, see `generateAllContent` (defaults to false)
+	 * - `namespace`: object `{ name, require }`, if this is set, the unit exports a namespace object
+	 *       (its name and the require expression) and the exported functions are documented as its members
+	 * - `factories`: object, by function name, the classes created by the factory functions of
+	 *       the unit, see `generateModelFunctionDocumentation`
 	 *
 	 * This method generates documentation content for everything in a code unit file, namely
 	 * functions, classes and declared variables (selection is possible using the `options` argument)
 	 *
-	 * Returns: array of objects, the generated documentation content as { style, text }
+	 * Returns: array of strings, the generated documentation content rows
 	 */
-	generateCodeDocumentation (codeUnit, settings, headerDepth, options) {
+	generateModelCodeDocumentation (model, settings, headerDepth, options) {
 		let ret = [];
 
 		if (headerDepth === undefined)
@@ -945,64 +1873,48 @@ class Generator {
 		if (options === undefined)
 			options = { includeInternal: true };
 
-		ret = ret.concat(this.generateFileHeader(codeUnit, settings, headerDepth));
+		ret = ret.concat(this.generateModelFileHeader(model.header, settings, headerDepth));
+		ret = ret.concat(this.generateVisibilityText(model.visibility));
+
+		let namespace = options.namespace !== undefined ? options.namespace.name : undefined;
+		if (namespace !== undefined)
+			ret.push({ style: "p", text: "**Namespace:** the module exports the `" + namespace + "` object, `const " +
+				namespace + " = " + options.namespace.require + "`" });
+		let factories = options.factories !== undefined ? options.factories : {};
+
+		// objects documented after this directive belong to the module of this file
+		if (settings.output.jsDomain)
+			ret.push({ style: "do", text: JS_DOMAIN_DIRECTIVES.module + ":: " + model.path.replace(/^\.\//, "").replace(/\.[^./]*$/, "") });
 
 		// store all exported and internal objects in these arrays
-		let exported = { classes: [], variables: [], functions: [] };
-		let internal = { classes: [], variables: [], functions: [] };
 		let classes = { exported: [], internal: [] };
-		let variables = { exported: [], internal: [] };
 		let functions = { exported: [], internal: [] };
 
-		let exportedObjects = codeUnit.getExportedObjects();
-
-		let blocks = codeUnit.getBlocks();
-		let meta;
-		for (let i=0; i<blocks.length; i++) {
-			let comment = blocks[i].getPrev(1, CommentBlock);
-			meta = {};
-			if (blocks[i].getIdentifierName instanceof Function)
-				meta.exported = exportedObjects.indexOf(blocks[i].getIdentifierName()) !== -1;
-			switch (blocks[i].getType()) {
-				case "classDeclaration":
-					if (options.objectsOnly)
-						break;
-					let classDocumentation =
-						this.generateClassDocumentation(blocks[i], comment, settings, headerDepth + 1, meta);
-					if (meta.exported) {
-						classes.exported.push(classDocumentation);
-					}
-					else {
-						if (options.includeInternal)
-							classes.internal.push(classDocumentation);
-					}
-					break;
-				case "funDeclaration":
-					let functionDocumentation =
-						this.generateFunctionDocumentation(blocks[i], comment, settings, headerDepth + 2, meta);
-					if (meta.exported) {
-						functions.exported.push(functionDocumentation);
-					}
-					else {
-						if (options.includeInternal)
-							functions.internal.push(functionDocumentation);
-					}
-					break;
-				case "varDeclaration":
-					let varDocumentation =
-						this.generateVarDocumentation(blocks[i], comment, settings, headerDepth + 2, meta);
-					if (meta.exported) {
-						variables.exported.push(varDocumentation);
-					}
-					else {
-						if (options.includeInternal)
-							variables.internal.push(varDocumentation);
-					}
-					break;
-			}
+		// alias entries of exported objects are exported too
+		let generateClass = (cls, alias) => {
+			let meta = { exported: cls.exported, alias: alias };
+			if (options.classLinks && (meta.exported || settings.structure.includeInternal === true))
+				meta.seeAlso = "**Class documentation:** " + this.getRenderer(settings).docLink(
+					this.getFilePagePath(model.path, settings), this.getClassPagePath(cls.name, settings),
+					"class " + cls.name);
+			return this.generateModelClassDocumentation(cls, settings, headerDepth + 1, meta);
+		};
+		let generateFunction = (fn, alias) => this.generateModelFunctionDocumentation(fn, settings, headerDepth + 2,
+			{ exported: fn.exported, alias: alias, namespace: namespace, factoryOf: factories[fn.name] });
+
+		if (!options.objectsOnly) {
+			classes.exported = this.generateAliasedEntries(
+				model.classes.filter((cls) => cls.exported), generateClass, settings);
+			if (options.includeInternal)
+				classes.internal = this.generateAliasedEntries(
+					model.classes.filter((cls) => !cls.exported), generateClass, settings);
 		}
 
-		let varGroups = this.groupVarDeclarations(codeUnit.getContentBlock(), settings);
+		functions.exported = this.generateAliasedEntries(
+			model.functions.filter((fn) => fn.exported), generateFunction, settings);
+		if (options.includeInternal)
+			functions.internal = this.generateAliasedEntries(
+				model.functions.filter((fn) => !fn.exported), generateFunction, settings);
 
 		// classes get their own sections
 		classes.exported.map((section) => ret = ret.concat(section));
@@ -1010,57 +1922,171 @@ class Generator {
 
 		// functions are exported in "function" sections
 		if (functions.exported.length)
-			ret = ret.concat(this.generateSection("Exported Functions", functions.exported, settings, headerDepth + 1));
+			ret = ret.concat(this.generateSection(namespace !== undefined ? "Members of " + namespace : "Exported Functions",
+				functions.exported, settings, headerDepth + 1));
 		if (functions.internal.length)
 			ret = ret.concat(this.generateSection("Internal Functions", functions.internal, settings, headerDepth + 1));
 
 		// variables are exported in "variables" sections
-		if (varGroups.length) {
-			meta = { groupCount: varGroups.length, exported: variables.exported };
+		if (model.variableGroups.length) {
+			let meta = { groupCount: model.variableGroups.length };
 			ret.push({ style: "h" + (headerDepth + 1), text: "Variable Declarations" });
-			for (let i=0; i<varGroups.length; i++) {
-				let documentation = this.generateVarGroupDocumentation(varGroups[i], settings, headerDepth + 2, meta);
+			for (let i=0; i<model.variableGroups.length; i++) {
+				let documentation =
+					this.generateModelVarGroupDocumentation(model.variableGroups[i], settings, headerDepth + 2, meta);
 				ret = ret.concat(documentation);
 			}
 		}
 
-		ret.push({ style: "p", text: "Generated at " + (new Date()) });
+		// the time the code was loaded, so that pages of unchanged units stay the same when regenerated
+		ret.push({ style: "p", text: "Generated at " + (model.loadedAt !== undefined ? model.loadedAt : new Date()) });
 
 		return this.textToOutputRows(ret, settings);
 	}
 
+
 	/*
-	 * Generate Index with Table of Contents from file content
-	 * `files`: array of objects, list of files included in this index; while normally this list is
-	 *      generated by one of the other methods of this class, only the `path` field is used by this
-	 *      method to determine how the files are included in the table of contents
+	 * Get the path of the documentation page of a file, in the files documentation
+	 * `path`: string, code unit path, eg `./src/util.js`
 	 * `settings`: settings object, settings to be used for this operation
-	 * Returns array of strings, the generated RST file content rows
+	 * Returns: string, page path relative to the output path
 	 */
-	generateIndex (files, settings) {
-		let ret = [];
+	getFilePagePath (path, settings) {
+		return util.joinPaths(settings.paths.baseCodePath, path + "." + this.getRenderer(settings).getExtension());
+	}
 
-		ret.push({ style: "c", text: this.project.name + " Documentation master file, created by " +
-			"dgen-one documentation generator on " + (new Date()).toGMTString() + ". " +
-			"You can adapt this file completely to your liking, but it should at least contain the " +
-			"root `toctree` directive." });
+	/*
+	 * Get the expression to require a code unit with, as shown in the documentation
+	 * `codeUnit`: CodeUnit object, the code unit
+	 *
+	 * If the project name is a package name, the units are required from the package: the main
+	 * module (`index.js` unless set in the project meta) and the units it re-exports by the package
+	 * name, eg `require("dgen-one")` or `require("dgen-one").util`, the other units by their path
+	 * in the package, eg `require("dgen-one/src/util")`.
+	 *
+	 * Returns: string, the require expression, with the unit path without the extension if the
+	 *          project is not a package, eg `require("./src/util")` for `./src/util.js`
+	 */
+	getRequireExpression (codeUnit) {
+		let path = codeUnit.getPath().replace(/\.[^./]*$/, "");
+		if (this.project.name === undefined || !PACKAGE_NAME_REGEX.test(this.project.name))
+			return "require(\"" + path + "\")";
+
+		let main = this.codeTree.resolveCandidates(this.project.main !== undefined ? this.project.main : "index.js")
+			.map((candidate) => this.codeTree.getUnitByPath(candidate)).find((unit) => unit !== null);
+		if (main === codeUnit)
+			return "require(\"" + this.project.name + "\")";
+
+		// the main module can export the unit, eg `module.exports.util = require("./src/util.js")`
+		if (main !== undefined) {
+			let base = main.getPath().split("/").slice(0, -1).join("/");
+			let imported = main.getImportedObjects().find((obj) => obj.type === "internal" && obj.field === null &&
+				this.codeTree.resolveCandidates(util.joinPaths(base, obj.path)).indexOf(codeUnit.getPath()) !== -1);
+			let assignment = imported === undefined ? undefined : main.getBlocksByType("assignment")
+				.find((block) => block.getValue() === imported.name && /^module\.exports(\.[\w$]+)?$/.test(block.getTarget()));
+			if (assignment !== undefined)
+				return "require(\"" + this.project.name + "\")" + assignment.getTarget().replace("module.exports", "");
+		}
+
+		return "require(\"" + util.joinPaths(this.project.name, path) + "\")";
+	}
 
-		ret.push({ style: "h1", text: this.project.name + " Documentation" });
+	/*
+	 * Get the path of the documentation page of a class, in the objects documentation
+	 * `name`: string, class name
+	 * `settings`: settings object, settings to be used for this operation
+	 * Returns: string, page path relative to the output path
+	 */
+	getClassPagePath (name, settings) {
+		return util.joinPaths(settings.paths.baseClassPath, name + "." + this.getRenderer(settings).getExtension());
+	}
 
-		ret.push({ style: "dh", text: "toctree" });
-		ret.push({ style: "dl", text: "maxdepth: 2" });
-		ret.push({ style: "dl", text: "caption: Contents:" });
+	/*
+	 * Get the path of the index page of a category, in the objects documentation
+	 * `name`: string, category name, eg `Core API`
+	 * `settings`: settings object, settings to be used for this operation
+	 * Returns: string, page path relative to the output path, eg `categories/core-api.rst`
+	 */
+	getCategoryPagePath (name, settings) {
+		let slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+		return util.joinPaths(settings.paths.baseCategoryPath,
+			(slug !== "" ? slug : "category") + "." + this.getRenderer(settings).getExtension());
+	}
 
-		for (let i=0; i<files.length; i++)
-			ret.push({ style: "db", text: files[i].path });
+	/*
+	 * Get the category of an object in the objects documentation
+	 * `codeUnit`: CodeUnit object, the unit declaring the object
+	 * `block`: CodeBlock object, the class or function, or null for the unit itself
+	 *
+	 * The category is set by the `category` directive on the object or else on the unit. Without
+	 * directives, objects are grouped by the directory of their unit; the files in the project root
+	 * are listed under the project name.
+	 *
+	 * Returns: object `{ name, weight }`, the category name and the ordering weight
+	 */
+	getObjectCategory (codeUnit, block) {
+		if (block !== null && block.getCategory() !== null)
+			return block.getCategory();
+		if (codeUnit.getCategory() !== null)
+			return codeUnit.getCategory();
+		let dir = path.posix.dirname(codeUnit.getPath()).replace(/^\.\/?/, "");
+		if (dir === "")
+			dir = this.project.name !== undefined ? this.project.name : "Project";
+		return { name: dir, weight: 0 };
+	}
 
-		ret.push({ style: "h1", text: "Indices and tables" });
+	/*
+	 * Generate the index page of a category of the objects documentation
+	 * `category`: object, the category:
+	 * - `name`: string, category name
+	 * - `path`: string, path of the index page
+	 * - `classes`, `modules`: arrays of objects `{ path, weight }`, the class and module pages
+	 * - `functions`: arrays of objects `{ name, arguments, path, unit, weight }`, the functions
+	 *   assigned to the category with the `category` directive, documented in the module pages
+	 * `settings`: settings object, settings to be used for this operation
+	 * `headerDepth`: number, header depth of the page title
+	 *
+	 * The class and module pages are listed in a table of contents (eg. a `toctree` directive for
+	 * RST) for each kind, ordered by weight.
+	 *
+	 * Returns array of strings, the generated file content rows
+	 */
+	generateCategoryIndex (category, settings, headerDepth) {
+		let renderer = this.getRenderer(settings);
+		let byWeight = (items) => items.slice(0).sort((a, b) => a.weight - b.weight);
+		let text = [ { style: "h" + headerDepth, text: category.name } ];
+
+		if (category.classes.length)
+			text = text.concat(renderer.generateTocText(category.path, "Classes", byWeight(category.classes)));
+		if (category.modules.length)
+			text = text.concat(renderer.generateTocText(category.path, "Modules", byWeight(category.modules)));
+
+		if (category.functions.length) {
+			text.push({ style: "h" + (headerDepth + 1), text: "Functions" });
+			byWeight(category.functions).map((fn) => text.push({ style: "l1", text: "`" + fn.name + " (" +
+				fn.arguments.join(", ") + ")` in " + renderer.docLink(category.path, fn.path, fn.unit) }));
+		}
 
-		ret.push({ style: "l1", text: ":ref:`genindex`" });
-		ret.push({ style: "l1", text: ":ref:`modindex`" });
-		ret.push({ style: "l1", text: ":ref:`search`" });
+		return this.textToOutputRows(text, settings);
+	}
 
-		return this.textToOutputRows(ret, settings);
+	/*
+	 * Generate Index with Table of Contents from file content
+	 * `files`: array of objects, list of files included in this index; while normally this list is
+	 *      generated by one of the other methods of this class, only the `path` field is used by this
+	 *      method to determine how the files are included in the table of contents
+	 * `settings`: settings object, settings to be used for this operation
+	 * `sections`: array of objects, optional, index sections with a `caption` and their `files`,
+	 *      see `Renderer.generateIndexText`
+	 *
+	 * The index is generated by the renderer of the output format, eg with a `toctree` directive for
+	 * RST or with links for Markdown.
+	 *
+	 * Returns array of strings, the generated file content rows
+	 */
+	generateIndex (files, settings, sections) {
+		let text = this.getRenderer(settings).generateIndexText(this.project, files, settings, sections);
+		return this.textToOutputRows(text, settings);
 	}
 
 	/*
@@ -1174,20 +2200,27 @@ class Generator {
 	 * `files`: array of objects, files already in the project (for instance the output of
 	 *       `generateObjectsContent` or `generateFileContent`
 	 * `settings`: settings object, settings to use for this operation
+	 * `sections`: array of objects, optional, index sections, see `generateIndex`
 	 *
 	 * This method generates the auxiliary project file content, namely conf.py, index and makefiles
-	 * if specified in the settings and attaches them to the input `files` object.
+	 * if specified in the settings and attaches them to the input `files` object. Only the index is
+	 * generated for output formats which are not built with Sphinx (eg Markdown).
 	 *
 	 * Returns object, the input files object with the newly generated file content.
 	 */
-	generateAuxiliaryFiles (files, settings) {
+	generateAuxiliaryFiles (files, settings, sections) {
 		let ret = files;
+		let renderer = this.getRenderer(settings);
 
 		if (settings.structure.generateIndex) {
-			let index = this.generateIndex(ret, settings);
-			ret.push({ path: "index.rst", content: index });
+			let index = this.generateIndex(ret, settings, sections);
+			ret.push({ path: "index." + renderer.getExtension(), content: index });
 		}
 
+		// the other files are only needed to build the documentation with Sphinx
+		if (!renderer.isSphinxFormat())
+			return ret;
+
 		if (settings.structure.generateConfPy) {
 			let confpy = this.generateConfPy(settings);
 			ret.push({ path: "conf.py", content: confpy });
@@ -1208,44 +2241,153 @@ class Generator {
 
 
 	/*
-	 * Based on settings object, generate object documentation content and return it as an array of objects
-	 * - `settings`: settings object
-	 * - `headerDepth`: number, starting header depth (defaults to 1)
-	 * Returned array elements:
-	 * - `path`: suggested relative path to the generated file
-	 * - `content`: file content as rows
+	 * Collect the patterns implemented by code units, see the `pattern` directive
+	 * `units`: array of CodeUnit objects, the documented units
+	 * `settings`: settings object, settings to be used for this operation
+	 *
+	 * Patterns referring to classes or functions which are not documented are reported as warnings.
+	 *
+	 * Returns: object, the patterns by type:
+	 * - `singleton`: object, by class name, the exported instance `{ name, require }`: its name and
+	 *   the require expression, see `getRequireExpression`
+	 * - `factory`: object, by class name, array of objects `{ unit, block }`: the units and function
+	 *   blocks of the factory functions
+	 * - `mixin`: object, by target class name, array of ClassBlock objects, the mixed in classes
+	 * - `mixedInto`: object, by mixed in class name, array of strings, the target class names
+	 * - `namespace`: Map object, by CodeUnit object, the name of the exported namespace object
+	 * - `emitter`: array of strings, names of the event emitter classes
 	 */
-	generateObjectsContent (settings, headerDepth) {
-		if (settings === undefined)
-			settings = {};
-		util.applyDefaults(settings, this.settings);
+	collectPatterns (units, settings) {
+		let ret = { singleton: {}, factory: {}, mixin: {}, mixedInto: {}, namespace: new Map(), emitter: [] };
+
+		let classes = {};
+		// other declared objects, so that patterns naming them (eg. an object literal as mixin source)
+		// are not reported as missing classes
+		let declared = {};
+		for (let i=0; i<units.length; i++) {
+			units[i].getBlocksByInstance(ClassBlock).filter((block) => this.isBlockDocumented(block, settings))
+				.map((block) => classes[block.getIdentifierName()] = block);
+			units[i].getBlocksByInstance(VariableBlock).map((block) =>
+				declared[block.getIdentifierName()] = block.getValue()[0] === "{" ? "object" : "variable");
+			units[i].getBlocksByInstance(FunctionBlock).map((block) => declared[block.getIdentifierName()] = "function");
+		}
+
+		for (let i=0; i<units.length; i++) {
+			let patterns = units[i].getMeta("patterns");
+			if (patterns === undefined)
+				continue;
+			for (let j=0; j<patterns.length; j++) {
+				let args = patterns[j].args;
+				let unknown = (kind, name) => {
+					let message = declared[name] !== undefined && declared[name] !== kind ?
+						"`" + name + "`, which is " + (declared[name] === "object" ? "an " : "a ") + declared[name] + ", not a " + kind :
+						kind + " `" + name + "`, which is not documented";
+					this.diagnostics.warning("unknown-pattern-target", "Pattern " + patterns[j].type + " refers to " + message,
+						units[i].getPath(), patterns[j].row);
+					return true;
+				};
+				switch (patterns[j].type) {
+					case "singleton":
+						if (classes[args[0]] === undefined && unknown("class", args[0]))
+							break;
+						// the instance is usually exported as an expression (`module.exports = new Registry()`)
+						ret.singleton[args[0]] = {
+							name: /^[A-Za-z_$][\w$]*$/.test(units[i].getExportedName()) ?
+								units[i].getExportedName() : units[i].getPath().split("/").pop().split(".").shift(),
+							require: this.getRequireExpression(units[i])
+						};
+						break;
+					case "factory": {
+						let block = units[i].getBlocksByInstance(FunctionBlock)
+							.find((fn) => fn.getIdentifierName() === args[0] && this.isBlockDocumented(fn, settings));
+						if (block === undefined && unknown("function", args[0]))
+							break;
+						if (classes[args[1]] === undefined && unknown("class", args[1]))
+							break;
+						ret.factory[args[1]] = (ret.factory[args[1]] || []).concat([ { unit: units[i], block: block } ]);
+						break;
+					}
+					case "mixin":
+						if (classes[args[0]] === undefined && unknown("class", args[0]))
+							break;
+						if (classes[args[1]] === undefined && unknown("class", args[1]))
+							break;
+						ret.mixin[args[0]] = (ret.mixin[args[0]] || []).concat([ classes[args[1]] ]);
+						ret.mixedInto[args[1]] = (ret.mixedInto[args[1]] || []).concat([ args[0] ]);
+						break;
+					case "namespace":
+						ret.namespace.set(units[i], args[0]);
+						break;
+					case "emitter":
+						if (classes[args[0]] === undefined && unknown("class", args[0]))
+							break;
+						ret.emitter.push(args[0]);
+						break;
+				}
+			}
+		}
+
+		return ret;
+	}
 
+	/*
+	 * Generate the object documentation pages (classes and modules), without the auxiliary files
+	 * - `settings`: settings object, with defaults applied
+	 * - `headerDepth`: number, starting header depth (defaults to 1)
+	 * - `options`: object, optional:
+	 *   - `fileLinks`: boolean, if this is set to true, class pages link to the pages of the files
+	 *     declaring them, see `generateAllContent` (defaults to false)
+	 *
+	 * Classes and modules are documented according to the patterns they implement (see
+	 * `collectPatterns`): the instance of a singleton class is documented with the class, with its
+	 * methods called on the instance, mixed in methods are documented in the pages of the target
+	 * classes, factory functions are listed in the pages of the classes they create, the members of
+	 * namespace objects are documented as such and the events of event emitters are listed.
+	 *
+	 * If `structure.objectCategories` is set, the pages are grouped by category (see
+	 * `getObjectCategory`) and an index page is generated for each category, see
+	 * `generateCategoryIndex`; category index pages have the category name in a `category` field.
+	 *
+	 * Returns: array of objects, see `generateObjectsContent`
+	 */
+	generateObjectPages (settings, headerDepth, options) {
 		if (headerDepth === undefined)
 			headerDepth = 1;
+		if (options === undefined)
+			options = {};
 
 		let ret = [];
+		let extension = "." + this.getRenderer(settings).getExtension();
 		let roots = this.codeTree.findRoots();
 		let units = roots.slice(0);
 		for (let i=0; i<roots.length; i++) {
 			let upstream = roots[i].getAllPrev();
 			units = util.concatUnique(units, upstream);
 		}
+		units = units.filter((unit) => this.isUnitDocumented(unit, settings));
+		let patterns = this.collectPatterns(units, settings);
 
 		// first group everything in classes and other modules
 		let exportedClasses = [];
 		let internalClasses = [];
 		let modules = [];
+		// the unit declaring each class, for links to the file pages
+		let classUnits = new Map();
 
 		for (let i=0; i<units.length; i++) {
 			// TODO: exported objects from assignments
 			// TODO: exported object chains to generate require() examples
 			let exported = units[i].getExportedObjects();
-			let unitClasses = units[i].getBlocksByInstance(ClassBlock);
-			let unitFunctions = units[i].getBlocksByInstance(FunctionBlock);
-			let unitVariables = units[i].getBlocksByInstance(VariableBlock);
+			let documented = (block) => this.isBlockDocumented(block, settings);
+			let unitClasses = units[i].getBlocksByInstance(ClassBlock).filter(documented);
+			let unitFunctions = units[i].getBlocksByInstance(FunctionBlock).filter(documented);
+			let unitVariables = units[i].getBlocksByInstance(VariableBlock).filter(documented);
 
 			for (let j=0; j<unitClasses.length; j++) {
-				if (exported.indexOf(unitClasses[j].getIdentifierName()) === -1)
+				classUnits.set(unitClasses[j], units[i]);
+				// the instance of a singleton class is exported, even if the class is not
+				let name = unitClasses[j].getIdentifierName();
+				if (exported.indexOf(name) === -1 && patterns.singleton[name] === undefined)
 					internalClasses.push(unitClasses[j]);
 				else
 					exportedClasses.push(unitClasses[j]);
@@ -1283,13 +2425,46 @@ class Generator {
 			modules.push(unitEntry);
 		}
 
+		// class pages are only generated for internal classes if `structure.includeInternal` is set
+		let classPages = exportedClasses.concat(settings.structure.includeInternal === true ? internalClasses : [])
+			.map((block) => block.getIdentifierName());
+		let classLink = (from, name) => classPages.indexOf(name) === -1 ? "`" + name + "`" :
+			this.getRenderer(settings).docLink(from, this.getClassPagePath(name, settings), "class " + name);
+		let unitPagePath = (unit) => util.joinPaths(settings.paths.baseUnitsPath, unit.getExportedName() + extension);
+
+		// links from class pages to the pages of the files declaring them
+		let classMeta = (classBlock, meta) => {
+			let name = classBlock.getIdentifierName();
+			let page = this.getClassPagePath(name, settings);
+			let patternMeta = {
+				singleton: patterns.singleton[name],
+				factories: (patterns.factory[name] || []).map((factory) => "`" + factory.block.getIdentifierName() + " (" +
+					factory.block.getArguments().join(", ") + ")` in " + this.getRenderer(settings).docLink(
+					page, unitPagePath(factory.unit), factory.unit.getExportedName())),
+				mixins: (patterns.mixin[name] || []).map((block) =>
+					this.classToModel(block, block.getPrev(1, CommentBlock), settings)),
+				mixedInto: (patterns.mixedInto[name] || []).map((target) => classLink(page, target)),
+				emitter: patterns.emitter.indexOf(name) !== -1
+			};
+			meta = Object.assign(patternMeta, meta);
+			if (classUnits.get(classBlock).getVisibility() === "private")
+				meta = Object.assign({ privateFile: true }, meta);
+			if (!options.fileLinks)
+				return meta;
+			let path = classUnits.get(classBlock).getPath();
+			let link = this.getRenderer(settings).docLink(this.getClassPagePath(classBlock.getIdentifierName(), settings),
+				this.getFilePagePath(path, settings), path.replace(/^\.\//, ""));
+			return Object.assign({ seeAlso: "**Declared in:** " + link }, meta);
+		};
+
 		// class documentation
 		let meta = {};
 		for (let i=0; i<exportedClasses.length; i++) {
 			let comment = exportedClasses[i].getPrev(1, CommentBlock);
-			let content = this.generateClassDocumentation(exportedClasses[i], comment, settings, headerDepth+1, meta);
+			let content = this.generateClassDocumentation(exportedClasses[i], comment, settings, headerDepth+1,
+				classMeta(exportedClasses[i], meta));
 			ret.push({
-				path: util.joinPaths(settings.paths.baseClassPath, exportedClasses[i].getIdentifierName() + ".rst"),
+				path: this.getClassPagePath(exportedClasses[i].getIdentifierName(), settings),
 				content: this.textToOutputRows(content, settings)
 			});
 		}
@@ -1298,26 +2473,103 @@ class Generator {
 			meta = { exported: false };
 			for (let i=0; i<internalClasses.length; i++) {
 				let comment = internalClasses[i].getPrev(1, CommentBlock);
-				let content = this.generateClassDocumentation(internalClasses[i], comment, settings, headerDepth + 1, meta);
+				let content = this.generateClassDocumentation(internalClasses[i], comment, settings, headerDepth + 1,
+					classMeta(internalClasses[i], meta));
 				ret.push({
-					path: util.joinPaths(settings.paths.baseClassPath, internalClasses[i].getIdentifierName() + ".rst"),
+					path: this.getClassPagePath(internalClasses[i].getIdentifierName(), settings),
 				content: this.textToOutputRows(content, settings)
 				});
 			}
 		}
 
-		let options = {
-			objectsOnly: true,
-			includeInternal: settings.structure.includeInternal
+		for (let i=0; i<modules.length; i++) {
+			let path = unitPagePath(modules[i].unit);
+			let factories = {};
+			for (let name in patterns.factory)
+				patterns.factory[name].filter((factory) => factory.unit === modules[i].unit)
+					.map((factory) => factories[factory.block.getIdentifierName()] = classLink(path, name));
+			let unitOptions = {
+				objectsOnly: true,
+				includeInternal: settings.structure.includeInternal,
+				factories: factories
+			};
+			if (patterns.namespace.has(modules[i].unit))
+				unitOptions.namespace = {
+					name: patterns.namespace.get(modules[i].unit),
+					require: this.getRequireExpression(modules[i].unit)
+				};
+			ret.push({
+				path: path,
+				content: this.generateCodeDocumentation(modules[i].unit, settings, headerDepth + 1, unitOptions)
+			});
+		}
+
+		if (!settings.structure.objectCategories)
+			return ret;
+
+		// categories are listed in order of appearance, unless their objects have lower weights
+		let categories = [];
+		let addToCategory = (category, list, entry) => {
+			let found = categories.find((item) => item.name === category.name);
+			if (found === undefined) {
+				found = { name: category.name, weight: category.weight, path: this.getCategoryPagePath(category.name, settings),
+					classes: [], modules: [], functions: [] };
+				categories.push(found);
+			}
+			found.weight = Math.min(found.weight, category.weight);
+			found[list].push(Object.assign({ weight: category.weight }, entry));
 		};
+
+		let classes = exportedClasses.concat(settings.structure.includeInternal === true ? internalClasses : []);
+		for (let i=0; i<classes.length; i++)
+			addToCategory(this.getObjectCategory(classUnits.get(classes[i]), classes[i]), "classes",
+				{ path: this.getClassPagePath(classes[i].getIdentifierName(), settings) });
+
 		for (let i=0; i<modules.length; i++) {
+			let unitPath = unitPagePath(modules[i].unit);
+			addToCategory(this.getObjectCategory(modules[i].unit, null), "modules", { path: unitPath });
+			// functions are documented in their module page, they are only listed in their own category
+			let functions = modules[i].exportedFunctions.concat(modules[i].internalFunctions)
+				.filter((block) => block.getCategory() !== null);
+			for (let j=0; j<functions.length; j++)
+				addToCategory(functions[j].getCategory(), "functions", {
+					name: functions[j].getIdentifierName(),
+					arguments: functions[j].getArguments(),
+					path: unitPath,
+					unit: modules[i].unit.getExportedName()
+				});
+		}
+
+		categories.sort((a, b) => a.weight - b.weight);
+		for (let i=0; i<categories.length; i++) {
 			ret.push({
-				path: util.joinPaths(settings.paths.baseUnitsPath, modules[i].unit.getExportedName() + ".rst"),
-				content: this.generateCodeDocumentation(modules[i].unit, settings, headerDepth + 1, options)
+				path: categories[i].path,
+				content: this.generateCategoryIndex(categories[i], settings, headerDepth + 1),
+				category: categories[i].name
 			});
 		}
 
-		this.generateAuxiliaryFiles(ret, settings);
+		return ret;
+	}
+
+	/*
+	 * Based on settings object, generate object documentation content and return it as an array of objects
+	 * - `settings`: settings object
+	 * - `headerDepth`: number, starting header depth (defaults to 1)
+	 * Returned array elements:
+	 * - `path`: suggested relative path to the generated file
+	 * - `content`: file content as rows
+	 */
+	generateObjectsContent (settings, headerDepth) {
+		if (settings === undefined)
+			settings = {};
+		util.applyDefaults(settings, this.settings);
+
+		let ret = this.generateObjectPages(settings, headerDepth);
+		// with categories, the index only lists the category index pages
+		let categories = ret.filter((page) => page.category !== undefined);
+		this.generateAuxiliaryFiles(ret, settings,
+			categories.length ? [ { caption: "Categories:", files: categories } ] : undefined);
 
 		return ret;
 	}
@@ -1326,6 +2578,9 @@ class Generator {
 	 * Based on settings object, generate file documentation and return it as an array of objects
 	 * - `settings`: settings object
 	 * - `headerDepth`: number, starting header depth (defaults to 1)
+	 *
+	 * The documentation is generated from the documentation model of the code tree, see `generateModel`.
+	 *
 	 * Returned array elements:
 	 * - `path`: suggested relative path to the generated file
 	 * - `content`: file content as rows
@@ -1335,25 +2590,131 @@ class Generator {
 			settings = {};
 		util.applyDefaults(settings, this.settings);
 
-		if (headerDepth === undefined)
-			headerDepth = 1;
+		return this.generateModelContent(this.generateModel(settings), settings, headerDepth);
+	}
+
+	/*
+	 * Generate the documentation model of the code tree
+	 * - `settings`: settings object
+	 *
+	 * The model is a tree of plain objects describing the documented code units, classes, functions and
+	 * variables, together with their comments. It can be saved as JSON, processed by other tools and
+	 * converted to documentation files with `generateModelContent`.
+	 *
+	 * Returns: object:
+	 * - `version`: number, version of the model format
+	 * - `project`: object, project meta, see `setProjectMeta`
+	 * - `units`: array of objects, code unit models, see `unitToModel`; ignored units (and private units
+	 *   unless `structure.maintainersBuild` is set) are left out, see `isUnitDocumented`
+	 */
+	generateModel (settings) {
+		if (settings === undefined)
+			settings = {};
+		util.applyDefaults(settings, this.settings);
 
-		let ret = [];
 		let roots = this.codeTree.findRoots();
-		let objects = roots.slice(0);
+		let units = roots.slice(0);
 		for (let i=0; i<roots.length; i++) {
 			let upstream = roots[i].getAllPrev();
-			objects = util.concatUnique(objects, upstream);
+			units = util.concatUnique(units, upstream);
 		}
 
-		for (let i=0; i<objects.length; i++) {
+		return {
+			version: MODEL_VERSION,
+			project: Object.assign({}, this.project),
+			units: units.filter((unit) => this.isUnitDocumented(unit, settings))
+				.map((unit) => this.unitToModel(unit, settings))
+		};
+	}
+
+	/*
+	 * Generate file documentation from a documentation model and return it as an array of objects
+	 * - `model`: object, the documentation model, see `generateModel`
+	 * - `settings`: settings object
+	 * - `headerDepth`: number, starting header depth (defaults to 1)
+	 *
+	 * The project meta in the model replaces the project meta of the generator.
+	 *
+	 * Returned array elements:
+	 * - `path`: suggested relative path to the generated file
+	 * - `content`: file content as rows
+	 */
+	generateModelContent (model, settings, headerDepth) {
+		if (settings === undefined)
+			settings = {};
+		util.applyDefaults(settings, this.settings);
+
+		if (headerDepth === undefined)
+			headerDepth = 1;
+
+		if (model.version !== MODEL_VERSION)
+			throw new Error("Unsupported documentation model version " + model.version +
+				", expected version " + MODEL_VERSION);
+
+		if (model.project && Object.keys(model.project).length)
+			this.setProjectMeta(model.project);
+
+		let ret = this.generateModelPages(model, settings, headerDepth);
+		this.generateAuxiliaryFiles(ret, settings);
+
+		return ret;
+	}
+
+	/*
+	 * Generate the file documentation pages from a documentation model, without the auxiliary files
+	 * - `model`: object, the documentation model, see `generateModel`
+	 * - `settings`: settings object, with defaults applied
+	 * - `headerDepth`: number, starting header depth (defaults to 1)
+	 * - `options`: object, optional, see `generateModelCodeDocumentation`
+	 * Returns: array of objects, see `generateModelContent`
+	 */
+	generateModelPages (model, settings, headerDepth, options) {
+		if (headerDepth === undefined)
+			headerDepth = 1;
+		if (options === undefined)
+			options = { includeInternal: true };
+
+		let ret = [];
+		for (let i=0; i<model.units.length; i++) {
 			ret.push({
-				path: util.joinPaths(settings.paths.baseCodePath, objects[i].getPath() + ".rst"),
-				content: this.generateCodeDocumentation(objects[i], settings, headerDepth + 1)
+				path: this.getFilePagePath(model.units[i].path, settings),
+				content: this.generateModelCodeDocumentation(model.units[i], settings, headerDepth + 1, options)
 			});
 		}
 
-		this.generateAuxiliaryFiles(ret, settings);
+		return ret;
+	}
+
+	/*
+	 * Generate the documentation of both the files and the objects views as a single project
+	 * - `settings`: settings object
+	 * - `headerDepth`: number, starting header depth (defaults to 1)
+	 *
+	 * The file pages (in `paths.baseCodePath`) and the object pages (in `paths.baseClassPath` and
+	 * `paths.baseUnitsPath`) share the auxiliary files; the index lists them in separate sections.
+	 * Classes in file pages link to their class pages and class pages link to the pages of the
+	 * files declaring them.
+	 *
+	 * Returned array elements:
+	 * - `path`: suggested relative path to the generated file
+	 * - `content`: file content as rows
+	 */
+	generateAllContent (settings, headerDepth) {
+		if (settings === undefined)
+			settings = {};
+		util.applyDefaults(settings, this.settings);
+
+		let files = this.generateModelPages(this.generateModel(settings), settings, headerDepth,
+			{ includeInternal: true, classLinks: true });
+		let objects = this.generateObjectPages(settings, headerDepth, { fileLinks: true });
+
+		let categories = objects.filter((page) => page.category !== undefined);
+
+		let ret = files.concat(objects);
+		this.generateAuxiliaryFiles(ret, settings, [
+			{ caption: "Files:", files: files },
+			{ caption: "Objects:", files: categories.length ? categories : objects }
+		]);
 
 		return ret;
 	}
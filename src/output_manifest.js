@@ -0,0 +1,104 @@
+/*
+ * Output manifest
+ *
+ * Lists the documentation files generated in an output path, so that files which are no longer
+ * generated can be removed and files which were not generated are not overwritten
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+/*
+ * Version of the manifest file structure
+ */
+const MANIFEST_VERSION = 1;
+
+/*
+ * OutputManifest class
+ *
+ * The manifest file lists the generated files by output target (eg `files` or `objects`, which
+ * can share an output path), with a hash of the generated content of each file.
+ */
+class OutputManifest {
+
+	/*
+	 * Constructor
+	 * `path`: string, path to the manifest file, read if it exists
+	 * Throws: Error if the manifest file can't be read
+	 */
+	constructor (path) {
+		this.path = path;
+		this.targets = {};
+		this.found = false;
+
+		if (!fs.existsSync(path))
+			return;
+		try {
+			let data = JSON.parse(fs.readFileSync(path).toString());
+			this.targets = data.targets !== undefined ? data.targets : {};
+		}
+		catch (e) {
+			throw new Error("Can't read output manifest " + path + ": " + e.message);
+		}
+		this.found = true;
+	}
+
+	/*
+	 * Check if the manifest file was found, ie. documentation was already generated in the
+	 * output path
+	 * Returns: boolean, true if the manifest file exists
+	 */
+	isFound () {
+		return this.found;
+	}
+
+	/*
+	 * Get the files generated for an output target
+	 * `target`: string, output target
+	 * Returns: object, content hashes by file path (relative to the output path)
+	 */
+	getFiles (target) {
+		return this.targets[target] !== undefined ? this.targets[target] : {};
+	}
+
+	/*
+	 * Set the files generated for an output target
+	 * `target`: string, output target
+	 * `files`: object, content hashes by file path (relative to the output path)
+	 */
+	setFiles (target, files) {
+		this.targets[target] = files;
+	}
+
+	/*
+	 * Get the output targets which generated a file
+	 * `file`: string, file path relative to the output path
+	 * Returns: array of strings, the output targets
+	 */
+	getTargets (file) {
+		return Object.keys(this.targets).filter((target) => this.targets[target][file] !== undefined);
+	}
+
+	/*
+	 * Write the manifest file
+	 */
+	save () {
+		let data = {
+			version: MANIFEST_VERSION,
+			targets: this.targets
+		};
+		fs.writeFileSync(this.path, JSON.stringify(data, null, "\t"));
+	}
+
+}
+
+/*
+ * Compute the hash of a file content, as stored in the manifest
+ * `text`: string, file content
+ * Returns: string, the hash
+ */
+OutputManifest.hash = function (text) {
+	return crypto.createHash("sha1").update(text).digest("hex");
+};
+
+module.exports = OutputManifest;
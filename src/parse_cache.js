@@ -0,0 +1,232 @@
+/*
+ * Parse cache
+ *
+ * Stores the parsed code blocks of files on disk, so that unchanged files don't have to be parsed
+ * again on the next run
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const nodePath = require("path");
+
+const CodeBlock = require("./codeblock.js");
+const Diagnostics = require("./diagnostics.js");
+const util = require("./util.js");
+
+/*
+ * Source files of the parser: the cached blocks depend on their code (the fields of the blocks and
+ * how they are parsed), as cached blocks are restored without running their constructors
+ */
+const PARSER_FILES = [ "codeblock.js", "tokenizer.js", "util.js" ];
+
+/*
+ * Hash of the parser source files, part of the cache file names, so that blocks parsed by another
+ * version of the parser (even during development, with the same package version) are not read
+ */
+const PARSER_HASH = PARSER_FILES.reduce((hash, file) =>
+	hash.update(fs.readFileSync(nodePath.join(__dirname, file))), crypto.createHash("sha1")).digest("hex");
+
+/*
+ * Code block classes by name, used to restore cached blocks
+ */
+const BLOCK_CLASSES = {
+	CodeBlock: CodeBlock,
+	CommentBlock: CodeBlock.CommentBlock,
+	RequireBlock: CodeBlock.RequireBlock,
+	ImportBlock: CodeBlock.ImportBlock,
+	ExportBlock: CodeBlock.ExportBlock,
+	FunctionBlock: CodeBlock.FunctionBlock,
+	VariableBlock: CodeBlock.VariableBlock,
+	ClassBlock: CodeBlock.ClassBlock,
+	MethodBlock: CodeBlock.MethodBlock,
+	FieldBlock: CodeBlock.FieldBlock,
+	AssignmentBlock: CodeBlock.AssignmentBlock,
+	ContentBlock: CodeBlock.ContentBlock
+};
+
+/*
+ * Convert a content block and all the blocks it refers to into a JSON compatible object
+ * `root`: ContentBlock object, the content block of a code unit
+ *
+ * Blocks refer to each other (parents, links, nested content), so each block is stored once in
+ * the `blocks` array and references to blocks are stored as `{ "$ref": index }`. The parent of
+ * the root block (the code unit) is not stored.
+ *
+ * Returns: object, with the `root` block index and the `blocks` array
+ * Throws: Error if a block field holds an object which can't be stored
+ */
+const _serialize = function (root) {
+	let blocks = [];
+	let queue = [];
+	let ids = new Map();
+
+	let encode = (value) => {
+		if (value === undefined)
+			return { "$undefined": true };
+		if (value === null || typeof(value) !== "object")
+			return value;
+		if (value === root.getParent())
+			return null;
+		if (value instanceof Array)
+			return value.map(encode);
+		if (value instanceof CodeBlock) {
+			if (!ids.has(value)) {
+				ids.set(value, blocks.length);
+				blocks.push(null);
+				queue.push(value);
+			}
+			return { "$ref": ids.get(value) };
+		}
+		if (Object.getPrototypeOf(value) !== Object.prototype)
+			throw new Error("Can't cache " + value.constructor.name + " object");
+		let ret = {};
+		for (let i in value)
+			ret[i] = encode(value[i]);
+		return ret;
+	};
+
+	let ret = { root: encode(root)["$ref"], blocks: blocks };
+	// blocks are processed in a queue rather than recursively, linked blocks can form long chains
+	while (queue.length > 0) {
+		let block = queue.shift();
+		if (BLOCK_CLASSES[block.constructor.name] !== block.constructor)
+			throw new Error("Can't cache " + block.constructor.name + " object");
+		let fields = {};
+		for (let i in block)
+			fields[i] = encode(block[i]);
+		blocks[ids.get(block)] = { type: block.constructor.name, fields: fields };
+	}
+	return ret;
+};
+
+/*
+ * Restore a content block stored by `_serialize`
+ * `data`: object, as returned by `_serialize`
+ * Returns: ContentBlock object, without a parent
+ */
+const _deserialize = function (data) {
+	// blocks are restored without running their constructors, so nothing is parsed
+	let blocks = data.blocks.map((block) => Object.create(BLOCK_CLASSES[block.type].prototype));
+
+	let decode = (value) => {
+		if (value === null || typeof(value) !== "object")
+			return value;
+		if (value instanceof Array)
+			return value.map(decode);
+		if (value["$undefined"] === true)
+			return undefined;
+		if (value["$ref"] !== undefined)
+			return blocks[value["$ref"]];
+		let ret = {};
+		for (let i in value)
+			ret[i] = decode(value[i]);
+		return ret;
+	};
+
+	for (let i=0; i<blocks.length; i++)
+		for (let j in data.blocks[i].fields)
+			blocks[i][j] = decode(data.blocks[i].fields[j]);
+	return blocks[data.root];
+};
+
+/*
+ * ParseCache class
+ *
+ * Cached blocks are stored as JSON files in the cache directory, one file per parsed file
+ * content. Files are named after a hash of the content and of the parser source files, so changed
+ * files and files parsed by another version of the parser are never read from the cache.
+ */
+class ParseCache {
+
+	/*
+	 * Constructor
+	 * `path`: string, path to the cache directory (created when needed)
+	 */
+	constructor (path) {
+		this.path = path;
+		this.diagnostics = new Diagnostics();
+	}
+
+	/*
+	 * Set the diagnostics collector cache warnings are reported to
+	 * `diagnostics`: Diagnostics object
+	 */
+	setDiagnostics (diagnostics) {
+		this.diagnostics = diagnostics;
+	}
+
+	/*
+	 * Get the cache directory
+	 * Returns: string, path to the cache directory
+	 */
+	getPath () {
+		return this.path;
+	}
+
+	/*
+	 * Get the cache file path for a file content
+	 * `content`: string, file content
+	 * Returns: string, path to the cache file
+	 */
+	getFilePath (content) {
+		let hash = crypto.createHash("sha1").update(PARSER_HASH + "\n" + content).digest("hex");
+		return util.joinPaths(this.path, hash + ".json");
+	}
+
+	/*
+	 * Load the parsed blocks of a file content from the cache
+	 * `content`: string, file content
+	 * Returns: ContentBlock object or null if the content is not in the cache (or the cache file
+	 * can't be read)
+	 */
+	load (content) {
+		let path = this.getFilePath(content);
+		if (!fs.existsSync(path))
+			return null;
+		try {
+			return _deserialize(JSON.parse(fs.readFileSync(path).toString()));
+		}
+		catch (e) {
+			return null;
+		}
+	}
+
+	/*
+	 * Store the parsed blocks of a file content in the cache
+	 * `content`: string, file content
+	 * `contentBlock`: ContentBlock object, the parsed content, before any directives were applied
+	 *
+	 * The cache is only an optimization, so errors are reported as `parse-cache` warnings (see
+ * `setDiagnostics`) and not thrown.
+	 */
+	store (content, contentBlock) {
+		try {
+			if (!fs.existsSync(this.path))
+				fs.mkdirSync(this.path, { recursive: true });
+			fs.writeFileSync(this.getFilePath(content), JSON.stringify(_serialize(contentBlock)));
+		}
+		catch (e) {
+			this.diagnostics.warning("parse-cache", "Can't write the parse cache: " + e.message);
+		}
+	}
+
+	/*
+	 * Remove all cached files
+	 * Returns: number, count of removed files
+	 */
+	clear () {
+		if (!fs.existsSync(this.path))
+			return 0;
+		let files = fs.readdirSync(this.path).filter((file) => file.match(/^[0-9a-f]+\.json$/) !== null);
+		for (let i=0; i<files.length; i++)
+			fs.unlinkSync(util.joinPaths(this.path, files[i]));
+		if (fs.readdirSync(this.path).length === 0)
+			fs.rmdirSync(this.path);
+		return files.length;
+	}
+
+}
+
+module.exports = ParseCache;
+
+module.exports.BLOCK_CLASSES = BLOCK_CLASSES;
@@ -0,0 +1,633 @@
+/*
+ * Renderer classes
+ *
+ * Renderers convert the formatted text generated by the Generator (arrays of text elements
+ * `{ style, text }`) into output rows in a given format, eg reStructuredText or Markdown
+ */
+
+const path = require("path");
+
+const util = require("./util.js");
+
+/*
+ * Renderer class
+ *
+ * Base class for all renderers; a renderer for a new output format should extend this class and
+ * implement at least `textRows` and `getExtension`, then be registered with `Generator.setRenderer`
+ */
+class Renderer {
+
+	/*
+	 * Get the extension of the files generated by this renderer
+	 * Returns: string, the file extension without the dot, eg `rst`
+	 */
+	getExtension () {
+		return "txt";
+	}
+
+	/*
+	 * Determine if the output of this renderer is meant to be built with Sphinx
+	 * Returns: boolean, true if Sphinx project files (conf.py, makefiles) should be generated
+	 */
+	isSphinxFormat () {
+		return false;
+	}
+
+	/*
+	 * Return an array of rows (most likely empty) to separate two text elements,
+	 * eg two paragraphs or a paragraph and a title
+	 * `before`: object, first text element object `{ style, text }`
+	 * `after`: object, second text element object `{ style, text }`
+	 * `settings`: object, settings object
+	 * Returns the array of output rows (array of strings)
+	 */
+	interRows (before, after, settings) {
+		return [ "" ];
+	}
+
+	/*
+	 * Return an array of rows corresponding to a text element
+	 * `section`: object, text element object `{ style, text }`
+	 * `settings`: object, settings object
+	 * Returns the array of output rows (array of strings)
+	 */
+	textRows (section, settings) {
+		if (!section.text)
+			return [];
+		return util.wrapText(section.text, settings.output.maxColumns, settings.output.minColumns);
+	}
+
+	/*
+	 * Convert an array of text elements into an array of rows for output
+	 * `text`: array of objects, the array of text element objects to be converted
+	 * `settings`: object, settings object
+	 * Returns the array of output rows (array of strings)
+	 */
+	render (text, settings) {
+		let ret = [];
+
+		for (let i=0; i<text.length; i++) {
+			if (i > 0)
+				ret = ret.concat(this.interRows(text[i-1], text[i], settings));
+			ret = ret.concat(this.textRows(text[i], settings));
+		}
+
+		return ret;
+	}
+
+	/*
+	 * Generate the text of the documentation index
+	 * `project`: object, project meta, see `Generator.setProjectMeta`
+	 * `files`: array of objects, the documentation files to include in the index; only the `path`
+	 *       field is used
+	 * `settings`: object, settings object
+	 * `sections`: array of objects, optional, to split the index in sections, each with a `caption`
+	 *       (string) and its `files` (array of objects, as `files`); all files are listed in a
+	 *       single section if not given
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	generateIndexText (project, files, settings, sections) {
+		let ret = [];
+
+		if (sections === undefined)
+			sections = [ { caption: null, files: files } ];
+
+		ret.push({ style: "h1", text: project.name + " Documentation" });
+		for (let i=0; i<sections.length; i++) {
+			if (sections[i].caption !== null)
+				ret.push({ style: "p", text: sections[i].caption });
+			for (let j=0; j<sections[i].files.length; j++)
+				ret.push({ style: "l1", text: sections[i].files[j].path });
+		}
+
+		return ret;
+	}
+
+	/*
+	 * Format a link to another documentation file
+	 * `from`: string, path of the file containing the link, relative to the output path
+	 * `to`: string, path of the linked file, relative to the output path
+	 * `title`: string, the link text
+	 * Returns: string, the link, to be used in text elements
+	 */
+	docLink (from, to, title) {
+		return title;
+	}
+
+	/*
+	 * Generate a table of contents, listing documentation files in another documentation file
+	 * `from`: string, path of the file containing the table of contents, relative to the output path
+	 * `caption`: string, caption of the table of contents
+	 * `files`: array of objects, the files to list; only the `path` field is used
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	generateTocText (from, caption, files) {
+		return [ { style: "b", text: caption } ].concat(files.map((file) => ({ style: "l1", text: file.path })));
+	}
+
+}
+
+/*
+ * RstRenderer class
+ *
+ * Renders text as reStructuredText, to be built with Sphinx
+ */
+class RstRenderer extends Renderer {
+
+	getExtension () {
+		return "rst";
+	}
+
+	isSphinxFormat () {
+		return true;
+	}
+
+	/*
+	 * Return an array of rows (most likely empty) to separate two text elements,
+	 * eg two paragraphs or a paragraph and a title
+	 * `before`: object, first text element object `{ style, text }`
+	 * `after`: object, second text element object `{ style, text }`
+	 * `settings`: object, settings object
+	 * Returns the array of output rows (array of strings)
+	 */
+	interRows (before, after, settings) {
+		let ret = [];
+		switch (after.style) {
+			case "l1":
+			case "l2":
+			case "l3":
+			case "l4":
+			case "l5":
+			case "l6":
+			case "l7":
+			case "l8":
+				if (before.style[0] !== "l")
+					ret.push("");
+				break;
+			case "dl":
+				if (before.style !== "dl" && before.style !== "dh")
+					ret.push("");
+				break;
+			case "f":
+				if (before.style !== "f")
+					ret.push("");
+				break;
+			case "fl":
+				if (before.style !== "fl")
+					ret.push("");
+				break;
+			case "db":
+				if (before.style !== "db" && before.style !== "dh")
+					ret.push("");
+				break;
+			case "h1":
+			case "h2":
+			case "h3":
+			case "h4":
+			case "h5":
+				ret.push("");
+				ret.push("");
+				break;
+			case "p":
+			case "b":
+			case "c":
+			case "dh":
+			case "do":
+			default:
+				ret.push("");
+		}
+		return ret;
+	}
+
+	/*
+	 * Return an array of rows corresponding to a text element
+	 * `section`: object, text element object
+	 * - `style`: string, style to apply to this text element, eg `h1`, `b`, `p`, `f` (field list entry),
+	 *   `fl` (bullet in a field list entry), `do` (object directive, eg `js:class:: Name`) etc
+	 * - `text`: string, the actual text for this text element
+	 * - `indent`: number, optional, nesting level of the text element, eg in the content of a directive
+	 * `settings`: object, settings object
+	 * Returns the array of output rows (array of strings)
+	 */
+	textRows (section, settings) {
+		let ret = [];
+		if (!section.text)
+			return ret;
+
+		let min = settings.output.minColumns;
+		let max = settings.output.maxColumns;
+		let indent = section.indent ? util.strFill(section.indent * 3, " ") : "";
+		max -= indent.length;
+
+		// before
+		switch (section.style) {
+			case "bk":
+				ret.push("::");
+				ret.push("");
+				break;
+			case "h1":
+				if (settings.output.sectionUnderlines[0].length > 1)
+					ret.push(util.strFill(section.text.length, settings.output.sectionUnderlines[0][0]));
+				break;
+			case "h2":
+				if (settings.output.sectionUnderlines[1].length > 1)
+					ret.push(util.strFill(section.text.length, settings.output.sectionUnderlines[1][0]));
+				break;
+			case "h3":
+				if (settings.output.sectionUnderlines[2].length > 1)
+					ret.push(util.strFill(section.text.length, settings.output.sectionUnderlines[2][0]));
+				break;
+			case "h4":
+				if (settings.output.sectionUnderlines[3].length > 1)
+					ret.push(util.strFill(section.text.length, settings.output.sectionUnderlines[3][0]));
+				break;
+			case "h5":
+				if (settings.output.sectionUnderlines[4].length > 1)
+					ret.push(util.strFill(section.text.length, settings.output.sectionUnderlines[4][0]));
+				break;
+		}
+
+		// text
+		switch (section.style) {
+			case "bk":
+				ret = ret.concat(util.indentBlock(section.text, "  "));
+				break;
+			case "c":
+				ret = ret.concat(util.padBlock(
+					util.wrapText(section.text, max - 3, min), { firstRow: ".. ", otherRows: "", width: 3 }
+				));
+				break;
+			case "dh":
+				ret.push(".. " + section.text + "::");
+				break;
+			case "do":
+				ret.push(".. " + section.text);
+				break;
+			case "db":
+				ret.push("   " + section.text);
+				break;
+			case "dl":
+				ret.push("   :" + section.text);
+				break;
+			case "b":
+				ret = ret.concat(util.wrapText("**" + section.text + "**", max, min));
+				break;
+			case "f": {
+				// field list entry, eg `:param name: description`; continuation rows are indented
+				let rows = util.wrapText(section.text, max - 3, min);
+				ret = ret.concat(rows.slice(0, 1), util.indentBlock(rows.slice(1), "   "));
+				break;
+			}
+			case "fl":
+				// bullet in the body of the previous field list entry
+				ret = ret.concat(util.padBlock(
+					util.wrapText(section.text, max - 5, min), { firstRow: "   * ", otherRows: "", width: 5 }
+				));
+				break;
+			case "l":
+			case "l1":
+				ret = ret.concat(util.padBlock(
+					util.wrapText(section.text, max - 2, min), { firstRow: "* ", otherRows: "", width: 2 }
+				)); 
+				break;
+			case "l2":
+				ret = ret.concat(util.padBlock(
+					util.wrapText(section.text, max - 5, min), { firstRow: "* ", otherRows: "", width: 5 }
+				)); 
+				break;
+			case "l3":
+				ret = ret.concat(util.padBlock(
+					util.wrapText(section.text, max - 8, min), { firstRow: "* ", otherRows: "", width: 8 }
+				)); 
+				break;
+			case "l4":
+				ret = ret.concat(util.padBlock(
+					util.wrapText(section.text, max - 11, min), { firstRow: "* ", otherRows: "", width: 11 }
+				)); 
+				break;
+			case "l5":
+				ret = ret.concat(util.padBlock(
+					util.wrapText(section.text, max - 14, min), { firstRow: "* ", otherRows: "", width: 14 }
+				)); 
+				break;
+			case "l6":
+				ret = ret.concat(util.padBlock(
+					util.wrapText(section.text, max - 17, min), { firstRow: "* ", otherRows: "", width: 17 }
+				)); 
+				break;
+			case "l7":
+				ret = ret.concat(util.padBlock(
+					util.wrapText(section.text, max - 20, min), { firstRow: "* ", otherRows: "", width: 20 }
+				)); 
+				break;
+			case "l8":
+				ret = ret.concat(util.padBlock(
+					util.wrapText(section.text, max - 23, min), { firstRow: "* ", otherRows: "", width: 23 }
+				)); 
+				break;
+			default:
+				ret = ret.concat(util.wrapText(section.text, max, min));
+		}
+
+		// after
+		switch (section.style) {
+			case "h1":
+				ret.push(util.strFill(section.text.length, settings.output.sectionUnderlines[0].slice(-1)));
+				break;
+			case "h2":
+				ret.push(util.strFill(section.text.length, settings.output.sectionUnderlines[1].slice(-1)));
+				break;
+			case "h3":
+				ret.push(util.strFill(section.text.length, settings.output.sectionUnderlines[2].slice(-1)));
+				break;
+			case "h4":
+				ret.push(util.strFill(section.text.length, settings.output.sectionUnderlines[3].slice(-1)));
+				break;
+			case "h5":
+				ret.push(util.strFill(section.text.length, settings.output.sectionUnderlines[4].slice(-1)));
+				break;
+		}
+
+		if (indent.length)
+			ret = ret.map((row) => row.length ? indent + row : row);
+
+		return ret;
+	}
+
+	/*
+	 * Format a link to another documentation file, with the `doc` role
+	 * `from`: string, path of the file containing the link, relative to the output path
+	 * `to`: string, path of the linked file, relative to the output path
+	 * `title`: string, the link text
+	 * Returns: string, the RST link
+	 */
+	docLink (from, to, title) {
+		return ":doc:`" + title + " </" + to.replace(/\.rst$/, "") + ">`";
+	}
+
+	/*
+	 * Generate a table of contents with a `toctree` directive, see `Renderer.generateTocText`
+	 *
+	 * The files are listed by absolute document names, so that the table of contents doesn't depend
+	 * on the path of the file containing it.
+	 */
+	generateTocText (from, caption, files) {
+		let ret = [
+			{ style: "dh", text: "toctree" },
+			{ style: "dl", text: "maxdepth: 2" },
+			{ style: "dl", text: "caption: " + caption }
+		];
+		return ret.concat(files.map((file) => ({ style: "db", text: "/" + file.path.replace(/\.rst$/, "") })));
+	}
+
+	/*
+	 * Generate the text of the documentation index, with the root `toctree` directive
+	 * `project`: object, project meta, see `Generator.setProjectMeta`
+	 * `files`: array of objects, the documentation files to include in the index; only the `path`
+	 *       field is used
+	 * `settings`: object, settings object
+	 * `sections`: array of objects, optional, to split the index in sections, each with a `caption`
+	 *       (string) and its `files` (array of objects, as `files`); all files are listed in a
+	 *       single section if not given
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	generateIndexText (project, files, settings, sections) {
+		let ret = [];
+
+		ret.push({ style: "c", text: project.name + " Documentation master file, created by " +
+			"dgen-one documentation generator on " + (new Date()).toGMTString() + ". " +
+			"You can adapt this file completely to your liking, but it should at least contain the " +
+			"root `toctree` directive." });
+
+		ret.push({ style: "h1", text: project.name + " Documentation" });
+
+		if (sections === undefined)
+			sections = [ { caption: "Contents:", files: files } ];
+
+		// each section gets its own toctree, with the section caption
+		for (let i=0; i<sections.length; i++) {
+			ret.push({ style: "dh", text: "toctree" });
+			ret.push({ style: "dl", text: "maxdepth: 2" });
+			ret.push({ style: "dl", text: "caption: " + sections[i].caption });
+
+			for (let j=0; j<sections[i].files.length; j++)
+				ret.push({ style: "db", text: sections[i].files[j].path });
+		}
+
+		ret.push({ style: "h1", text: "Indices and tables" });
+
+		ret.push({ style: "l1", text: ":ref:`genindex`" });
+		ret.push({ style: "l1", text: ":ref:`modindex`" });
+		ret.push({ style: "l1", text: ":ref:`search`" });
+
+		return ret;
+	}
+
+}
+
+/*
+ * MarkdownRenderer class
+ *
+ * Renders text as GitHub flavoured Markdown
+ */
+class MarkdownRenderer extends Renderer {
+
+	getExtension () {
+		return "md";
+	}
+
+	/*
+	 * Return an array of rows (most likely empty) to separate two text elements,
+	 * eg two paragraphs or a paragraph and a title
+	 * `before`: object, first text element object `{ style, text }`
+	 * `after`: object, second text element object `{ style, text }`
+	 * `settings`: object, settings object
+	 * Returns the array of output rows (array of strings)
+	 */
+	interRows (before, after, settings) {
+		let ret = [];
+		switch (after.style) {
+			case "l":
+			case "l1":
+			case "l2":
+			case "l3":
+			case "l4":
+			case "l5":
+			case "l6":
+			case "l7":
+			case "l8":
+				if (before.style[0] !== "l")
+					ret.push("");
+				break;
+			case "f":
+				if (before.style !== "f" && before.style !== "fl")
+					ret.push("");
+				break;
+			case "fl":
+				if (before.style !== "f" && before.style !== "fl")
+					ret.push("");
+				break;
+			case "dh":
+			case "dl":
+			case "db":
+				// Sphinx directives are left out
+				break;
+			default:
+				ret.push("");
+		}
+		return ret;
+	}
+
+	/*
+	 * Return an array of rows corresponding to a text element
+	 * `section`: object, text element object
+	 * - `style`: string, style to apply to this text element, see `RstRenderer.textRows`; the nesting
+	 *   level (`indent`) is ignored since indented text is a code block in Markdown
+	 * - `text`: string, the actual text for this text element
+	 * `settings`: object, settings object
+	 * Returns the array of output rows (array of strings)
+	 */
+	textRows (section, settings) {
+		let ret = [];
+		if (!section.text)
+			return ret;
+
+		let min = settings.output.minColumns;
+		let max = settings.output.maxColumns;
+		let text = section.style !== "bk" ? MarkdownRenderer.escapeText(section.text) : section.text;
+
+		switch (section.style) {
+			case "h1":
+			case "h2":
+			case "h3":
+			case "h4":
+			case "h5":
+				ret.push(util.strFill(Number(section.style[1]), "#") + " " + text);
+				break;
+			case "bk":
+				ret.push("```");
+				ret = ret.concat(typeof(section.text) === "string" ? section.text.split("\n") : section.text);
+				ret.push("```");
+				break;
+			case "c":
+				ret.push("<!-- " + text + " -->");
+				break;
+			case "dh":
+			case "dl":
+			case "db":
+				// Sphinx directives have no Markdown equivalent
+				break;
+			case "do":
+				// object directive, eg `js:function:: name(a, b)`, only the signature is kept
+				ret.push("**`" + section.text.split(":: ").pop() + "`**");
+				break;
+			case "b":
+				ret = ret.concat(util.wrapText("**" + text + "**", max, min));
+				break;
+			case "f":
+				// field list entry, eg `:param name: description`, rendered as a list item
+				ret = ret.concat(util.padBlock(
+					util.wrapText(text.replace(/^:([^:]+):[ ]*/, "**$1:** "), max - 2, min),
+					{ firstRow: "* ", otherRows: "", width: 2 }
+				));
+				break;
+			case "fl":
+				ret = ret.concat(util.padBlock(
+					util.wrapText(text, max - 4, min), { firstRow: "* ", otherRows: "", width: 4 }
+				));
+				break;
+			case "l":
+			case "l1":
+			case "l2":
+			case "l3":
+			case "l4":
+			case "l5":
+			case "l6":
+			case "l7":
+			case "l8": {
+				// nested list items are indented by 2 spaces per level
+				let width = (section.style === "l" ? 0 : (Number(section.style[1]) - 1) * 2) + 2;
+				ret = ret.concat(util.padBlock(
+					util.wrapText(text, max - width, min), { firstRow: "* ", otherRows: "", width: width }
+				));
+				break;
+			}
+			default:
+				ret = ret.concat(util.wrapText(text, max, min));
+		}
+
+		return ret;
+	}
+
+	/*
+	 * Generate the text of the documentation index, with links to all documentation files
+	 * `project`: object, project meta, see `Generator.setProjectMeta`
+	 * `files`: array of objects, the documentation files to include in the index; only the `path`
+	 *       field is used
+	 * `settings`: object, settings object
+	 * `sections`: array of objects, optional, to split the index in sections, each with a `caption`
+	 *       (string) and its `files` (array of objects, as `files`); all files are listed in a
+	 *       single section if not given
+	 * Returns an array of objects, each describing formatted text { style, text }
+	 */
+	generateIndexText (project, files, settings, sections) {
+		let ret = [];
+
+		ret.push({ style: "c", text: project.name + " Documentation index, created by " +
+			"dgen-one documentation generator on " + (new Date()).toGMTString() });
+
+		ret.push({ style: "h1", text: project.name + " Documentation" });
+
+		if (sections === undefined)
+			sections = [ { caption: "Contents:", files: files } ];
+
+		for (let i=0; i<sections.length; i++) {
+			ret.push({ style: "b", text: sections[i].caption });
+
+			for (let j=0; j<sections[i].files.length; j++) {
+				let file = sections[i].files[j].path;
+				ret.push({ style: "l1", text: "[" + file.replace(/\.md$/, "") + "](" + file + ")" });
+			}
+		}
+
+		return ret;
+	}
+
+	/*
+	 * Format a link to another documentation file, relative to the linking file
+	 * `from`: string, path of the file containing the link, relative to the output path
+	 * `to`: string, path of the linked file, relative to the output path
+	 * `title`: string, the link text
+	 * Returns: string, the Markdown link
+	 */
+	docLink (from, to, title) {
+		return "[" + title + "](" + path.posix.relative(path.posix.dirname(from), to) + ")";
+	}
+
+	/*
+	 * Generate a table of contents with links to the files, see `Renderer.generateTocText`
+	 */
+	generateTocText (from, caption, files) {
+		let links = files.map((file) => ({ style: "l1", text: this.docLink(from, file.path, file.path.replace(/\.md$/, "")) }));
+		return [ { style: "b", text: caption } ].concat(links);
+	}
+
+}
+
+/*
+ * Escape text for Markdown output
+ * `text`: string, text to escape
+ *
+ * Angle brackets outside of inline code would be read as HTML tags, eg in `Promise<void>`, so
+ * they are replaced with HTML entities.
+ *
+ * Returns: string, the escaped text
+ */
+MarkdownRenderer.escapeText = function (text) {
+	return text.split("`").map((part, i) => i % 2 ? part : part.replace(/</g, "&lt;")).join("`");
+};
+
+module.exports = Renderer;
+
+module.exports.RstRenderer = RstRenderer;
+module.exports.MarkdownRenderer = MarkdownRenderer;
@@ -0,0 +1,433 @@
+/*
+ * Settings file editing
+ *
+ * Finds the settings file of a project and reads and writes values in it; JavaScript settings
+ * files (eg. dgen-one-settings.js) are edited directly, so comments and the order of keys are
+ * preserved
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const settingsSchema = require("./settings_schema.js");
+const tokenizer = require("./tokenizer.js");
+const util = require("./util.js");
+
+/*
+ * Find the property `name` in an object literal
+ * `content`: string, the settings file contents
+ * `open`: number, position of the opening bracket of the object literal
+ * Returns: object or null if the object has no such property:
+ * - `start`: number, position of the property name
+ * - `valueStart`: number, position of the property value
+ * - `valueEnd`: number, position after the property value
+ */
+const _findProperty = function (content, open, name) {
+	let ret = null;
+	let depth = 0;
+	let key = null;
+	let colon = false;
+	tokenizer.forEachToken(content, open, (token) => {
+		if (!tokenizer.isSignificant(token))
+			return;
+		let opening = token.type === "punctuator" && "([{".indexOf(token.value) !== -1;
+		if (token.type === "punctuator" && ")]}".indexOf(token.value) !== -1)
+			depth--;
+		// tokens on the object level, nested brackets are skipped (except for their closing bracket)
+		let level = depth;
+		if (opening)
+			depth++;
+		if (token.start === open)
+			return;
+		if (level === 0)
+			return true;
+		if (level !== 1)
+			return;
+		if (ret !== null) {
+			if (token.value === ",")
+				return true;
+			ret.valueEnd = token.end;
+		}
+		else if (colon)
+			ret = { start: key.start, valueStart: token.start, valueEnd: token.end };
+		else if (key !== null && token.value === ":" && _propertyName(key) === name)
+			colon = true;
+		else
+			key = token.type === "word" || token.type === "string" ? token : null;
+	});
+	return ret;
+};
+
+/*
+ * Read the name of a property from its key token
+ * `token`: token object, a `word` or `string` token
+ * Returns: string, the property name
+ */
+const _propertyName = function (token) {
+	if (token.type === "string")
+		return token.value.slice(1, -1);
+	return token.value;
+};
+
+/*
+ * Find the object literal with the settings in a settings file
+ * `content`: string, the settings file contents
+ * Returns: number, position of the opening bracket or -1 if there is none
+ */
+const _findSettingsObject = function (content) {
+	return tokenizer.findFirst(content, "{");
+};
+
+/*
+ * Format a value as code to be written in a settings file
+ * `value`: any JSON compatible value
+ * `indent`: string, indent of the row where the value is written
+ * Returns: string, the value code; arrays are written on a single row, objects on multiple rows
+ */
+const formatValue = function (value, indent) {
+	if (value instanceof Array) {
+		if (value.length === 0)
+			return "[]";
+		return "[ " + util.arrayElements(value, false) + " ]";
+	}
+	if (value !== null && typeof(value) === "object") {
+		let rows = [];
+		for (let i in value)
+			rows.push(indent + "\t" + i + ": " + formatValue(value[i], indent + "\t"));
+		if (rows.length === 0)
+			return "{}";
+		return "{\n" + rows.join(",\n") + "\n" + indent + "}";
+	}
+	return JSON.stringify(value);
+};
+
+/*
+ * Read a regex literal (`/^\.\/build/`) as the regex source string, since regex settings are
+ * strings
+ * `str`: string, the value text
+ * Returns: string, the regex source, or the text itself if it is not a regex literal
+ * Throws: Error if the regex literal has flags, as they can't be stored in the pattern string
+ */
+const _regexSource = function (str) {
+	let m = str.match(/^\/(.*)\/([a-z]*)$/);
+	if (m === null)
+		return str;
+	if (m[2] !== "")
+		throw new Error("Regex flags are not supported in settings, got " + str + " (patterns are always matched " +
+			"without flags)");
+	return m[1];
+};
+
+/*
+ * Parse a value given as text (eg. on command line)
+ * `str`: string, the value text
+ * `key`: string, optional, the settings key with `.` dot notation the value is for
+ *
+ * The value is read as:
+ * - `true`, `false` and `null` as such
+ * - numbers as numbers
+ * - JSON arrays, objects and quoted strings as JSON (eg. `"true"` for the string `true`)
+ * - anything else as a string
+ *
+ * For keys taking regex patterns, regex literals (`/^\.\/build/`), also as string elements of
+ * JSON arrays, are read as the regex source string, since regex settings are strings.
+ *
+ * Returns: the parsed value
+ * Throws: Error if a value starting as JSON is not valid JSON, or if a regex literal has flags
+ */
+const parseValue = function (str, key) {
+	let schema = key !== undefined ? settingsSchema.getKeySchema(key) : null;
+	let regex = schema !== null && schema.items === "regex";
+
+	if (str === "true" || str === "false")
+		return str === "true";
+	if (str === "null")
+		return null;
+	if (str.match(/^-?[0-9]+(\.[0-9]+)?$/) !== null)
+		return Number(str);
+	if (str.match(/^[[{"]/) !== null) {
+		let value;
+		try {
+			value = JSON.parse(str);
+		}
+		catch (e) {
+			throw new Error("Invalid JSON value " + str + ": " + e.message);
+		}
+		// same as the values added one by one with `config add`
+		if (regex && value instanceof Array)
+			value = value.map((item) => typeof(item) === "string" ? _regexSource(item) : item);
+		return value;
+	}
+	return regex ? _regexSource(str) : str;
+};
+
+/*
+ * Check a value against the settings schema
+ * `key`: string, the settings key with `.` dot notation (eg. `project.recursive`)
+ * `value`: the value to check, as returned by `parseValue`
+ * `diagnostics`: Diagnostics object, optional, values which may be valid but are not known (eg. an
+ *                unknown output format) are reported to it as `unknown-setting` warnings, like the
+ *                Environment does
+ *
+ * Values for string keys are converted to strings (eg. a number given for a path), except for
+ * `null` and `false` when the key can be set to none.
+ *
+ * Returns: the value to write
+ * Throws: Error if the key is not a settings key or the value is not valid
+ */
+const checkValue = function (key, value, diagnostics) {
+	let schema = settingsSchema.getKeySchema(key);
+	if (schema === null)
+		throw new Error(settingsSchema.unknownKeyMessage(key));
+	let none = schema.none && (value === null || value === false);
+	if (schema.type === "string" && !none && (typeof(value) === "number" || typeof(value) === "boolean"))
+		value = String(value);
+	let problems = settingsSchema.validateValue(key, value);
+	let errors = problems.filter((problem) => problem.level === "error");
+	if (errors.length > 0)
+		throw new Error(errors.map((problem) => problem.message).join("; "));
+	if (diagnostics !== undefined)
+		problems.map((problem) => diagnostics.warning("unknown-setting", problem.message));
+	return value;
+};
+
+/*
+ * Write a value in the contents of a settings file
+ * `content`: string, the settings file contents
+ * `key`: string, the settings key with `.` dot notation (eg. `project.recursive`)
+ * `value`: any JSON compatible value
+ *
+ * If the key is already in the file, only its value is replaced; otherwise, the key (and any
+ * missing sections) is added at the end of its section.
+ *
+ * Returns: string, the updated contents
+ * Throws: Error if the settings object cannot be found or a section is not an object
+ */
+const writeValue = function (content, key, value) {
+	let keys = key.split(".");
+	let open = _findSettingsObject(content);
+	if (open === -1)
+		throw new Error("No settings object found in settings file");
+	for (let i=0; i<keys.length; i++) {
+		let prop = _findProperty(content, open, keys[i]);
+		if (prop === null) {
+			let missing = {};
+			util.deepWrite(missing, keys.slice(i + 1), value);
+			return _insertProperty(content, open, keys[i], i === keys.length - 1 ? value : missing);
+		}
+		if (i === keys.length - 1) {
+			let indent = util.getIndent(content.slice(content.lastIndexOf("\n", prop.start) + 1));
+			return content.slice(0, prop.valueStart) + formatValue(value, indent) + content.slice(prop.valueEnd);
+		}
+		if (content[prop.valueStart] !== "{")
+			throw new Error("Settings key " + keys.slice(0, i + 1).join(".") + " is not a section");
+		open = prop.valueStart;
+	}
+};
+
+/*
+ * Add a property at the end of an object literal
+ * `content`: string, the settings file contents
+ * `open`: number, position of the opening bracket of the object literal
+ * `name`: string, property name
+ * `value`: any JSON compatible value
+ * Returns: string, the updated contents
+ */
+const _insertProperty = function (content, open, name, value) {
+	let close = tokenizer.findClosing(content, open);
+	let last = null;
+	tokenizer.forEachToken(content.slice(0, close), open + 1, (token) => {
+		if (tokenizer.isSignificant(token))
+			last = token;
+	});
+	let parentIndent = util.getIndent(content.slice(content.lastIndexOf("\n", open) + 1));
+	if (last === null) {
+		let indent = parentIndent + "\t";
+		return content.slice(0, open + 1) + "\n" + indent + name + ": " + formatValue(value, indent) + "\n" +
+			parentIndent + content.slice(close);
+	}
+	let indent = util.getIndent(content.slice(content.lastIndexOf("\n", last.start) + 1));
+	// add the property after the last row of the object, after any comment on that row
+	let pos = content.indexOf("\n", last.end);
+	if (pos === -1 || pos > close)
+		pos = close;
+	let ret = content.slice(0, pos) + "\n" + indent + name + ": " + formatValue(value, indent) + content.slice(pos);
+	if (last.value !== ",")
+		ret = ret.slice(0, last.end) + "," + ret.slice(last.end);
+	return ret;
+};
+
+/*
+ * Settings file names, in order of precedence
+ */
+const SETTINGS_FILES = [ "dgen-one-settings.js", "dgen-one.config.json", ".dgenrc.json" ];
+
+/*
+ * Key of the settings object in package.json
+ */
+const PACKAGE_KEY = "dgen-one";
+
+/*
+ * Describe a settings file
+ * `file`: string, absolute path of the settings file
+ * Returns: settings file object:
+ * - `path`: string, absolute path of the file
+ * - `dir`: string, directory of the file, the project base path
+ * - `type`: string, `js` for JavaScript modules, `json` for JSON files or `package` for the
+ *   `"dgen-one"` key in package.json
+ */
+const _describeFile = function (file) {
+	let type = "js";
+	if (path.basename(file) === "package.json")
+		type = "package";
+	else if (path.extname(file) === ".json")
+		type = "json";
+	return { path: file, dir: path.dirname(file), type: type };
+};
+
+/*
+ * Find the settings file of a project
+ * `dir`: string, directory to start from
+ * `file`: string, optional, explicit settings file path (relative to `dir`), eg. from a
+ *         `--config` command line option; can be a JavaScript, JSON or package.json file
+ *
+ * Looks for the settings files (`dgen-one-settings.js`, `dgen-one.config.json`, `.dgenrc.json`)
+ * or a `"dgen-one"` key in package.json, in this order, in `dir` and then in its parents, up to
+ * the project root (the first directory with a package.json file).
+ *
+ * Returns: settings file object (see `_describeFile`) or null if none is found
+ * Throws: Error if the explicit file does not exist
+ */
+const findSettingsFile = function (dir, file) {
+	if (file !== undefined && file !== null) {
+		file = path.resolve(dir, file);
+		if (!fs.existsSync(file))
+			throw new Error("Config file " + file + " not found");
+		return _describeFile(file);
+	}
+	dir = path.resolve(dir);
+	while (true) {
+		for (let i=0; i<SETTINGS_FILES.length; i++)
+			if (fs.existsSync(path.join(dir, SETTINGS_FILES[i])))
+				return _describeFile(path.join(dir, SETTINGS_FILES[i]));
+		let packageFile = path.join(dir, "package.json");
+		if (fs.existsSync(packageFile)) {
+			let content = JSON.parse(fs.readFileSync(packageFile).toString());
+			if (content[PACKAGE_KEY] !== undefined)
+				return _describeFile(packageFile);
+			return null;
+		}
+		if (path.dirname(dir) === dir)
+			return null;
+		dir = path.dirname(dir);
+	}
+};
+
+/*
+ * Read the settings from a settings file
+ * `file`: settings file object, as returned by `findSettingsFile`
+ * Returns: object, the settings
+ * Throws: Error if the file cannot be read or parsed
+ */
+const readSettings = function (file) {
+	if (file.type === "js")
+		return require(file.path);
+	let content = JSON.parse(fs.readFileSync(file.path).toString());
+	if (file.type === "package")
+		return content[PACKAGE_KEY] !== undefined ? content[PACKAGE_KEY] : {};
+	return content;
+};
+
+/*
+ * Write a value in a settings file
+ * `file`: settings file object, as returned by `findSettingsFile`
+ * `key`: string, the settings key with `.` dot notation (eg. `project.recursive`)
+ * `value`: any JSON compatible value
+ *
+ * JavaScript files are edited with `writeValue`. JSON files are rewritten, keeping their indent
+ * and the order of keys.
+ *
+ * Throws: Error if the file cannot be read or written
+ */
+const writeSettingsValue = function (file, key, value) {
+	let content = fs.readFileSync(file.path).toString();
+	if (file.type === "js") {
+		fs.writeFileSync(file.path, writeValue(content, key, value));
+		return;
+	}
+	let json = JSON.parse(content);
+	let settings = json;
+	if (file.type === "package") {
+		if (json[PACKAGE_KEY] === undefined)
+			json[PACKAGE_KEY] = {};
+		settings = json[PACKAGE_KEY];
+	}
+	if (!util.deepWrite(settings, key, value))
+		throw new Error("Settings key " + key + " is not in a section");
+	let indent = content.match(/\n([ \t]+)"/);
+	content = JSON.stringify(json, null, indent !== null ? indent[1] : "\t") + (content.match(/\n$/) ? "\n" : "");
+	fs.writeFileSync(file.path, content);
+};
+
+/*
+ * Find the row of a key in a settings file, eg. to report a problem with its value
+ * `file`: settings file object, as returned by `findSettingsFile`
+ * `key`: string, the settings key with `.` dot notation (eg. `project.recursive`)
+ * Returns: number, the row of the key (starting at 1) or null if the key is not in the file (or the
+ * file can't be read)
+ */
+const findKeyRow = function (file, key) {
+	let content;
+	try {
+		content = fs.readFileSync(file.path).toString();
+	}
+	catch (e) {
+		return null;
+	}
+	let keys = key.split(".");
+	if (file.type === "package")
+		keys.unshift(PACKAGE_KEY);
+	let open = _findSettingsObject(content);
+	if (open === -1)
+		return null;
+	let prop = null;
+	for (let i=0; i<keys.length; i++) {
+		if (i > 0) {
+			if (content[prop.valueStart] !== "{")
+				return null;
+			open = prop.valueStart;
+		}
+		prop = _findProperty(content, open, keys[i]);
+		if (prop === null)
+			return null;
+	}
+	return content.slice(0, prop.start).split("\n").length;
+};
+
+/*
+ * Describe the source of settings for messages
+ * `file`: settings file object, as returned by `findSettingsFile`
+ * `dir`: string, directory to show the path relative to
+ * Returns: string, eg. `./dgen-one-settings.js` or `../package.json ("dgen-one" key)`
+ */
+const describeSource = function (file, dir) {
+	let ret = path.relative(dir, file.path);
+	if (!path.isAbsolute(ret) && ret.indexOf("..") !== 0)
+		ret = "./" + ret;
+	if (file.type === "package")
+		ret += " (\"" + PACKAGE_KEY + "\" key)";
+	return ret;
+};
+
+module.exports.PACKAGE_KEY = PACKAGE_KEY;
+module.exports.SETTINGS_FILES = SETTINGS_FILES;
+
+module.exports.checkValue = checkValue;
+module.exports.describeSource = describeSource;
+module.exports.findKeyRow = findKeyRow;
+module.exports.findSettingsFile = findSettingsFile;
+module.exports.formatValue = formatValue;
+module.exports.parseValue = parseValue;
+module.exports.readSettings = readSettings;
+module.exports.writeSettingsValue = writeSettingsValue;
+module.exports.writeValue = writeValue;
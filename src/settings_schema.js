@@ -0,0 +1,443 @@
+/*
+ * Settings schema
+ *
+ * Describes every settings key (type, allowed values and description) and validates settings
+ * objects against it
+ */
+
+/*
+ * Settings schema object
+ *
+ * Has the same structure as the default settings; each key is described by an object with:
+ * - `type`: string, value type: `boolean`, `number`, `string` or `array`
+ * - `items`: string, for arrays, type of the elements: `string` or `regex` (regex patterns, as
+ *   strings or RegExp objects)
+ * - `values`: array, optional, the known values
+ * - `none`: boolean, optional, true if `null` or `false` can be set instead of a value, for none
+ * - `min`: number, optional, minimum value for numbers
+ * - `description`: string, what the setting does
+ */
+const SETTINGS_SCHEMA = {
+	code: {
+		fileHeaders: {
+			type: "boolean",
+			description: "wether or not to attempt to read file header comments"
+		},
+		fileTitle: {
+			type: "boolean",
+			description: "wether or not file header comments begin with a title row"
+		},
+		fileTitleMaxRows: {
+			type: "number",
+			min: 0,
+			description: "max rows for the first paragraph to be considered a comment"
+		},
+		fileDescription: {
+			type: "boolean",
+			description: "wether or not file headers contain a short description"
+		},
+		fileDescriptionMaxRows: {
+			type: "number",
+			min: 0,
+			description: "max rows for the second paragraph to be considered a description"
+		},
+		sectionTitleMaxRows: {
+			type: "number",
+			min: 0,
+			description: "max rows for section titles"
+		},
+		signatureFieldLists: {
+			type: "boolean",
+			description: "convert documented arguments and return values of functions to field lists"
+		},
+		checkSignatureDocs: {
+			type: "boolean",
+			description: "warn about documented arguments missing from the signature and undocumented arguments"
+		},
+		parseCache: {
+			type: "boolean",
+			description: "cache parsed files (in paths.cachePath), so unchanged files are not parsed again"
+		}
+	},
+	structure: {
+		generateConfPy: {
+			type: "boolean",
+			description: "generate conf.py file"
+		},
+		generateMakefile: {
+			type: "boolean",
+			description: "generate Makefile"
+		},
+		generateMakeBat: {
+			type: "boolean",
+			description: "generate make.bat"
+		},
+		generateIndex: {
+			type: "boolean",
+			description: "generate index file"
+		},
+		generateAliasEntries: {
+			type: "boolean",
+			description: "wether or not to generate entries for aliases in output"
+		},
+		expandAliases: {
+			type: "boolean",
+			description: "wether or not to expand aliases or just refer to the aliased item"
+		},
+		groupAliasesTogether: {
+			type: "boolean",
+			description: "wether or not to group aliases together at the end or display them with the other items"
+		},
+		includeInternal: {
+			type: "boolean",
+			description: "wether or not to include objects that are not directly exported (but they are used)"
+		},
+		maintainersBuild: {
+			type: "boolean",
+			description: "also document objects marked as internal and files marked as private, with a badge"
+		},
+		objectCategories: {
+			type: "boolean",
+			description: "group the objects documentation by category, with an index page for each category"
+		}
+	},
+	project: {
+		recursive: {
+			type: "boolean",
+			description: "read directories recursively"
+		},
+		excludePaths: {
+			type: "array",
+			items: "regex",
+			description: "regex patterns, exclude these paths (relative to project base path)"
+		},
+		includePaths: {
+			type: "array",
+			items: "regex",
+			description: "regex patterns, include these paths (even if excluded and even if not recursively " +
+				"reading dirs, relative to project base path)"
+		},
+		excludeFiles: {
+			type: "array",
+			items: "regex",
+			description: "regex patterns, filenames to exclude"
+		},
+		includeOnly: {
+			type: "array",
+			items: "regex",
+			description: "regex patterns, filenames to include (only these will be considered if any is present)"
+		},
+		projectMeta: {
+			type: "string",
+			none: true,
+			description: "path to project meta (can be package.json or another file, relative to project base " +
+				"path), empty, null or false for none"
+		},
+		plugins: {
+			type: "array",
+			items: "string",
+			description: "plugin modules (relative to project base path), functions called with the environment, " +
+				"eg. to register custom directives"
+		}
+	},
+	output: {
+		format: {
+			type: "string",
+			values: [ "rst", "md" ],
+			description: "output format: `rst` (reStructuredText, built with Sphinx) or `md` (GitHub flavoured " +
+				"Markdown)"
+		},
+		minColumns: {
+			type: "number",
+			min: 0,
+			description: "min width of output text (don't wrap beyond this point) (0 = none)"
+		},
+		maxColumns: {
+			type: "number",
+			min: 0,
+			description: "max width of output text (wrap text by breaking on spaces after this limit)"
+		},
+		sectionUnderlines: {
+			type: "array",
+			items: "string",
+			description: "characters to use for underlining section titles, in order of rank (h1-...)"
+		},
+		sphinxExtensions: {
+			type: "array",
+			items: "string",
+			description: "sphinx extensions"
+		},
+		sphinxTemplates: {
+			type: "array",
+			items: "string",
+			description: "sphinx templates paths"
+		},
+		sphinxExculdePatterns: {
+			type: "array",
+			items: "string",
+			description: "sphinx exclude patterns"
+		},
+		sphinxHtmlTheme: {
+			type: "string",
+			description: "sphinx html theme"
+		},
+		sphinxHtmlStaticPath: {
+			type: "array",
+			items: "string",
+			description: "sphinx html static path"
+		},
+		jsDomain: {
+			type: "boolean",
+			description: "describe modules, classes, functions and variables with Sphinx JavaScript domain " +
+				"directives instead of section titles"
+		}
+	},
+	check: {
+		minCoverage: {
+			type: "number",
+			min: 0,
+			description: "minimum documentation coverage, percentage of documented exported objects (0 = none)"
+		}
+	},
+	paths: {
+		outputPath: {
+			type: "string",
+			description: "path to documentation output (absolute or relative to base path)"
+		},
+		maintainersOutputPath: {
+			type: "string",
+			description: "path to documentation output for the maintainers build (see `structure.maintainersBuild`)"
+		},
+		baseCodePath: {
+			type: "string",
+			description: "base path for code file documentation output"
+		},
+		baseIntroPath: {
+			type: "string",
+			description: "base path for intro sections"
+		},
+		baseEndingPath: {
+			type: "string",
+			description: "base path for ending sections"
+		},
+		baseClassPath: {
+			type: "string",
+			description: "base path for classes"
+		},
+		baseUnitsPath: {
+			type: "string",
+			description: "base path for functions and variables"
+		},
+		baseCategoryPath: {
+			type: "string",
+			description: "base path for the category index pages of the objects documentation"
+		},
+		baseExportedPath: {
+			type: "string",
+			description: "base path for other exported values"
+		},
+		modelFile: {
+			type: "string",
+			description: "file name of the documentation model (json), in the output path"
+		},
+		cachePath: {
+			type: "string",
+			description: "path to the parse cache directory, in the output path"
+		},
+		manifestFile: {
+			type: "string",
+			description: "file name of the output manifest (list of generated files), in the output path"
+		}
+	}
+};
+
+/*
+ * Determine if a schema object describes a key (as opposed to a section)
+ * `schema`: object, schema object
+ * Returns: boolean, true if the schema object describes a key
+ */
+const _isKeySchema = function (schema) {
+	return typeof(schema.type) === "string" && typeof(schema.description) === "string";
+};
+
+/*
+ * Determine the type of a settings value, as used in the schema and in messages
+ * `value`: any settings value
+ * Returns: string, `array`, `object`, `null` or the `typeof` type
+ */
+const typeName = function (value) {
+	if (value instanceof Array)
+		return "array";
+	if (value === null)
+		return "null";
+	return typeof(value);
+};
+
+/*
+ * Compute the edit distance between two strings (number of inserted, removed or replaced characters)
+ * `a`: string, first string
+ * `b`: string, second string
+ * Returns: number, the edit distance
+ */
+const _editDistance = function (a, b) {
+	let prev = [];
+	for (let j=0; j<=b.length; j++)
+		prev.push(j);
+	for (let i=1; i<=a.length; i++) {
+		let row = [ i ];
+		for (let j=1; j<=b.length; j++)
+			row.push(Math.min(prev[j] + 1, row[j-1] + 1, prev[j-1] + (a[i-1] === b[j-1] ? 0 : 1)));
+		prev = row;
+	}
+	return prev[b.length];
+};
+
+/*
+ * Get the schema of a settings key or section
+ * `key`: string, settings key with `.` dot notation, eg `project.recursive`
+ * Returns: schema object or null if there is no such key; sections are returned as objects with
+ * the schema of their keys
+ */
+const getKeySchema = function (key) {
+	let path = key.split(".");
+	let ret = SETTINGS_SCHEMA;
+	for (let i=0; i<path.length; i++) {
+		if (_isKeySchema(ret) || !Object.prototype.hasOwnProperty.call(ret, path[i]))
+			return null;
+		ret = ret[path[i]];
+	}
+	return ret;
+};
+
+/*
+ * List all settings keys
+ * Returns: array of strings, all settings keys with `.` dot notation
+ */
+const listKeys = function () {
+	let ret = [];
+	for (let section in SETTINGS_SCHEMA)
+		for (let key in SETTINGS_SCHEMA[section])
+			ret.push(section + "." + key);
+	return ret;
+};
+
+/*
+ * Suggest a settings key for an unknown key, eg for a typo
+ * `key`: string, the unknown key with `.` dot notation
+ * Returns: string, the closest settings key or section or null if no key is close enough
+ */
+const suggestKey = function (key) {
+	let candidates = listKeys().concat(Object.keys(SETTINGS_SCHEMA));
+	let ret = null;
+	let best = Math.max(2, Math.floor(key.length / 4));
+	for (let i=0; i<candidates.length; i++) {
+		if (candidates[i].split(".").length !== key.split(".").length)
+			continue;
+		let distance = _editDistance(key.toLowerCase(), candidates[i].toLowerCase());
+		if (distance <= best) {
+			best = distance;
+			ret = candidates[i];
+		}
+	}
+	// also look for the key in other sections, eg `output.recursive` for `project.recursive`
+	if (ret === null && key.indexOf(".") !== -1) {
+		let name = key.split(".").pop();
+		ret = listKeys().find((candidate) => candidate.split(".").pop() === name) || null;
+	}
+	return ret;
+};
+
+/*
+ * Format an unknown key message, with a suggestion if any
+ * `key`: string, the unknown key with `.` dot notation
+ * Returns: string, the message
+ */
+const unknownKeyMessage = function (key) {
+	let suggestion = suggestKey(key);
+	return "Unknown settings key " + key + (suggestion !== null ? ", did you mean " + suggestion + "?" : "");
+};
+
+/*
+ * Validate the value of a settings key
+ * `key`: string, settings key with `.` dot notation
+ * `value`: the value to check
+ * Returns: array of problem objects, empty if the value is valid:
+ * - `key`: string, the settings key
+ * - `level`: string, `error` for invalid values, `warning` for values which may be valid but are
+ *   not known (eg. an unknown output format, which can be provided by a custom renderer)
+ * - `message`: string, the problem description
+ */
+const validateValue = function (key, value) {
+	let schema = getKeySchema(key);
+	if (schema === null)
+		return [ { key: key, level: "warning", message: unknownKeyMessage(key) } ];
+	if (!_isKeySchema(schema))
+		return [ { key: key, level: "error", message: "Settings key " + key + " is a section, set its keys instead" } ];
+
+	let ret = [];
+	let error = (message) => ret.push({ key: key, level: "error", message: "Settings key " + key + " " + message });
+	if (schema.none && (value === null || value === false))
+		return ret;
+	if (typeName(value) !== schema.type) {
+		error("takes a value of type " + schema.type + ", got " + typeName(value));
+		return ret;
+	}
+	if (schema.min !== undefined && value < schema.min)
+		error("takes a value of at least " + schema.min + ", got " + value);
+	if (schema.values !== undefined && schema.values.indexOf(value) === -1)
+		ret.push({ key: key, level: "warning", message: "Unknown value " + JSON.stringify(value) + " for settings key " +
+			key + ", known values are: " + schema.values.join(", ") });
+	if (schema.items === undefined)
+		return ret;
+	for (let i=0; i<value.length; i++) {
+		if (schema.items === "regex" && value[i] instanceof RegExp)
+			continue;
+		if (typeof(value[i]) !== "string") {
+			error("takes an array of strings, got " + typeName(value[i]) + " at index " + i);
+			continue;
+		}
+		if (schema.items !== "regex")
+			continue;
+		try {
+			new RegExp(value[i]);
+		}
+		catch (e) {
+			error("has an invalid regex pattern at index " + i + ": " + e.message);
+		}
+	}
+	return ret;
+};
+
+/*
+ * Validate a settings object, eg as read from a settings file
+ * `settings`: object, the settings; keys that are missing are not reported, they take the default
+ *             values
+ * Returns: array of problem objects, see `validateValue`; unknown keys are reported as warnings
+ */
+const validateSettings = function (settings) {
+	let ret = [];
+	for (let section in settings) {
+		if (!Object.prototype.hasOwnProperty.call(SETTINGS_SCHEMA, section)) {
+			ret.push({ key: section, level: "warning", message: unknownKeyMessage(section) });
+			continue;
+		}
+		if (typeName(settings[section]) !== "object") {
+			ret.push({ key: section, level: "error", message: "Settings key " + section +
+				" is a section, it takes an object, got " + typeName(settings[section]) });
+			continue;
+		}
+		for (let key in settings[section])
+			ret = ret.concat(validateValue(section + "." + key, settings[section][key]));
+	}
+	return ret;
+};
+
+module.exports.SETTINGS_SCHEMA = SETTINGS_SCHEMA;
+
+module.exports.getKeySchema = getKeySchema;
+module.exports.listKeys = listKeys;
+module.exports.suggestKey = suggestKey;
+module.exports.typeName = typeName;
+module.exports.unknownKeyMessage = unknownKeyMessage;
+module.exports.validateSettings = validateSettings;
+module.exports.validateValue = validateValue;
@@ -0,0 +1,386 @@
+/*
+ * JavaScript tokenizer
+ *
+ * Splits code into tokens so that strings, template literals, regex literals and comments
+ * can be told apart from actual code when looking for block boundaries
+ */
+
+/*
+ * Keywords after which a slash starts a regex literal instead of a division
+ */
+const KEYWORDS_BEFORE_EXPRESSION = [ "return", "typeof", "instanceof", "in", "of", "new", "delete",
+	"void", "throw", "case", "do", "else", "yield", "await" ];
+
+/*
+ * Opening and closing bracket pairs
+ */
+const BRACKETS = {
+	"(": ")",
+	"[": "]",
+	"{": "}"
+};
+
+const CLOSING_BRACKETS = [ ")", "]", "}" ];
+
+/*
+ * Punctuators which can end a row without continuing the statement on the next row
+ */
+const STATEMENT_END_PUNCTUATORS = [ ")", "]", "}", ";" ];
+
+/*
+ * Characters which continue the statement from the previous row if they start a row
+ */
+const STATEMENT_CONTINUATION = [ ".", "?", ":", "=", "*", "%", "&", "|", "^", "<", ">", "," ];
+
+/*
+ * Determine if a slash following the `prev` token starts a regex literal
+ * `prev`: token object, the previous significant token, or null if there is none
+ * Returns: boolean, true if a regex literal is allowed at this point
+ */
+const _isRegexAllowed = function (prev) {
+	if (prev === null)
+		return true;
+	switch (prev.type) {
+		case "word":
+			return KEYWORDS_BEFORE_EXPRESSION.indexOf(prev.value) !== -1;
+		case "punctuator":
+			return CLOSING_BRACKETS.indexOf(prev.value) === -1;
+	}
+	return false;
+};
+
+/*
+ * Find the end of a quoted string
+ * `content`: string, the code
+ * `pos`: number, position of the opening quote
+ * Returns: number, position after the closing quote or -1 if the string is not terminated
+ */
+const _readString = function (content, pos) {
+	let quote = content[pos];
+	let i = pos + 1;
+	while (i < content.length) {
+		if (content[i] === "\\")
+			i += 2;
+		else if (content[i] === quote)
+			return i + 1;
+		else if (content[i] === "\n")
+			return -1;
+		else
+			i++;
+	}
+	return -1;
+};
+
+/*
+ * Find the end of a template literal, including any nested `${}` expressions
+ * `content`: string, the code
+ * `pos`: number, position of the opening backtick
+ * Returns: number, position after the closing backtick or -1 if the template is not terminated
+ */
+const _readTemplate = function (content, pos) {
+	let i = pos + 1;
+	while (i < content.length) {
+		if (content[i] === "\\")
+			i += 2;
+		else if (content[i] === "`")
+			return i + 1;
+		else if (content[i] === "$" && content[i+1] === "{") {
+			let end = findClosing(content, i + 1);
+			if (end === -1)
+				return -1;
+			i = end + 1;
+		}
+		else
+			i++;
+	}
+	return -1;
+};
+
+/*
+ * Find the end of a regex literal, including flags
+ * `content`: string, the code
+ * `pos`: number, position of the opening slash
+ * Returns: number, position after the regex flags or -1 if the regex is not terminated
+ */
+const _readRegex = function (content, pos) {
+	let i = pos + 1;
+	let inClass = false;
+	while (i < content.length) {
+		if (content[i] === "\\")
+			i += 2;
+		else if (content[i] === "\n")
+			return -1;
+		else if (content[i] === "/" && !inClass) {
+			i++;
+			while (i < content.length && content[i].match(/[a-z]/) !== null)
+				i++;
+			return i;
+		}
+		else {
+			if (content[i] === "[")
+				inClass = true;
+			if (content[i] === "]")
+				inClass = false;
+			i++;
+		}
+	}
+	return -1;
+};
+
+/*
+ * Read the next token from code
+ * `content`: string, the code
+ * `pos`: number, position to start reading from
+ * `prev`: token object, the previous significant token (not whitespace or comment), used to tell
+ *         regex literals from divisions; use null at the start of a statement
+ * Returns: token object or null if the token at `pos` is not terminated (eg. unterminated string):
+ * - `type`: string, one of `whitespace`, `newline`, `comment`, `string`, `template`, `regex`, `word`
+ *   or `punctuator`
+ * - `value`: string, the token text
+ * - `start`: number, start position of the token
+ * - `end`: number, end position of the token (exclusive)
+ */
+const nextToken = function (content, pos, prev) {
+	let c = content[pos];
+	let end = pos + 1;
+	let type = "punctuator";
+
+	if (c === "\n")
+		type = "newline";
+	else if (c === " " || c === "\t" || c === "\r") {
+		type = "whitespace";
+		while (end < content.length && (content[end] === " " || content[end] === "\t" || content[end] === "\r"))
+			end++;
+	}
+	else if (c === "/" && content[pos+1] === "/") {
+		type = "comment";
+		end = content.indexOf("\n", pos);
+		if (end === -1)
+			end = content.length;
+	}
+	else if (c === "/" && content[pos+1] === "*") {
+		type = "comment";
+		end = content.indexOf("*/", pos + 2);
+		if (end === -1)
+			return null;
+		end += 2;
+	}
+	else if (c === "\"" || c === "'") {
+		type = "string";
+		end = _readString(content, pos);
+	}
+	else if (c === "`") {
+		type = "template";
+		end = _readTemplate(content, pos);
+	}
+	else if (c === "/" && _isRegexAllowed(prev)) {
+		type = "regex";
+		end = _readRegex(content, pos);
+	}
+	else if (c.match(/[a-zA-Z0-9_$#]/) !== null) {
+		type = "word";
+		while (end < content.length && content[end].match(/[a-zA-Z0-9_$.]/) !== null) {
+			// a dot is only part of the word if it is part of a number
+			if (content[end] === "." && content[pos].match(/[0-9]/) === null)
+				break;
+			end++;
+		}
+	}
+
+	if (end === -1)
+		return null;
+
+	return {
+		type: type,
+		value: content.slice(pos, end),
+		start: pos,
+		end: end
+	};
+};
+
+/*
+ * Determine if a token is significant for the code structure (not whitespace or comment)
+ * `token`: token object
+ * Returns: boolean, true if the token is significant
+ */
+const isSignificant = function (token) {
+	return token.type !== "whitespace" && token.type !== "newline" && token.type !== "comment";
+};
+
+/*
+ * Run a callback for each token in the code, starting from a position
+ * `content`: string, the code
+ * `start`: number, position to start from (defaults to 0)
+ * `callback`: function, called for each token with the arguments:
+ *   `token`: token object, the current token
+ *   `prev`: token object, the previous significant token or null
+ * - Return value: true to stop reading, anything else to continue
+ * Returns: boolean, false if the code could not be tokenized, true otherwise
+ */
+const forEachToken = function (content, start, callback) {
+	let pos = start !== undefined ? start : 0;
+	let prev = null;
+	while (pos < content.length) {
+		let token = nextToken(content, pos, prev);
+		if (token === null)
+			return false;
+		if (callback(token, prev) === true)
+			return true;
+		if (isSignificant(token))
+			prev = token;
+		pos = token.end;
+	}
+	return true;
+};
+
+/*
+ * Split code into tokens
+ * `content`: string, the code
+ * Returns: array of token objects, or null if the code could not be tokenized
+ */
+const tokenize = function (content) {
+	let ret = [];
+	if (!forEachToken(content, 0, (token) => { ret.push(token); }))
+		return null;
+	return ret;
+};
+
+/*
+ * Find the bracket closing the bracket at a position
+ * `content`: string, the code
+ * `open`: number, position of the opening bracket, `(`, `[` or `{`
+ * Returns: number, position of the closing bracket or -1 if not found
+ */
+const findClosing = function (content, open) {
+	let opening = content[open];
+	let closing = BRACKETS[opening];
+	let depth = 0;
+	let ret = -1;
+	if (closing === undefined)
+		return -1;
+	let ok = forEachToken(content, open, (token) => {
+		if (token.type !== "punctuator")
+			return;
+		if (token.value === opening)
+			depth++;
+		if (token.value === closing)
+			depth--;
+		if (depth === 0) {
+			ret = token.start;
+			return true;
+		}
+	});
+	return ok ? ret : -1;
+};
+
+/*
+ * Find the first occurrence of a punctuator in code (outside strings, comments etc)
+ * `content`: string, the code
+ * `chars`: string, the punctuator characters to look for, eg `{` or `{;`
+ * `start`: number, position to start from (defaults to 0)
+ * Returns: number, position of the punctuator or -1 if not found
+ */
+const findFirst = function (content, chars, start) {
+	let ret = -1;
+	let ok = forEachToken(content, start, (token) => {
+		if (token.type === "punctuator" && chars.indexOf(token.value) !== -1) {
+			ret = token.start;
+			return true;
+		}
+	});
+	return ok ? ret : -1;
+};
+
+/*
+ * Find the end of the statement starting at a position
+ * `content`: string, the code
+ * `start`: number, position where the statement starts (defaults to 0)
+ *
+ * A statement ends with a semicolon or a new row outside any brackets, unless the statement
+ * is obviously continued on the next row (eg. the row ends with an operator or the next row
+ * starts with `.`)
+ *
+ * Returns: number, position after the end of the statement (after the semicolon if any, before
+ * the new row otherwise) or -1 if the code could not be tokenized
+ */
+const findStatementEnd = function (content, start) {
+	let depth = 0;
+	let ret = content.length;
+	let newline = -1;
+	let ok = forEachToken(content, start, (token, prev) => {
+		if (!isSignificant(token)) {
+			// a new row outside brackets can end the statement, unless the row ends with an operator
+			if (token.type !== "newline" || depth !== 0 || newline !== -1 || prev === null)
+				return;
+			if (prev.type === "punctuator" && STATEMENT_END_PUNCTUATORS.indexOf(prev.value) === -1)
+				return;
+			newline = token.start;
+			return;
+		}
+		// the statement was ended by the previous new row, unless this token continues it
+		if (newline !== -1) {
+			if (token.type !== "punctuator" || STATEMENT_CONTINUATION.indexOf(token.value) === -1) {
+				ret = newline;
+				return true;
+			}
+			newline = -1;
+		}
+		if (token.type !== "punctuator")
+			return;
+		if (BRACKETS[token.value] !== undefined)
+			depth++;
+		if (CLOSING_BRACKETS.indexOf(token.value) !== -1) {
+			depth--;
+			if (depth < 0) {
+				ret = token.start;
+				return true;
+			}
+		}
+		if (token.value === ";" && depth === 0) {
+			ret = token.end;
+			return true;
+		}
+	});
+	if (!ok)
+		return -1;
+	if (newline !== -1 && ret === content.length)
+		ret = newline;
+	return ret;
+};
+
+/*
+ * Split code by a separator punctuator, ignoring separators inside brackets, strings etc
+ * `content`: string, the code, eg an argument list `a, b = f(1, 2), { c, d }`
+ * `separator`: string, the separator character, eg `,`
+ * Returns: array of strings, the split code (not trimmed) or null if the code could not be tokenized
+ */
+const splitTopLevel = function (content, separator) {
+	let ret = [];
+	let depth = 0;
+	let last = 0;
+	let ok = forEachToken(content, 0, (token) => {
+		if (token.type !== "punctuator")
+			return;
+		if (BRACKETS[token.value] !== undefined)
+			depth++;
+		if (CLOSING_BRACKETS.indexOf(token.value) !== -1)
+			depth--;
+		if (token.value === separator && depth === 0) {
+			ret.push(content.slice(last, token.start));
+			last = token.end;
+		}
+	});
+	if (!ok)
+		return null;
+	ret.push(content.slice(last));
+	return ret;
+};
+
+module.exports.findClosing = findClosing;
+module.exports.findFirst = findFirst;
+module.exports.findStatementEnd = findStatementEnd;
+module.exports.forEachToken = forEachToken;
+module.exports.isSignificant = isSignificant;
+module.exports.nextToken = nextToken;
+module.exports.splitTopLevel = splitTopLevel;
+module.exports.tokenize = tokenize;
@@ -157,6 +157,11 @@ const joinPaths = function() {
 	return paths.join("/");
 };
 
+// computed member names (`[Symbol.iterator]`) are joined without a dot, eg `Foo.prototype[Symbol.iterator]`
+const joinMemberPath = function(path) {
+	return path.map((name, i) => i === 0 || name[0] === "[" ? name : "." + name).join("");
+};
+
 const concatUnique = function() {
 	if (arguments.length === 0)
 		return [];
@@ -307,6 +312,7 @@ module.exports.getCommonIndent = getCommonIndent;
 module.exports.getCommonStr = getCommonStr;
 module.exports.getIndent = getIndent;
 module.exports.indentBlock = indentBlock;
+module.exports.joinMemberPath = joinMemberPath;
 module.exports.joinPaths = joinPaths;
 module.exports.objectFields = objectFields;
 module.exports.padBlock = padBlock;
@@ -0,0 +1,125 @@
+const assert = require("assert");
+const childProcess = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CLI = path.join(__dirname, "../cli.js");
+
+const DOCUMENTED = [
+	"/*",
+	" * Greetings",
+	" */",
+	"",
+	"/*",
+	" * Greet someone",
+	" * `name`: string, who to greet",
+	" * Returns: string, the greeting",
+	" */",
+	"const greet = function (name) {",
+	"\treturn \"Hello \" + name;",
+	"};",
+	"",
+	"module.exports.greet = greet;",
+	""
+].join("\n");
+
+const UNDOCUMENTED = [
+	"const wave = function () {",
+	"};",
+	"",
+	"module.exports.wave = wave;",
+	""
+].join("\n");
+
+describe ("cli", function () {
+
+	// every test runs the command line tool, which is slower than the default timeout allows
+	this.timeout(30000);
+
+	let tmp = null;
+
+	/*
+	 * Run the command line tool in the test project
+	 * Returns: object, the exit `status` and the `output` text
+	 */
+	const run = function (...args) {
+		let result = childProcess.spawnSync(process.execPath, [ CLI ].concat(args), { cwd: tmp, timeout: 20000 });
+		return { status: result.status, output: result.stdout.toString().trim() };
+	};
+
+	beforeEach (() => {
+		tmp = fs.mkdtempSync(path.join(os.tmpdir(), "dgen-one-test-"));
+		fs.writeFileSync(path.join(tmp, "package.json"), JSON.stringify({ name: "greetings", main: "index.js" }));
+		fs.writeFileSync(path.join(tmp, "index.js"), DOCUMENTED);
+		assert.strictEqual(run("config", "default").status, 0);
+	});
+
+	afterEach (() => {
+		// rmSync is not available on older Node versions
+		(fs.rmSync || fs.rmdirSync)(tmp, { recursive: true, force: true });
+	});
+
+	describe ("config", () => {
+
+		it ("reads back the values written by config set", () => {
+			assert.strictEqual(run("config", "set", "project.recursive", "false").status, 0);
+			assert.strictEqual(run("config", "set", "output.format", "md").status, 0);
+			assert.strictEqual(run("config", "set", "project.includeOnly", "[ \"\\\\.mjs$\" ]").status, 0);
+			let settings = require(path.join(tmp, "dgen-one-settings.js"));
+			assert.strictEqual(settings.project.recursive, false);
+			assert.strictEqual(settings.output.format, "md");
+			assert.deepStrictEqual(settings.project.includeOnly, [ "\\.mjs$" ]);
+			assert.ok(run("config", "get", "project.recursive").output.indexOf("project.recursive: false") !== -1);
+		});
+
+		it ("adds and removes array elements with config add and config remove", () => {
+			assert.strictEqual(run("config", "add", "project.excludePaths", "/^\\.\\/build/").status, 0);
+			let output = run("config", "get", "project.excludePaths").output;
+			assert.ok(output.indexOf("\"^\\\\.\\\\/build\"") !== -1, output);
+			assert.notStrictEqual(run("config", "add", "project.excludePaths", "/^\\.\\/build/").status, 0);
+			assert.strictEqual(run("config", "remove", "project.excludePaths", "/^\\.\\/build/").status, 0);
+			assert.strictEqual(run("config", "get", "project.excludePaths").output.indexOf("build"), -1);
+		});
+
+		it ("writes unknown values with a warning and rejects invalid ones", () => {
+			let result = run("config", "set", "output.format", "html");
+			assert.strictEqual(result.status, 0);
+			assert.ok(result.output.indexOf("warning: Unknown value \"html\" for settings key output.format") !== -1);
+			assert.notStrictEqual(run("config", "set", "project.recursive", "maybe").status, 0);
+			assert.notStrictEqual(run("config", "set", "project.nothing", "true").status, 0);
+			assert.notStrictEqual(run("config", "set", "project.excludePaths", "[ \"/a/i\" ]").status, 0);
+		});
+
+	});
+
+	describe ("check --json", () => {
+
+		it ("passes for documented projects", () => {
+			let result = run("check", "--json");
+			assert.strictEqual(result.status, 0);
+			let report = JSON.parse(result.output);
+			assert.strictEqual(report.passed, true);
+			assert.deepStrictEqual(report.diagnostics, []);
+		});
+
+		it ("fails below the minimum coverage", () => {
+			fs.writeFileSync(path.join(tmp, "wave.js"), UNDOCUMENTED);
+			assert.strictEqual(run("check", "--json").status, 0);
+			let result = run("check", "--json", "--min", "100");
+			assert.notStrictEqual(result.status, 0);
+			assert.strictEqual(JSON.parse(result.output).passed, false);
+		});
+
+		it ("fails on warnings in strict mode", () => {
+			let file = path.join(tmp, "dgen-one-settings.js");
+			fs.writeFileSync(file, fs.readFileSync(file).toString().replace("recursive: true,", "recursive: true,\n\t\trecurse: true,"));
+			let result = run("check", "--json");
+			assert.strictEqual(result.status, 0);
+			assert.deepStrictEqual(JSON.parse(result.output).diagnostics.map((item) => item.code), [ "unknown-setting" ]);
+			assert.notStrictEqual(run("check", "--json", "--strict").status, 0);
+		});
+
+	});
+
+});
@@ -0,0 +1,85 @@
+const assert = require("assert");
+
+const CodeTree = require("../src/codetree.js");
+const CodeUnit = require("../src/codeunit.js");
+
+const UTIL = [
+	"export const VERSION = 1;",
+	"",
+	"export function format (value) {",
+	"\treturn String(value);",
+	"}",
+	"",
+	"export default class Formatter {",
+	"}",
+	""
+].join("\n");
+
+const INDEX = [
+	"import Formatter, { format as formatValue } from \"./lib/util.mjs\";",
+	"import * as util from \"./lib/util.mjs\";",
+	"import fs from \"fs\";",
+	"",
+	"export { formatValue, Formatter };",
+	"export { VERSION as version } from \"./lib/util.mjs\";",
+	""
+].join("\n");
+
+const COMMON = [
+	"const util = require(\"./lib/util\");",
+	"const { format } = require(\"./lib/util.mjs\");",
+	"",
+	"module.exports.format = format;",
+	""
+].join("\n");
+
+describe ("CodeTree", () => {
+
+	describe ("ES modules", () => {
+
+		it ("reads the imported and exported objects", () => {
+			let util = new CodeUnit(UTIL, 1, "./lib/util.mjs");
+			assert.deepStrictEqual(util.getExportedObjects().sort(), [ "Formatter", "VERSION", "format" ]);
+			assert.strictEqual(util.getExportedName(), "Formatter");
+
+			let index = new CodeUnit(INDEX, 1, "./index.mjs");
+			assert.deepStrictEqual(index.getImportedObjects().map((obj) => [ obj.name, obj.type, obj.path, obj.field ]), [
+				[ "formatValue", "internal", "./lib/util.mjs", "format" ],
+				[ "Formatter", "internal", "./lib/util.mjs", null ],
+				[ "util", "internal", "./lib/util.mjs", null ],
+				[ "fs", "external", "fs", null ],
+				[ "version", "internal", "./lib/util.mjs", "VERSION" ]
+			]);
+			assert.deepStrictEqual(index.getExportedObjects().sort(), [ "Formatter", "formatValue" ]);
+		});
+
+		it ("links the units importing each other, in any order", () => {
+			for (let order of [ [ 0, 1, 2 ], [ 2, 1, 0 ] ]) {
+				let units = [
+					new CodeUnit(UTIL, 1, "./lib/util.mjs"),
+					new CodeUnit(INDEX, 1, "./index.mjs"),
+					new CodeUnit(COMMON, 1, "./common.js")
+				];
+				let tree = new CodeTree(".");
+				order.map((i) => tree.linkUnit(units[i]));
+				assert.deepStrictEqual(units[0].getNext().map((unit) => unit.getPath()).sort(),
+					[ "./common.js", "./index.mjs" ]);
+				assert.deepStrictEqual(units[1].getPrev(), [ units[0] ]);
+				assert.deepStrictEqual(units[2].getPrev(), [ units[0] ]);
+				assert.deepStrictEqual(tree.findRoots().map((unit) => unit.getPath()).sort(),
+					[ "./common.js", "./index.mjs" ]);
+			}
+		});
+
+		it ("doesn't link external modules", () => {
+			let tree = new CodeTree(".");
+			let fs = new CodeUnit("export default {};\n", 1, "./fs.mjs");
+			let index = new CodeUnit(INDEX, 1, "./index.mjs");
+			tree.linkUnit(fs);
+			tree.linkUnit(index);
+			assert.deepStrictEqual(index.getPrev(), []);
+		});
+
+	});
+
+});
@@ -0,0 +1,88 @@
+const assert = require("assert");
+
+const Environment = require("../src/environment.js");
+
+const TOOLS = [
+	"/*",
+	" * Tools",
+	" */",
+	"",
+	"/*",
+	" * Kept",
+	" * @alias keep",
+	" */",
+	"const kept = function () {",
+	"};",
+	"",
+	"// @ignore",
+	"const ignored = function () {",
+	"};",
+	"",
+	"/*",
+	" * Hidden",
+	" * @internal",
+	" */",
+	"const hidden = function () {",
+	"};",
+	"",
+	"/*",
+	" * Owned",
+	" * @owner tools-team",
+	" */",
+	"const owned = function () {",
+	"};",
+	"",
+	"module.exports.kept = kept;",
+	"module.exports.ignored = ignored;",
+	"module.exports.hidden = hidden;",
+	"module.exports.owned = owned;",
+	"",
+	"// @pattern bogus",
+	"",
+	"// @owner",
+	""
+].join("\n");
+
+/*
+ * Create an environment with the `owner` custom directive and load the tools unit
+ * `owners`: array, the `[ name, args ]` of the blocks the `owner` directive applies to are added here
+ */
+const load = function (owners) {
+	let env = new Environment({ code: { parseCache: false }, project: { projectMeta: null } }, { echo: false });
+	env.registerDirective("owner", (codeUnit, commentBlock, codeBlock, args) => {
+		owners.push([ codeBlock !== null ? codeBlock.getIdentifierName() : null, args ]);
+	}, { args: 1 });
+	env.addCodeUnit(TOOLS, "./tools.js");
+	return env;
+};
+
+describe ("directives", () => {
+
+	it ("apply to the following declaration", () => {
+		let functions = load([]).generateModel().units[0].functions;
+		assert.deepStrictEqual(functions.map((fn) => fn.name), [ "kept", "owned" ]);
+		assert.deepStrictEqual(functions[0].aliases, [ "keep" ]);
+	});
+
+	it ("document internal declarations in the maintainers build", () => {
+		let functions = load([]).generateModel({ structure: { maintainersBuild: true } }).units[0].functions;
+		assert.deepStrictEqual(functions.map((fn) => [ fn.name, fn.visibility ]),
+			[ [ "kept", "public" ], [ "hidden", "internal" ], [ "owned", "public" ] ]);
+	});
+
+	it ("call custom directive handlers with the block and the arguments", () => {
+		let owners = [];
+		load(owners).generateModel();
+		assert.deepStrictEqual(owners, [ [ "owned", [ "tools-team" ] ] ]);
+	});
+
+	it ("report errors at the row of their comment", () => {
+		let env = load([]);
+		env.generateModel();
+		assert.deepStrictEqual(env.getDiagnostics().getErrors().map((item) => [ item.code, item.message, item.row ]), [
+			[ "directive-error", "Unknown value for pattern (bogus)", 35 ],
+			[ "directive-error", "Bad argument count for owner, expected 1, got 0", 35 ]
+		]);
+	});
+
+});
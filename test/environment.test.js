@@ -0,0 +1,121 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const Environment = require("../src/environment.js");
+
+const SAMPLE = path.join(__dirname, "../sample");
+
+const PROTOTYPE_CLASS = [
+	"/*",
+	" * Shapes",
+	" */",
+	"",
+	"/*",
+	" * A shape",
+	" */",
+	"const Shape = function (name) {",
+	"\tthis.name = name;",
+	"};",
+	"",
+	"/*",
+	" * Describe the shape",
+	" */",
+	"Shape.prototype.describe = function () {",
+	"\treturn this.name;",
+	"};",
+	"",
+	"module.exports = Shape;",
+	""
+].join("\n");
+
+describe ("Environment", () => {
+
+	let tmp = null;
+
+	beforeEach (() => {
+		tmp = fs.mkdtempSync(path.join(os.tmpdir(), "dgen-one-test-"));
+	});
+
+	afterEach (() => {
+		// rmSync is not available on older Node versions
+		(fs.rmSync || fs.rmdirSync)(tmp, { recursive: true, force: true });
+	});
+
+	describe ("prototype-style classes", () => {
+
+		it ("loads a prototype-style class without the parse cache", () => {
+			let env = new Environment({ code: { parseCache: false } });
+			env.setBasePath(tmp);
+			let unit = env.addCodeUnit(PROTOTYPE_CLASS, "./shape.js");
+			assert.notStrictEqual(unit, null);
+			assert.deepStrictEqual(env.getDiagnostics().getErrors(), []);
+			let model = env.generateModel();
+			assert.strictEqual(model.units[0].classes[0].name, "Shape");
+			assert.deepStrictEqual(model.units[0].classes[0].methods.map((method) => method.name), [ "describe" ]);
+		});
+
+		it ("loads a prototype-style class from the parse cache", () => {
+			for (let i=0; i<2; i++) {
+				let env = new Environment({ code: { parseCache: true } });
+				env.setBasePath(tmp);
+				assert.notStrictEqual(env.addCodeUnit(PROTOTYPE_CLASS, "./shape.js"), null);
+				assert.deepStrictEqual(env.getDiagnostics().getErrors(), []);
+			}
+		});
+
+	});
+
+	describe ("parse cache", () => {
+
+		/*
+		 * Generate the documentation of the sample project, with the cache in the test directory
+		 */
+		const generate = function (parseCache) {
+			let env = new Environment({ code: { parseCache: parseCache }, project: { projectMeta: null } }, { echo: false });
+			env.setBasePath(tmp);
+			let read = (dir) => fs.readdirSync(path.join(SAMPLE, dir)).map((name) => dir + "/" + name).forEach((file) => {
+				if (fs.statSync(path.join(SAMPLE, file)).isDirectory())
+					return read(file);
+				if (path.extname(file) === ".js")
+					env.addCodeUnit(fs.readFileSync(path.join(SAMPLE, file)).toString(), file);
+			});
+			read(".");
+			// the generation and load times are the only differences
+			return JSON.stringify([ env.generateFilesDocumentation(), env.generateObjectsDocumentation(),
+				env.generateModel() ]).replace(/Generated at [^"]*/g, "").replace(/"loadedAt":"[^"]*"/g, "");
+		};
+
+		it ("generates the same documentation from the cached files", () => {
+			let parsed = generate(false);
+			assert.strictEqual(generate(true), parsed);
+			assert.ok(fs.readdirSync(path.join(tmp, "documentation/.dgen-cache")).length > 0);
+			assert.strictEqual(generate(true), parsed);
+		});
+
+	});
+
+	describe ("output", () => {
+
+		const page = (text) => [ { path: "page.rst", content: [ text ] } ];
+
+		it ("updates generated files which were not changed", () => {
+			let env = new Environment({}, { echo: false });
+			env.outputContent(tmp, page("first"));
+			assert.deepStrictEqual(env.planOutput(tmp, page("second")).map((item) => item.action), [ "update" ]);
+		});
+
+		it ("doesn't overwrite generated files which were changed since they were generated", () => {
+			let env = new Environment({}, { echo: false });
+			env.outputContent(tmp, page("first"));
+			fs.writeFileSync(path.join(tmp, "page.rst"), "edited");
+			let actions = env.planOutput(tmp, page("second"));
+			assert.deepStrictEqual(actions.map((item) => item.action), [ "skip" ]);
+			env.outputContent(tmp, page("second"));
+			assert.strictEqual(fs.readFileSync(path.join(tmp, "page.rst")).toString(), "edited");
+		});
+
+	});
+
+});
@@ -0,0 +1,136 @@
+const assert = require("assert");
+
+const Environment = require("../src/environment.js");
+
+const COMPUTED_METHODS = [
+	"/*",
+	" * Collections",
+	" */",
+	"",
+	"/*",
+	" * A collection",
+	" */",
+	"class Collection {",
+	"\t/*",
+	"\t * Iterate the items",
+	"\t */",
+	"\t*[Symbol.iterator] () {",
+	"\t}",
+	"",
+	"\t/*",
+	"\t * Create a collection",
+	"\t */",
+	"\tstatic [Symbol.for(\"create\")] () {",
+	"\t}",
+	"}",
+	"",
+	"module.exports = Collection;",
+	""
+].join("\n");
+
+const REGISTRY = [
+	"/*",
+	" * Registry",
+	" */",
+	"",
+	"/*",
+	" * Keeps things",
+	" */",
+	"class Registry {",
+	"}",
+	"",
+	"module.exports = new Registry();",
+	"",
+	"// @pattern singleton Registry",
+	""
+].join("\n");
+
+const MAIN = [
+	"const registry = require(\"./src/registry.js\");",
+	"",
+	"module.exports.registry = registry;",
+	""
+].join("\n");
+
+const MIXIN = [
+	"/*",
+	" * Movable things",
+	" */",
+	"",
+	"/*",
+	" * Moves things",
+	" */",
+	"const Movable = {",
+	"};",
+	"",
+	"/*",
+	" * A thing",
+	" */",
+	"class Thing {",
+	"}",
+	"",
+	"Object.assign(Thing.prototype, Movable);",
+	"",
+	"module.exports.Thing = Thing;",
+	"",
+	"// @pattern mixin Thing Movable",
+	""
+].join("\n");
+
+/*
+ * Get the text of the generated objects documentation, with the wrapped rows joined
+ */
+const objectsText = function (env) {
+	return env.generateObjectsDocumentation().map((item) => item.content.join(" ")).join(" ").replace(/\s+/g, " ");
+};
+
+describe ("Generator", () => {
+
+	describe ("computed method names", () => {
+
+		it ("joins computed names to the path without a dot", () => {
+			let env = new Environment({ code: { parseCache: false }, project: { projectMeta: null } });
+			env.addCodeUnit(COMPUTED_METHODS, "./collection.js");
+			let text = env.generateFilesDocumentation().map((item) => item.content.join("\n")).join("\n");
+			assert.ok(text.indexOf("function* Collection.prototype[Symbol.iterator] ()") !== -1);
+			assert.ok(text.indexOf("Collection[Symbol.for(\"create\")] ()") !== -1);
+			assert.strictEqual(text.indexOf(".["), -1);
+		});
+
+	});
+
+	describe ("patterns", () => {
+
+		it ("shows how to require a singleton from the package", () => {
+			let env = new Environment({ code: { parseCache: false }, project: { projectMeta: null } });
+			env.addCodeUnit(MAIN, "./index.js");
+			env.addCodeUnit(REGISTRY, "./src/registry.js");
+			env.setProjectMeta({ name: "registry-one", main: "index.js" });
+			assert.ok(objectsText(env).indexOf("`const registry = require(\"registry-one\").registry`") !== -1);
+		});
+
+		it ("shows how to require a singleton by its path in the package", () => {
+			let env = new Environment({ code: { parseCache: false }, project: { projectMeta: null } });
+			env.addCodeUnit(REGISTRY, "./src/registry.js");
+			env.setProjectMeta({ name: "registry-one" });
+			assert.ok(objectsText(env).indexOf("`const registry = require(\"registry-one/src/registry\")`") !== -1);
+		});
+
+		it ("shows how to require a singleton by its path if the project is not a package", () => {
+			let env = new Environment({ code: { parseCache: false }, project: { projectMeta: null } });
+			env.addCodeUnit(REGISTRY, "./src/registry.js");
+			env.setProjectMeta({ name: "Registry Project" });
+			assert.ok(objectsText(env).indexOf("`const registry = require(\"./src/registry\")`") !== -1);
+		});
+
+		it ("doesn't call mixin sources which are not classes a class", () => {
+			let env = new Environment({ code: { parseCache: false }, project: { projectMeta: null } }, { echo: false });
+			env.addCodeUnit(MIXIN, "./thing.js");
+			objectsText(env);
+			assert.deepStrictEqual(env.getDiagnostics().getWarnings().map((warning) => warning.message),
+				[ "Pattern mixin refers to `Movable`, which is an object, not a class" ]);
+		});
+
+	});
+
+});
@@ -0,0 +1,122 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CodeUnit = require("../src/codeunit.js");
+const ParseCache = require("../src/parse_cache.js");
+
+// a file with blocks of every cached class
+const SOURCE = [
+	"/*",
+	" * All blocks",
+	" */",
+	"",
+	"const fs = require(\"fs\");",
+	"",
+	"import path from \"path\";",
+	"",
+	"const LIMIT = 10;",
+	"",
+	"/*",
+	" * Run",
+	" * @param count: number, how many times",
+	" */",
+	"const run = async function (count) {",
+	"\treturn count;",
+	"};",
+	"",
+	"/*",
+	" * Modern class",
+	" */",
+	"class Modern {",
+	"\tvalue = 1;",
+	"",
+	"\t/*",
+	"\t * Get the value",
+	"\t */",
+	"\tget () {",
+	"\t\treturn this.value;",
+	"\t}",
+	"}",
+	"",
+	"const Old = function () {",
+	"};",
+	"",
+	"Old.prototype.run = function () {",
+	"};",
+	"",
+	"if (LIMIT > 5)",
+	"\trun(LIMIT);",
+	"",
+	"module.exports.run = run;",
+	"export { Modern };",
+	""
+].join("\n");
+
+/*
+ * Collect the blocks of a content block and of the content blocks nested in it
+ */
+const collectBlocks = function (contentBlock) {
+	let ret = [ contentBlock ];
+	let blocks = contentBlock.getBlocks();
+	for (let i=0; i<blocks.length; i++) {
+		ret.push(blocks[i]);
+		if (blocks[i].getContentBlock instanceof Function && blocks[i].getContentBlock() !== undefined &&
+			blocks[i].getContentBlock() !== null)
+			ret = ret.concat(collectBlocks(blocks[i].getContentBlock()));
+	}
+	return ret;
+};
+
+describe ("ParseCache", () => {
+
+	let tmp = null;
+
+	beforeEach (() => {
+		tmp = fs.mkdtempSync(path.join(os.tmpdir(), "dgen-one-test-"));
+	});
+
+	afterEach (() => {
+		// rmSync is not available on older Node versions
+		(fs.rmSync || fs.rmdirSync)(tmp, { recursive: true, force: true });
+	});
+
+	it ("restores the blocks of every cached class as they were parsed", () => {
+		let unit = new CodeUnit(SOURCE, 1, "./all.js");
+		let cache = new ParseCache(path.join(tmp, "parsed"));
+		cache.store(SOURCE, unit.getContentBlock());
+		let restored = cache.load(SOURCE);
+		assert.notStrictEqual(restored, null);
+
+		let found = collectBlocks(unit.getContentBlock()).map((block) => block.constructor.name);
+		for (let name in ParseCache.BLOCK_CLASSES)
+			assert.ok(found.indexOf(name) !== -1, "the test source has no " + name);
+		assert.deepStrictEqual(collectBlocks(restored).map((block) => block.constructor.name), found);
+
+		// the restored blocks are stored exactly as the parsed ones
+		let again = new ParseCache(path.join(tmp, "restored"));
+		again.store(SOURCE, restored);
+		assert.strictEqual(fs.readFileSync(again.getFilePath(SOURCE)).toString(),
+			fs.readFileSync(cache.getFilePath(SOURCE)).toString());
+
+		// and they are documented the same way
+		let restoredUnit = new CodeUnit(SOURCE, 1, "./all.js", undefined, undefined, restored);
+		assert.deepStrictEqual(restoredUnit.getExportedObjects(), unit.getExportedObjects());
+		assert.deepStrictEqual(restoredUnit.getImportedObjects(), unit.getImportedObjects());
+	});
+
+	it ("doesn't read content which was not stored", () => {
+		let cache = new ParseCache(tmp);
+		cache.store(SOURCE, new CodeUnit(SOURCE, 1, "./all.js").getContentBlock());
+		assert.strictEqual(cache.load(SOURCE + "\n// changed\n"), null);
+	});
+
+	it ("removes the cached files", () => {
+		let cache = new ParseCache(tmp);
+		cache.store(SOURCE, new CodeUnit(SOURCE, 1, "./all.js").getContentBlock());
+		assert.strictEqual(cache.clear(), 1);
+		assert.strictEqual(cache.load(SOURCE), null);
+	});
+
+});
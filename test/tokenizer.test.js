@@ -0,0 +1,77 @@
+const assert = require("assert");
+
+const tokenizer = require("../src/tokenizer.js");
+
+/*
+ * Get the significant tokens of some code as `type value` strings
+ */
+const significant = function (content) {
+	return tokenizer.tokenize(content).filter(tokenizer.isSignificant).map((token) => token.type + " " + token.value);
+};
+
+describe ("tokenizer", () => {
+
+	describe ("tokenize", () => {
+
+		it ("reads strings, template literals and comments as single tokens", () => {
+			let tokens = tokenizer.tokenize("let a = \"{ \\\" }\" + `${b + \"}\"}` // }\n/* { */");
+			assert.deepStrictEqual(tokens.filter((token) => token.type !== "whitespace").map((token) => token.type),
+				[ "word", "word", "punctuator", "string", "punctuator", "template", "comment", "newline", "comment" ]);
+			assert.strictEqual(tokens.find((token) => token.type === "template").value, "`${b + \"}\"}`");
+		});
+
+		it ("tells regex literals from divisions", () => {
+			assert.deepStrictEqual(significant("x = a / b / c"),
+				[ "word x", "punctuator =", "word a", "punctuator /", "word b", "punctuator /", "word c" ]);
+			assert.deepStrictEqual(significant("x = /[/}]+/gi.test(s)").slice(0, 3),
+				[ "word x", "punctuator =", "regex /[/}]+/gi" ]);
+			assert.deepStrictEqual(significant("return /a/"), [ "word return", "regex /a/" ]);
+			assert.strictEqual(significant("f() / 2")[3], "punctuator /");
+		});
+
+		it ("returns null for code which is not terminated", () => {
+			assert.strictEqual(tokenizer.tokenize("let s = \"open"), null);
+			assert.strictEqual(tokenizer.tokenize("let s = `open ${a}"), null);
+			assert.strictEqual(tokenizer.tokenize("/* open"), null);
+		});
+
+	});
+
+	describe ("findClosing", () => {
+
+		it ("skips brackets in strings, regex literals and comments", () => {
+			let code = "f({ a: \"}\", b: /}/, c: `}` /* } */ }) + 1";
+			assert.strictEqual(tokenizer.findClosing(code, 1), code.indexOf(") + 1"));
+			assert.strictEqual(tokenizer.findClosing(code, 2), code.indexOf(" }) + 1") + 1);
+		});
+
+		it ("returns -1 if there is no closing bracket", () => {
+			assert.strictEqual(tokenizer.findClosing("f(a, [b]", 1), -1);
+		});
+
+	});
+
+	describe ("findStatementEnd", () => {
+
+		it ("ends statements at semicolons or new rows outside brackets", () => {
+			assert.strictEqual(tokenizer.findStatementEnd("a = 1; b = 2;"), 6);
+			assert.strictEqual(tokenizer.findStatementEnd("a = f(1,\n2)\nb = 2"), 11);
+		});
+
+		it ("continues statements on the next row after operators and before `.`", () => {
+			let code = "a = b +\n\tc\n\t.d()\ne = 1";
+			assert.strictEqual(tokenizer.findStatementEnd(code), code.indexOf("\ne"));
+		});
+
+	});
+
+	describe ("splitTopLevel", () => {
+
+		it ("splits by the separator outside brackets and strings", () => {
+			assert.deepStrictEqual(tokenizer.splitTopLevel("a, b = f(1, 2), { c, d }, e = \",\"", ","),
+				[ "a", " b = f(1, 2)", " { c, d }", " e = \",\"" ]);
+		});
+
+	});
+
+});